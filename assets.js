@@ -0,0 +1,176 @@
+// Uploaded files are stored in the database as asset keys: paths relative to
+// the uploads folder with forward slashes ("42-hollow-knight/cover_<uuid>.png").
+// URLs are only built when a response is sent, so the server can run on any
+// host or port, and file paths are derived from the key instead of from a URL.
+//
+// Each game's files live in a folder of their own named "<id>-<slug>"
+// ("42-wiedźmin-3-dziki-gon"). The id makes it unique; the slug is only there
+// for people browsing the folder, is fixed when the folder is created and
+// does not follow later title edits.
+
+const fs = require('fs');
+const path = require('path');
+
+// Accept a key, "/uploads/<key>" or an absolute URL from older databases and
+// exports ("http://localhost:3000/uploads/<key>") and return the key.
+function toAssetKey(value) {
+  if (!value) return null;
+  const key = String(value)
+    .replace(/^[a-z]+:\/\/[^/]*/i, '')
+    .replace(/^\/+/, '')
+    .replace(/^uploads\//, '');
+  return key === '' ? null : key;
+}
+
+function isSafeAssetKey(key) {
+  return typeof key === 'string' &&
+    !key.includes('\\') &&
+    key.split('/').every(part => part !== '' && part !== '.' && part !== '..');
+}
+
+// Absolute path of an asset under `uploadsPath`, or null for keys that would
+// point outside it
+function assetFilePath(uploadsPath, key) {
+  return isSafeAssetKey(key) ? path.join(uploadsPath, ...key.split('/')) : null;
+}
+
+function assetUrl(baseUrl, key) {
+  if (!key) return null;
+  return `${baseUrl}/uploads/${key.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+// Readable, filesystem-safe form of a title. Letters and digits from any
+// script are kept; everything else becomes a single dash.
+function slugify(title) {
+  return String(title || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+}
+
+function newGameFolderName(id, title) {
+  const slug = slugify(title);
+  return slug ? `${id}-${slug}` : String(id);
+}
+
+// The folder a game's images are already stored in, or null. Only folders
+// named "<id>" or "<id>-<slug>" that the game's own asset keys point into
+// count; a folder that merely starts with the id (a legacy "1-2-switch" seen
+// from game 1) is never taken for the game's.
+function findGameFolder(game) {
+  const pattern = new RegExp(`^${Number(game.id)}(-|$)`);
+  const keys = [game.coverArtPath, game.gameplayImagePath, ...(game.additionalPhotos || []).map(photo => photo.path)];
+  const key = keys.find(candidate => isSafeAssetKey(candidate) && candidate.includes('/') && pattern.test(candidate.split('/')[0]));
+  return key ? key.split('/')[0] : null;
+}
+
+// Folder (relative to uploads) that new files for `game` ({ id, title } and
+// its asset keys) go into
+function gameFolderName(game) {
+  return findGameFolder(game) || newGameFolderName(game.id, game.title);
+}
+
+// Key for `fileName` in `folderName` that no file uses yet: "shot.png", then
+// "shot-2.png" and so on
+function unusedAssetKey(uploadsPath, folderName, fileName) {
+  const extension = path.extname(fileName);
+  const stem = fileName.slice(0, fileName.length - extension.length);
+  let key = `${folderName}/${fileName}`;
+  for (let number = 2; fs.existsSync(assetFilePath(uploadsPath, key)); number++) {
+    key = `${folderName}/${stem}-${number}${extension}`;
+  }
+  return key;
+}
+
+// Imports copy the files they refer to into the folder of the game they are
+// stored for, so no game points into another game's folder, where purging
+// that game would take the file with it. adopt(game, keys) copies what is
+// needed and returns { [key]: keyToStore }; keys already in the game's folder
+// are kept, and keys with no file behind them map to null so they are not
+// stored. undo() deletes the copies again when the import fails.
+function assetCopier(uploadsPath) {
+  const copies = [];
+  return {
+    adopt(game, keys) {
+      const folderName = gameFolderName(game);
+      const keyMap = {};
+      keys.filter(Boolean).forEach(key => {
+        if (key in keyMap) return;
+        const source = assetFilePath(uploadsPath, key);
+        if (!source || !fs.existsSync(source)) {
+          keyMap[key] = null;
+          return;
+        }
+        if (key.startsWith(`${folderName}/`)) {
+          keyMap[key] = key;
+          return;
+        }
+        const newKey = unusedAssetKey(uploadsPath, folderName, key.split('/').pop());
+        const target = assetFilePath(uploadsPath, newKey);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(source, target);
+        copies.push(target);
+        keyMap[key] = newKey;
+      });
+      return keyMap;
+    },
+    undo() {
+      copies.splice(0).forEach(file => fs.rmSync(file, { force: true }));
+    }
+  };
+}
+
+// Relative paths (with forward slashes) of every file below `dir`; for the
+// uploads folder these are asset keys
+function listFiles(dir, prefix = '') {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) return listFiles(path.join(dir, entry.name), relative);
+    return entry.isFile() ? [relative] : [];
+  });
+}
+
+// Image size/variant info (see images.js) with its variant keys as URLs
+function imageWithUrls(baseUrl, image) {
+  if (!image) return null;
+  return {
+    ...image,
+    thumbPath: assetUrl(baseUrl, image.thumbPath),
+    mediumPath: assetUrl(baseUrl, image.mediumPath)
+  };
+}
+
+// Copy of a formatted game with its image keys turned into URLs
+function withAssetUrls(baseUrl, game) {
+  return {
+    ...game,
+    coverArtPath: assetUrl(baseUrl, game.coverArtPath),
+    gameplayImagePath: assetUrl(baseUrl, game.gameplayImagePath),
+    coverArt: imageWithUrls(baseUrl, game.coverArt),
+    gameplayImage: imageWithUrls(baseUrl, game.gameplayImage),
+    additionalPhotos: (game.additionalPhotos || []).map(photo => ({
+      ...photo,
+      path: assetUrl(baseUrl, photo.path),
+      image: imageWithUrls(baseUrl, photo.image)
+    }))
+  };
+}
+
+module.exports = {
+  slugify,
+  newGameFolderName,
+  findGameFolder,
+  gameFolderName,
+  assetCopier,
+  listFiles,
+  toAssetKey,
+  isSafeAssetKey,
+  assetFilePath,
+  assetUrl,
+  imageWithUrls,
+  withAssetUrls
+};
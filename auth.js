@@ -0,0 +1,107 @@
+// API access control. The server listens on 127.0.0.1 unless remote access
+// is switched on, and every request needs a token:
+//   - the install token (api-token in the data folder, created on first
+//     start) for clients on this machine: the desktop window and scripts,
+//   - the remote token for clients on other machines. Remote access is off
+//     unless REMOTE_ACCESS=true; its token comes from REMOTE_ACCESS_TOKEN or
+//     is created in remote-api-token next to the install token.
+// The install token is never accepted from another machine, so turning
+// remote access on does not hand out the local credentials.
+//
+// Tokens are sent as "Authorization: Bearer <token>" (or X-API-Token).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TOKEN_FILE = 'api-token';
+const REMOTE_TOKEN_FILE = 'remote-api-token';
+const MIN_TOKEN_LENGTH = 16;
+
+const LOOPBACK_HOST = '127.0.0.1';
+const REMOTE_HOST = '0.0.0.0';
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Read the token stored in `fileName` under `storageRoot`, creating it
+// (readable by the owner only) when there is none yet
+function loadToken(storageRoot, fileName) {
+  const tokenPath = path.join(storageRoot, fileName);
+  if (fs.existsSync(tokenPath)) {
+    const token = fs.readFileSync(tokenPath, 'utf8').trim();
+    if (token.length >= MIN_TOKEN_LENGTH) {
+      return token;
+    }
+  }
+  const token = generateToken();
+  fs.writeFileSync(tokenPath, `${token}\n`, { mode: 0o600 });
+  return token;
+}
+
+function loadApiToken(storageRoot) {
+  return loadToken(storageRoot, TOKEN_FILE);
+}
+
+// Remote access settings, or null when it is off
+function getRemoteAccess(storageRoot) {
+  if (!['true', '1', 'yes'].includes(String(process.env.REMOTE_ACCESS || '').toLowerCase())) {
+    return null;
+  }
+  const configured = process.env.REMOTE_ACCESS_TOKEN;
+  if (configured !== undefined && configured.trim().length < MIN_TOKEN_LENGTH) {
+    throw new Error(`REMOTE_ACCESS_TOKEN must be at least ${MIN_TOKEN_LENGTH} characters long`);
+  }
+  return { token: configured ? configured.trim() : loadToken(storageRoot, REMOTE_TOKEN_FILE) };
+}
+
+function isLoopback(address) {
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+function requestToken(req) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return req.get('X-API-Token') || null;
+}
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Middleware rejecting requests without the right token for where they come
+// from
+function requireToken({ token, remoteAccess = null }) {
+  return (req, res, next) => {
+    // CORS preflights never carry credentials
+    if (req.method === 'OPTIONS') {
+      return next();
+    }
+
+    const local = isLoopback(req.socket.remoteAddress);
+    if (!local && !remoteAccess) {
+      return res.status(403).json({ error: 'Remote access is disabled' });
+    }
+
+    const given = requestToken(req);
+    const expected = local ? token : remoteAccess.token;
+    if (!given || !tokensMatch(given, expected)) {
+      return res.status(401).json({ error: 'Missing or invalid API token' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  LOOPBACK_HOST,
+  REMOTE_HOST,
+  TOKEN_FILE,
+  loadApiToken,
+  getRemoteAccess,
+  requireToken
+};
@@ -0,0 +1,312 @@
+// Single-file backups: a zip holding a snapshot of games.db, a readable
+// games.json export, every file under uploads/ and a manifest.json listing the
+// schema version and a SHA-256 checksum for each of those files.
+//
+// Archives are streamed in both directions, so a backup never has to fit in
+// memory. Restoring unpacks the archive into a staging folder, checking every
+// entry against the manifest on the way, before touching anything; it then
+// keeps the current database and uploads folder under backups/ and swaps the
+// staged copies in. Images are referenced by asset keys (see assets.js), so nothing
+// in the database depends on the machine the backup was made on; older
+// backups that still hold URLs are converted by the schema migrations.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+const migrations = require('./migrations');
+const { listFiles } = require('./assets');
+const { version: appVersion } = require('./package.json');
+
+const BACKUP_FORMAT = 'game-collection-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const MAX_MANIFEST_BYTES = 64 * 1024 * 1024;
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { size, sha256: hash.digest('hex') };
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Only the database, the JSON export and files inside uploads/ may be restored
+function isSafeEntryName(name) {
+  if (name === 'games.db' || name === 'games.json') return true;
+  return name.startsWith('uploads/') &&
+    !name.includes('\\') &&
+    name.split('/').every(part => part !== '' && part !== '.' && part !== '..');
+}
+
+// Write the backup archive to the writable stream `output` (a file or an HTTP
+// response) and resolve with its manifest once everything has been written
+async function createBackup(db, appDataPath, output) {
+  const zip = archiver('zip');
+  const written = pipeline(zip, output);
+  // Awaited below; this only keeps an early failure from going unhandled
+  written.catch(() => {});
+  const files = [];
+  const addFile = async (name, filePath) => {
+    files.push({ path: name, ...await hashFile(filePath) });
+    zip.file(filePath, { name });
+  };
+  const addBuffer = (name, data) => {
+    files.push({ path: name, size: data.length, sha256: sha256(data) });
+    zip.append(data, { name });
+  };
+
+  const snapshotPath = path.join(os.tmpdir(), `games-backup-${timestamp()}.db`);
+  try {
+    await db.snapshot(snapshotPath);
+    await addFile('games.db', snapshotPath);
+
+    const games = await db.getAllGames({ includeDeleted: true });
+    addBuffer('games.json', Buffer.from(JSON.stringify({ exportDate: new Date().toISOString(), games }, null, 2)));
+
+    const uploadsDir = path.join(appDataPath, 'uploads');
+    for (const relative of listFiles(uploadsDir)) {
+      await addFile(`uploads/${relative}`, path.join(uploadsDir, ...relative.split('/')));
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      formatVersion: BACKUP_FORMAT_VERSION,
+      appVersion,
+      schemaVersion: db.getSchemaVersion(),
+      createdAt: new Date().toISOString(),
+      gameCount: games.length,
+      files
+    };
+    zip.append(Buffer.from(JSON.stringify(manifest, null, 2)), { name: 'manifest.json' });
+    zip.finalize();
+    await written;
+    return manifest;
+  } catch (error) {
+    zip.abort();
+    throw error;
+  } finally {
+    if (fs.existsSync(snapshotPath)) fs.unlinkSync(snapshotPath);
+  }
+}
+
+function openZip(archivePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true, autoClose: false }, (error, zip) => (error ? reject(error) : resolve(zip)));
+  });
+}
+
+// Every entry of an open archive by name. Only the central directory is read.
+function readEntries(zip) {
+  return new Promise((resolve, reject) => {
+    const entries = new Map();
+    zip.on('entry', entry => {
+      entries.set(entry.fileName, entry);
+      zip.readEntry();
+    });
+    zip.once('end', () => resolve(entries));
+    zip.once('error', reject);
+    zip.readEntry();
+  });
+}
+
+function openEntry(zip, entry) {
+  return new Promise((resolve, reject) => {
+    zip.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+  });
+}
+
+async function readEntryText(zip, entry) {
+  const chunks = [];
+  for await (const chunk of await openEntry(zip, entry)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Decompress one entry to `target` and return the SHA-256 of what was written
+async function extractEntry(zip, entry, target) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(
+    await openEntry(zip, entry),
+    async function* (chunks) {
+      for await (const chunk of chunks) {
+        hash.update(chunk);
+        yield chunk;
+      }
+    },
+    fs.createWriteStream(target)
+  );
+  return hash.digest('hex');
+}
+
+// Check the manifest and entry names of an open archive. Returns the manifest
+// or { error }.
+async function checkManifest(zip, entries) {
+  const manifestEntry = entries.get('manifest.json');
+  if (!manifestEntry) {
+    return { error: 'Backup archive has no manifest.json' };
+  }
+  if (manifestEntry.uncompressedSize > MAX_MANIFEST_BYTES) {
+    return { error: 'Backup manifest is too large' };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await readEntryText(zip, manifestEntry));
+  } catch (error) {
+    return { error: `Backup manifest is not valid JSON: ${error.message}` };
+  }
+  if (!manifest || manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.files)) {
+    return { error: 'Not a Game Collection backup' };
+  }
+  if (manifest.formatVersion > BACKUP_FORMAT_VERSION) {
+    return { error: `Backup format ${manifest.formatVersion} is newer than this app supports. Please update Game Collection Manager.` };
+  }
+
+  const latestVersion = migrations[migrations.length - 1].version;
+  if (manifest.schemaVersion > latestVersion) {
+    return { error: `Backup was made with database schema ${manifest.schemaVersion}, newer than this app supports (${latestVersion}). Please update Game Collection Manager.` };
+  }
+
+  const listed = new Set();
+  for (const file of manifest.files) {
+    if (!file || typeof file.path !== 'string' || !isSafeEntryName(file.path)) {
+      return { error: `Backup manifest lists an invalid path: ${file && file.path}` };
+    }
+    const entry = entries.get(file.path);
+    if (!entry) {
+      return { error: `Backup is missing ${file.path}` };
+    }
+    if (entry.uncompressedSize !== file.size) {
+      return { error: `Size mismatch for ${file.path}; the backup is damaged` };
+    }
+    listed.add(file.path);
+  }
+  if (!listed.has('games.db')) {
+    return { error: 'Backup has no database' };
+  }
+
+  const unexpected = [...entries.keys()].find(name =>
+    !name.endsWith('/') && name !== 'manifest.json' && !listed.has(name)
+  );
+  if (unexpected) {
+    return { error: `Backup contains a file not listed in its manifest: ${unexpected}` };
+  }
+
+  return { manifest };
+}
+
+// Unpack the archive at `archivePath` into a staging folder under
+// `appDataPath`, checking it completely on the way: manifest, entry names and
+// every checksum. Each entry is decompressed once. Returns { manifest,
+// stagingDir } for restoreBackup, or { error } describing the problem (the
+// staging folder is removed again).
+async function readBackup(archivePath, appDataPath) {
+  let zip;
+  let entries;
+  try {
+    zip = await openZip(archivePath);
+    entries = await readEntries(zip);
+  } catch (error) {
+    if (zip) zip.close();
+    return { error: `Not a valid backup archive: ${error.message}` };
+  }
+
+  const stagingDir = path.join(appDataPath, `restore-${timestamp()}`);
+  try {
+    const { manifest, error } = await checkManifest(zip, entries);
+    if (error) {
+      return { error };
+    }
+
+    for (const file of manifest.files) {
+      const target = path.join(stagingDir, ...file.path.split('/'));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      if (await extractEntry(zip, entries.get(file.path), target) !== file.sha256) {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+        return { error: `Checksum mismatch for ${file.path}; the backup is damaged` };
+      }
+    }
+    return { manifest, stagingDir };
+  } catch (error) {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    return { error: `Not a valid backup archive: ${error.message}` };
+  } finally {
+    zip.close();
+  }
+}
+
+// Replace the current database and uploads with the copies readBackup staged.
+// `db` is closed and reopened (running any migrations the backup needs).
+// If anything fails the previous database and uploads are put back. The
+// staging folder is removed either way.
+async function restoreBackup(db, appDataPath, stagingDir, manifest) {
+  const stamp = timestamp();
+  const dbPath = db.getDatabasePath();
+  const uploadsDir = path.join(appDataPath, 'uploads');
+  const backupDir = path.join(appDataPath, 'backups');
+  const previousUploads = path.join(backupDir, `uploads-before-restore-${stamp}`);
+
+  try {
+    fs.mkdirSync(backupDir, { recursive: true });
+    const previousDb = await db.backupDatabase(dbPath, db.getSchemaVersion());
+    db.close();
+
+    let uploadsMoved = false;
+    try {
+      if (fs.existsSync(uploadsDir)) {
+        fs.renameSync(uploadsDir, previousUploads);
+        uploadsMoved = true;
+      }
+      const stagedUploads = path.join(stagingDir, 'uploads');
+      if (fs.existsSync(stagedUploads)) {
+        fs.renameSync(stagedUploads, uploadsDir);
+      } else {
+        fs.mkdirSync(uploadsDir, { recursive: true });
+      }
+      fs.copyFileSync(path.join(stagingDir, 'games.db'), dbPath);
+
+      await db.initialize();
+      const games = await db.getAllGames({ includeDeleted: true });
+
+      return {
+        gameCount: games.length,
+        fileCount: manifest.files.filter(file => file.path.startsWith('uploads/')).length,
+        previousDatabase: previousDb,
+        previousUploads: uploadsMoved ? previousUploads : null
+      };
+    } catch (error) {
+      db.close();
+      if (fs.existsSync(uploadsDir)) {
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+      }
+      if (uploadsMoved) {
+        fs.renameSync(previousUploads, uploadsDir);
+      }
+      fs.copyFileSync(previousDb, dbPath);
+      await db.initialize();
+      throw new Error(`Restore failed and the previous collection was kept: ${error.message}`);
+    }
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  createBackup,
+  readBackup,
+  restoreBackup
+};
@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+// Command line interface for the collection. It opens games.db directly
+// through GameDatabase, so it works without the desktop app or the API
+// server running, and records its changes in the game history as
+// "cli <command>".
+//
+// The data folder comes from --data=<folder>, GAME_COLLECTION_DATA or the
+// app folder, the same as `node server.js`. List filters take the names and
+// values of the /games/list query parameters (see filters.js).
+//
+// Exit codes: 0 success, 1 unexpected error, 2 usage error or invalid option
+// value, 3 game not found, 4 rejected (invalid import file, strike limit).
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const Database = require('./database');
+const { parseGameFilters, parseTagList } = require('./filters');
+const { parseImportOptions, buildImportPlan, buildCsvImport } = require('./importer');
+const { EXPORT_COLUMNS, gamesToCsv } = require('./csv');
+const { createBackup } = require('./backup');
+const { assetCopier } = require('./assets');
+const { MAX_STRIKES, MAX_RAGE_RATING } = Database;
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_NOT_FOUND = 3;
+const EXIT_REJECTED = 4;
+
+const USAGE = `Usage: game-collection <command> [options]
+
+Commands:
+  list                 List games. Filters: --search --platform --finished
+                       --is_checked --strikes --minRageRating --maxRageRating
+                       --tags --tagMode --addedFrom --addedTo --sort --order
+                       --limit --offset
+  add <title>          Add a game. Fields: --platform --link --notes --tags
+                       --rageRating --strikes --finished --is_checked
+  edit <id>            Change the given fields of a game (same as add, plus
+                       --title); --tags replaces all tags
+  finish <id>          Mark a game finished (--undo to reopen it)
+  strike <id>          Add a strike, up to ${MAX_STRIKES} (--remove takes one away)
+  export               Export the collection: --type=json|csv, --columns=a,b
+                       for CSV, --output=<file> (default: standard output)
+  import <file>        Import a JSON export or a CSV file: --mode,
+                       --conflictPolicy, --mapping='{"field":"header"}' for
+                       CSV, --dry-run to only show the plan
+  backup               Write a backup zip: --output=<file>
+
+Options:
+  --data=<folder>      Folder holding games.db and uploads/
+  --format=table|json  Output format (default: table)
+  --verbose            Show database status messages on standard error
+  --help               Show this help`;
+
+const OPTIONS = {
+  data: { type: 'string' },
+  format: { type: 'string' },
+  help: { type: 'boolean' },
+  verbose: { type: 'boolean' },
+  // list filters
+  search: { type: 'string' },
+  platform: { type: 'string' },
+  finished: { type: 'string' },
+  is_checked: { type: 'string' },
+  strikes: { type: 'string' },
+  minRageRating: { type: 'string' },
+  maxRageRating: { type: 'string' },
+  tags: { type: 'string' },
+  tagMode: { type: 'string' },
+  addedFrom: { type: 'string' },
+  addedTo: { type: 'string' },
+  sort: { type: 'string' },
+  order: { type: 'string' },
+  limit: { type: 'string' },
+  offset: { type: 'string' },
+  // game fields
+  title: { type: 'string' },
+  link: { type: 'string' },
+  notes: { type: 'string' },
+  rageRating: { type: 'string' },
+  // command options
+  undo: { type: 'boolean' },
+  remove: { type: 'boolean' },
+  type: { type: 'string' },
+  columns: { type: 'string' },
+  bom: { type: 'boolean' },
+  output: { type: 'string' },
+  mode: { type: 'string' },
+  conflictPolicy: { type: 'string' },
+  fieldPolicy: { type: 'string' },
+  mapping: { type: 'string' },
+  'dry-run': { type: 'boolean' }
+};
+
+function cliError(message, exitCode) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
+
+// Game fields given as options, validated like the edit form
+function readGameFields(values) {
+  const fields = {};
+  ['title', 'platform', 'link', 'notes'].forEach(field => {
+    if (values[field] !== undefined) fields[field] = values[field];
+  });
+  if (fields.title !== undefined) {
+    fields.title = fields.title.trim();
+    if (fields.title === '') {
+      throw cliError('Invalid title: must not be empty', EXIT_USAGE);
+    }
+  }
+
+  [['rageRating', MAX_RAGE_RATING], ['strikes', MAX_STRIKES]].forEach(([field, max]) => {
+    if (values[field] === undefined) return;
+    const number = Number(values[field]);
+    if (values[field].trim() === '' || !Number.isInteger(number) || number < 0 || number > max) {
+      throw cliError(`Invalid ${field}: expected a whole number between 0 and ${max}`, EXIT_USAGE);
+    }
+    fields[field] = number;
+  });
+
+  ['finished', 'is_checked'].forEach(field => {
+    if (values[field] === undefined) return;
+    if (['yes', 'true', '1'].includes(values[field])) {
+      fields[field] = true;
+    } else if (['no', 'false', '0'].includes(values[field])) {
+      fields[field] = false;
+    } else {
+      throw cliError(`Invalid ${field}: expected yes/no`, EXIT_USAGE);
+    }
+  });
+
+  if (values.tags !== undefined) {
+    fields.tags = parseTagList(values.tags);
+  }
+  return fields;
+}
+
+function parseGameId(value) {
+  const id = Number(value);
+  if (value === undefined || !Number.isInteger(id) || id < 1) {
+    throw cliError('Expected a game id', EXIT_USAGE);
+  }
+  return id;
+}
+
+async function findGame(db, value) {
+  const game = await db.getGameById(parseGameId(value));
+  if (!game) {
+    throw cliError(`Game ${value} not found`, EXIT_NOT_FOUND);
+  }
+  return game;
+}
+
+function printTable(columns, rows) {
+  const widths = columns.map(column => Math.max(
+    column.label.length,
+    ...rows.map(row => String(column.value(row)).length)
+  ));
+  const line = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(columns.map(column => column.label)));
+  rows.forEach(row => console.log(line(columns.map(column => column.value(row)))));
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+const GAME_COLUMNS = [
+  { label: 'ID', value: game => game.id },
+  { label: 'TITLE', value: game => truncate(game.title, 40) },
+  { label: 'PLATFORM', value: game => game.platform || '' },
+  { label: 'FINISHED', value: game => game.finished ? 'yes' : 'no' },
+  { label: 'CHECKED', value: game => game.is_checked ? 'yes' : 'no' },
+  { label: 'STRIKES', value: game => game.strikes || 0 },
+  { label: 'RAGE', value: game => game.rageRating || 0 },
+  { label: 'TAGS', value: game => (game.tags || []).join(', ') }
+];
+
+function printGame(format, game, message) {
+  if (format === 'json') {
+    console.log(JSON.stringify(game, null, 2));
+  } else {
+    console.log(message);
+  }
+}
+
+function writeOutput(output, content) {
+  if (output) {
+    fs.writeFileSync(path.resolve(output), content);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+function printImportErrors(errors) {
+  errors.forEach(entry => {
+    const where = entry.row !== undefined ? `Row ${entry.row}` : (entry.title || `Entry ${entry.index + 1}`);
+    console.error(`${where}${entry.column ? ` (${entry.column})` : ''}: ${entry.error}`);
+  });
+}
+
+const COMMANDS = {
+  async list(db, args, values, format) {
+    if (args.length > 0) {
+      throw cliError(`Unexpected argument "${args[0]}"`, EXIT_USAGE);
+    }
+    let filters;
+    try {
+      filters = parseGameFilters(values);
+    } catch (error) {
+      throw cliError(error.message, EXIT_USAGE);
+    }
+
+    const result = await db.queryGames(filters);
+    if (format === 'json') {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+    printTable(GAME_COLUMNS, result.games);
+    console.log(`\n${result.games.length} of ${result.total} matching games (${result.unfilteredTotal} in the collection)`);
+  },
+
+  async add(db, args, values, format, source) {
+    const title = args.join(' ').trim();
+    if (title === '') {
+      throw cliError('Expected a title: game-collection add <title>', EXIT_USAGE);
+    }
+    const fields = readGameFields(values);
+    if (fields.title !== undefined) {
+      throw cliError('Give the title as the argument, not as --title', EXIT_USAGE);
+    }
+
+    const id = await db.createGame({ ...fields, title }, source);
+    const game = await db.getGameById(id);
+    printGame(format, game, `Added game ${id}: ${game.title}`);
+  },
+
+  async edit(db, args, values, format, source) {
+    const game = await findGame(db, args[0]);
+    const fields = readGameFields(values);
+    if (Object.keys(fields).length === 0) {
+      throw cliError('Nothing to change: give at least one field option', EXIT_USAGE);
+    }
+
+    await db.updateGame(game.id, fields, source);
+    const updated = await db.getGameById(game.id);
+    printGame(format, updated, `Updated game ${game.id}: ${updated.title}`);
+  },
+
+  async finish(db, args, values, format, source) {
+    const game = await findGame(db, args[0]);
+    const finished = !values.undo;
+    if (Boolean(game.finished) !== finished) {
+      await db.updateGame(game.id, { finished }, source);
+    }
+    const updated = await db.getGameById(game.id);
+    printGame(format, updated, `${updated.title} is ${finished ? 'finished' : 'not finished'}`);
+  },
+
+  async strike(db, args, values, format, source) {
+    const game = await findGame(db, args[0]);
+    const strikes = (game.strikes || 0) + (values.remove ? -1 : 1);
+    if (strikes > MAX_STRIKES) {
+      throw cliError(`${game.title} already has ${MAX_STRIKES} strikes`, EXIT_REJECTED);
+    }
+    if (strikes < 0) {
+      throw cliError(`${game.title} has no strikes`, EXIT_REJECTED);
+    }
+
+    await db.updateGame(game.id, { strikes }, source);
+    const updated = await db.getGameById(game.id);
+    printGame(format, updated, `${updated.title}: ${strikes}/${MAX_STRIKES} strikes`);
+  },
+
+  async export(db, args, values) {
+    const type = values.type || 'json';
+    if (type === 'json') {
+      const games = await db.getAllGames();
+      writeOutput(values.output, JSON.stringify({ exportDate: new Date().toISOString(), games }, null, 2) + '\n');
+    } else if (type === 'csv') {
+      const columns = values.columns
+        ? values.columns.split(',').map(column => column.trim()).filter(column => column !== '')
+        : Object.keys(EXPORT_COLUMNS);
+      const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+      if (columns.length === 0 || unknown.length > 0) {
+        throw cliError(`Invalid columns: expected any of ${Object.keys(EXPORT_COLUMNS).join(', ')}`, EXIT_USAGE);
+      }
+      const { games } = await db.queryGames({ sort: 'title' });
+      writeOutput(values.output, gamesToCsv(games, columns, { bom: values.bom }));
+    } else {
+      throw cliError('Invalid type: expected json or csv', EXIT_USAGE);
+    }
+    if (values.output) {
+      console.error(`Exported to ${path.resolve(values.output)}`);
+    }
+  },
+
+  // Imported photos are processed the next time the server starts
+  async import(db, args, values, format, source, storageRoot) {
+    if (!args[0]) {
+      throw cliError('Expected a file: game-collection import <file>', EXIT_USAGE);
+    }
+    const filePath = path.resolve(args[0]);
+    if (!fs.existsSync(filePath)) {
+      throw cliError(`File not found: ${filePath}`, EXIT_USAGE);
+    }
+
+    const body = { mode: values.mode, conflictPolicy: values.conflictPolicy, fieldPolicy: values.fieldPolicy, mapping: values.mapping };
+    const { error } = parseImportOptions(body);
+    if (error) {
+      throw cliError(error, EXIT_USAGE);
+    }
+    const isCsv = path.extname(filePath).toLowerCase() === '.csv';
+    let plan;
+    if (isCsv) {
+      const result = await buildCsvImport(db, filePath, body);
+      if (result.error) {
+        throw cliError(result.error, EXIT_REJECTED);
+      }
+      if (result.errors.length > 0) {
+        printImportErrors(result.errors);
+        throw cliError('Some rows are invalid; nothing was imported', EXIT_REJECTED);
+      }
+      plan = result.plan;
+    } else {
+      const result = await buildImportPlan(db, filePath, body);
+      if (result.error) {
+        throw cliError(result.error, EXIT_REJECTED);
+      }
+      plan = result.plan;
+    }
+    if (plan.errors.length > 0) {
+      printImportErrors(plan.errors);
+      throw cliError('Import file has invalid games; nothing was imported', EXIT_REJECTED);
+    }
+
+    if (values['dry-run']) {
+      if (format === 'json') {
+        console.log(JSON.stringify(plan, null, 2));
+      } else {
+        console.log(`Would add ${plan.added.length}, update ${plan.updated.length} and skip ${plan.skipped.length} games` +
+          `${plan.trashed > 0 ? `, moving ${plan.trashed} to the trash` : ''} (${plan.conflicts.length} conflicts)`);
+        plan.possibleDuplicates.forEach(entry => {
+          console.log(`  ${entry.title} may be a duplicate of ${entry.matches.map(match => match.title).join(', ')}`);
+        });
+      }
+      return;
+    }
+
+    const copier = assetCopier(path.join(storageRoot, 'uploads'));
+    let applied;
+    try {
+      applied = await db.applyImportPlan(plan, source, copier.adopt);
+    } catch (error) {
+      copier.undo();
+      throw error;
+    }
+    if (format === 'json') {
+      console.log(JSON.stringify({ ...applied, conflicts: plan.conflicts }, null, 2));
+    } else {
+      console.log(`Imported ${applied.added} new and updated ${applied.updated} existing games (${applied.skipped} skipped)`);
+    }
+  },
+
+  async backup(db, args, values, format, source, storageRoot) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const output = path.resolve(values.output || `game-collection-backup-${stamp}.zip`);
+    try {
+      await createBackup(db, storageRoot, fs.createWriteStream(output));
+    } catch (error) {
+      fs.rmSync(output, { force: true });
+      throw error;
+    }
+    if (format === 'json') {
+      console.log(JSON.stringify({ path: output, size: fs.statSync(output).size }, null, 2));
+    } else {
+      console.log(`Backup written to ${output}`);
+    }
+  }
+};
+
+async function run(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw cliError(error.message, EXIT_USAGE);
+  }
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? EXIT_OK : EXIT_USAGE;
+  }
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+    throw cliError(`Unknown command "${command}"\n\n${USAGE}`, EXIT_USAGE);
+  }
+  const format = values.format || 'table';
+  if (!['table', 'json'].includes(format)) {
+    throw cliError('Invalid format: expected table or json', EXIT_USAGE);
+  }
+
+  // A mistyped --data would otherwise silently start an empty collection
+  const storageRoot = path.resolve(values.data || process.env.GAME_COLLECTION_DATA || __dirname);
+  const dbPath = path.join(storageRoot, 'games.db');
+  if (!fs.existsSync(dbPath)) {
+    throw cliError(`No collection found at ${dbPath}`, EXIT_USAGE);
+  }
+  // Keep standard output for results; status messages only show with --verbose
+  const db = new Database(dbPath, { log: values.verbose ? console.error : () => {} });
+  try {
+    await db.initialize();
+    await COMMANDS[command](db, args, values, format, `cli ${command}`, storageRoot);
+  } finally {
+    db.close();
+  }
+  return EXIT_OK;
+}
+
+if (require.main === module) {
+  require('dotenv').config({ quiet: true });
+  run(process.argv.slice(2))
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      console.error(error.exitCode ? error.message : error);
+      process.exitCode = error.exitCode || EXIT_ERROR;
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,278 @@
+// Companion web view for phones on the local network: a small page under
+// /companion/ (files in companion/) that lists, filters and shows games and
+// picks a random one. The only changes it can make are marking a game
+// finished, adding a strike and adding a note. It is off unless
+// COMPANION=true.
+//
+// Phones pair by entering the code shown in the desktop app and then carry a
+// session cookie. A new code signs every paired phone out. Too many wrong
+// codes from one address lock that address out for a while.
+//
+// The companion routes sit in front of the API token check (see auth.js);
+// nothing else of the API becomes reachable from the network through them.
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { parseGameFilters } = require('./filters');
+const { withAssetUrls } = require('./assets');
+const { MAX_STRIKES } = require('./database');
+
+const SESSION_COOKIE = 'companion_session';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const MAX_PAIRING_FAILURES = 5;
+const PAIRING_LOCKOUT = 5 * 60 * 1000;
+
+const PAGE_HEADERS = {
+  'Content-Security-Policy': "default-src 'self'; img-src 'self'; object-src 'none'; base-uri 'none'; form-action 'self'; frame-ancestors 'none'",
+  'X-Content-Type-Options': 'nosniff',
+  'Referrer-Policy': 'no-referrer'
+};
+
+function isCompanionEnabled() {
+  return ['true', '1', 'yes'].includes(String(process.env.COMPANION || '').toLowerCase());
+}
+
+function generatePairingCode() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+// Addresses a phone on the same network can reach the page at
+function companionUrls(port) {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter(address => address && address.family === 'IPv4' && !address.internal)
+    .map(address => `http://${address.address}:${port}/companion/`);
+}
+
+function readCookie(req, name) {
+  const header = req.get('Cookie') || '';
+  const cookie = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+function sameCode(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// What the list shows of a game
+function listEntry(game) {
+  const withUrls = withAssetUrls('/companion', game);
+  return {
+    id: game.id,
+    title: game.title,
+    platform: game.platform,
+    finished: game.finished,
+    is_checked: game.is_checked,
+    strikes: game.strikes,
+    rageRating: game.rageRating,
+    tags: game.tags || [],
+    cover: withUrls.coverArt ? withUrls.coverArt.thumbPath : withUrls.coverArtPath
+  };
+}
+
+function detailEntry(game) {
+  const withUrls = withAssetUrls('/companion', game);
+  return {
+    ...listEntry(game),
+    link: game.link,
+    notes: game.notes,
+    additionalNotes: game.additionalNotes || [],
+    totalHoursPlayed: game.totalHoursPlayed,
+    lastPlayed: game.lastPlayed,
+    cover: withUrls.coverArt ? withUrls.coverArt.mediumPath : withUrls.coverArtPath
+  };
+}
+
+// Build the companion router (mounted at /companion). Returns { router,
+// getPairingCode(), resetPairing() }.
+function createCompanion({ db, uploadsPath }) {
+  let pairingCode = generatePairingCode();
+  const sessions = new Map();
+  const failures = new Map();
+
+  const router = express.Router();
+  router.use((req, res, next) => {
+    res.set(PAGE_HEADERS);
+    next();
+  });
+  router.use(express.static(path.join(__dirname, 'companion')));
+
+  // Changes are only accepted as JSON: a page on another site can't send
+  // that without a CORS preflight, which the server refuses
+  const jsonOnly = (req, res, next) => {
+    if (req.method === 'POST' && !req.is('application/json')) {
+      return res.status(415).json({ error: 'Expected a JSON body' });
+    }
+    next();
+  };
+  router.use('/api', express.json(), jsonOnly, (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  router.post('/api/pair', (req, res) => {
+    const address = req.socket.remoteAddress;
+    const failure = failures.get(address);
+    if (failure && failure.lockedUntil > Date.now()) {
+      return res.status(429).json({ error: 'Too many wrong codes; try again in a few minutes' });
+    }
+
+    if (!req.body || !sameCode(req.body.code, pairingCode)) {
+      // Counting starts over once a lockout has run out
+      const count = (failure && !failure.lockedUntil ? failure.count : 0) + 1;
+      failures.set(address, { count, lockedUntil: count >= MAX_PAIRING_FAILURES ? Date.now() + PAIRING_LOCKOUT : 0 });
+      return res.status(401).json({ error: 'Wrong pairing code' });
+    }
+
+    failures.delete(address);
+    const session = crypto.randomBytes(32).toString('hex');
+    sessions.set(session, Date.now() + SESSION_MAX_AGE);
+    res.cookie(SESSION_COOKIE, session, {
+      httpOnly: true,
+      sameSite: 'strict',
+      path: '/companion',
+      maxAge: SESSION_MAX_AGE
+    });
+    res.json({ paired: true });
+  });
+
+  const requireSession = (req, res, next) => {
+    const session = readCookie(req, SESSION_COOKIE);
+    const expiresAt = session ? sessions.get(session) : undefined;
+    if (!expiresAt || expiresAt < Date.now()) {
+      if (session) sessions.delete(session);
+      return res.status(401).json({ error: 'Not paired' });
+    }
+    req.companionSession = session;
+    next();
+  };
+  router.use('/api', requireSession);
+  router.use('/uploads', requireSession, express.static(uploadsPath));
+
+  // Recorded in game_history like the API's own sources
+  const companionSource = (req) => `companion ${req.method} ${req.route.path}`;
+
+  router.post('/api/unpair', (req, res) => {
+    sessions.delete(req.companionSession);
+    res.clearCookie(SESSION_COOKIE, { path: '/companion' });
+    res.json({ paired: false });
+  });
+
+  // Same filters as the desktop list (see filters.js); sort=random&limit=1
+  // is the Random pick
+  router.get('/api/games', async (req, res) => {
+    let filters;
+    try {
+      filters = parseGameFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const result = await db.queryGames(filters);
+      res.json({ games: result.games.map(listEntry), total: result.total, unfilteredTotal: result.unfilteredTotal });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/api/filters', async (req, res) => {
+    try {
+      const [platforms, tags] = await Promise.all([db.getPlatforms(), db.getTags()]);
+      res.json({ platforms, tags: tags.filter(tag => tag.gameCount > 0).map(tag => tag.name) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/api/games/:id', async (req, res) => {
+    try {
+      const game = await db.getGameById(req.params.id);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      res.json(detailEntry(game));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/api/games/:id/finished', async (req, res) => {
+    try {
+      const game = await db.getGameById(req.params.id);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      if (typeof req.body.finished !== 'boolean') {
+        return res.status(400).json({ error: 'finished must be true or false' });
+      }
+
+      await db.updateGame(game.id, { finished: req.body.finished }, companionSource(req));
+      res.json(detailEntry(await db.getGameById(game.id)));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/api/games/:id/strike', async (req, res) => {
+    try {
+      const game = await db.getGameById(req.params.id);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      if (game.strikes >= MAX_STRIKES) {
+        return res.status(400).json({ error: `${game.title} already has ${MAX_STRIKES} strikes` });
+      }
+
+      await db.updateGame(game.id, { strikes: game.strikes + 1 }, companionSource(req));
+      res.json(detailEntry(await db.getGameById(game.id)));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/api/games/:id/notes', async (req, res) => {
+    try {
+      const game = await db.getGameById(req.params.id);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+      if (content === '') {
+        return res.status(400).json({ error: 'Note content is required' });
+      }
+
+      await db.addNote(game.id, { content }, companionSource(req));
+      res.json(detailEntry(await db.getGameById(game.id)));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Nothing under /companion falls through to the token-protected API
+  router.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  return {
+    router,
+    getPairingCode: () => pairingCode,
+    // A new code also signs out every paired phone
+    resetPairing() {
+      pairingCode = generatePairingCode();
+      sessions.clear();
+      failures.clear();
+      return pairingCode;
+    }
+  };
+}
+
+module.exports = {
+  isCompanionEnabled,
+  companionUrls,
+  createCompanion
+};
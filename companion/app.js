@@ -0,0 +1,274 @@
+// Phone companion page. Everything from the collection is put into the page
+// with textContent, never as markup. The detail view lives at #game-<id>, so
+// the phone's back button returns to the list.
+
+const views = ['pairView', 'listView', 'detailView'];
+let searchTimer = null;
+let randomPick = null;
+
+function showView(name) {
+  views.forEach(view => {
+    document.getElementById(view).hidden = view !== name;
+  });
+}
+
+// JSON request to the companion API. A 401 means the phone is not (or no
+// longer) paired.
+async function api(route, options = {}) {
+  const response = await fetch(`api/${route}`, {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json' } : {},
+    credentials: 'same-origin'
+  });
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401 && route !== 'pair') {
+    showView('pairView');
+    throw new Error(data.error || 'Not paired');
+  }
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+  return data;
+}
+
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function listQuery() {
+  const params = new URLSearchParams({
+    search: document.getElementById('search').value,
+    finished: document.getElementById('finishedFilter').value,
+    platform: document.getElementById('platformFilter').value
+  });
+  const tag = document.getElementById('tagFilter').value;
+  if (tag) {
+    params.set('tags', tag);
+  }
+  return params;
+}
+
+async function loadFilters() {
+  const { platforms, tags } = await api('filters');
+  const fill = (select, values) => {
+    const current = select.value;
+    while (select.options.length > 1) {
+      select.remove(1);
+    }
+    values.forEach(value => select.add(new Option(value, value)));
+    if (values.includes(current)) {
+      select.value = current;
+    }
+  };
+  fill(document.getElementById('platformFilter'), platforms);
+  fill(document.getElementById('tagFilter'), tags);
+}
+
+function renderList(games, status) {
+  const list = document.getElementById('gameList');
+  list.replaceChildren();
+  document.getElementById('listStatus').textContent = status;
+
+  games.forEach(game => {
+    const item = element('li');
+    if (game.cover) {
+      const img = element('img');
+      img.src = game.cover;
+      img.alt = '';
+      img.loading = 'lazy';
+      item.appendChild(img);
+    } else {
+      item.appendChild(element('div', 'no-cover'));
+    }
+
+    const text = element('div');
+    text.appendChild(element('div', 'title', game.title));
+    const meta = element('div', 'meta');
+    if (game.finished) {
+      meta.appendChild(element('span', 'badge finished', 'Finished'));
+    }
+    if (game.strikes > 0) {
+      meta.appendChild(element('span', 'badge', `${game.strikes}/3 strikes`));
+    }
+    meta.appendChild(document.createTextNode(game.platform || ''));
+    text.appendChild(meta);
+    item.appendChild(text);
+
+    item.addEventListener('click', () => {
+      location.hash = `game-${game.id}`;
+    });
+    list.appendChild(item);
+  });
+}
+
+async function loadList() {
+  randomPick = null;
+  document.getElementById('randomBtn').classList.remove('active');
+  document.getElementById('randomBtn').textContent = 'Random';
+  try {
+    const result = await api(`games?${listQuery()}`);
+    renderList(result.games, `${result.total} of ${result.unfilteredTotal} games`);
+  } catch (error) {
+    document.getElementById('listStatus').textContent = error.message;
+  }
+}
+
+// Random works like the desktop button: one pick among the filtered games,
+// pressing again goes back to the list
+async function toggleRandom() {
+  if (randomPick) {
+    loadList();
+    return;
+  }
+  try {
+    const params = listQuery();
+    params.set('sort', 'random');
+    params.set('limit', '1');
+    const result = await api(`games?${params}`);
+    if (result.games.length === 0) {
+      document.getElementById('listStatus').textContent = 'No games match the filters';
+      return;
+    }
+    randomPick = result.games[0];
+    renderList(result.games, 'Random pick');
+    document.getElementById('randomBtn').classList.add('active');
+    document.getElementById('randomBtn').textContent = 'Reset';
+  } catch (error) {
+    document.getElementById('listStatus').textContent = error.message;
+  }
+}
+
+function detailRow(label, value, className) {
+  const row = element('div', 'detail-row');
+  row.appendChild(element('span', 'detail-label', label));
+  row.appendChild(element('span', className, value));
+  return row;
+}
+
+function renderDetail(game) {
+  const detail = document.getElementById('gameDetail');
+  detail.replaceChildren();
+
+  if (game.cover) {
+    const img = element('img', 'cover');
+    img.src = game.cover;
+    img.alt = `${game.title} cover`;
+    detail.appendChild(img);
+  }
+  detail.appendChild(element('h2', null, game.title));
+  detail.appendChild(detailRow('Platform:', game.platform || 'Not specified'));
+  detail.appendChild(detailRow('Finished:', game.finished ? 'Yes' : 'No'));
+  detail.appendChild(detailRow('Rage rating:', '★'.repeat(game.rageRating) + '☆'.repeat(3 - game.rageRating)));
+  detail.appendChild(detailRow('Strikes:', `${'X '.repeat(game.strikes).trim() || '-'} (${game.strikes}/3)`, 'strikes'));
+  detail.appendChild(detailRow('Played:', `${game.totalHoursPlayed || 0} h`));
+  if (game.tags.length > 0) {
+    detail.appendChild(detailRow('Tags:', game.tags.join(', ')));
+  }
+  if (game.link) {
+    detail.appendChild(detailRow('Link:', game.link));
+  }
+  if (game.notes) {
+    detail.appendChild(element('div', 'notes', game.notes));
+  }
+  game.additionalNotes.forEach(note => {
+    const frame = element('div', 'notes', note.content);
+    frame.appendChild(element('div', 'note-date', new Date(note.dateAdded).toLocaleDateString()));
+    detail.appendChild(frame);
+  });
+
+  const actions = element('div', 'actions');
+  const finishBtn = element('button', null, game.finished ? 'Mark not finished' : 'Mark finished');
+  finishBtn.type = 'button';
+  finishBtn.addEventListener('click', () => changeGame(finishBtn, `games/${game.id}/finished`, { finished: !game.finished }));
+  actions.appendChild(finishBtn);
+
+  const strikeBtn = element('button', null, 'Add strike');
+  strikeBtn.type = 'button';
+  strikeBtn.disabled = game.strikes >= 3;
+  strikeBtn.addEventListener('click', () => changeGame(strikeBtn, `games/${game.id}/strike`, {}));
+  actions.appendChild(strikeBtn);
+  detail.appendChild(actions);
+
+  const noteForm = element('form', 'note-form');
+  const noteInput = element('textarea');
+  noteInput.placeholder = 'Add a note...';
+  noteInput.required = true;
+  const noteBtn = element('button', null, 'Add note');
+  noteBtn.type = 'submit';
+  noteForm.append(noteInput, noteBtn);
+  noteForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    changeGame(noteBtn, `games/${game.id}/notes`, { content: noteInput.value });
+  });
+  detail.appendChild(noteForm);
+}
+
+async function changeGame(button, route, body) {
+  button.disabled = true;
+  try {
+    renderDetail(await api(route, { method: 'POST', body: JSON.stringify(body) }));
+  } catch (error) {
+    alert(error.message);
+    button.disabled = false;
+  }
+}
+
+async function route() {
+  const match = location.hash.match(/^#game-(\d+)$/);
+  if (match) {
+    try {
+      renderDetail(await api(`games/${match[1]}`));
+      showView('detailView');
+      window.scrollTo(0, 0);
+    } catch (error) {
+      location.hash = '';
+    }
+    return;
+  }
+
+  try {
+    await loadFilters();
+  } catch (error) {
+    return;
+  }
+  showView('listView');
+  if (!randomPick) {
+    loadList();
+  }
+}
+
+document.getElementById('pairForm').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const errorText = document.getElementById('pairError');
+  errorText.hidden = true;
+  try {
+    await api('pair', { method: 'POST', body: JSON.stringify({ code: document.getElementById('pairCode').value.trim() }) });
+    document.getElementById('pairCode').value = '';
+    route();
+  } catch (error) {
+    errorText.textContent = error.message;
+    errorText.hidden = false;
+  }
+});
+
+document.getElementById('search').addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(loadList, 250);
+});
+['finishedFilter', 'platformFilter', 'tagFilter'].forEach(id => {
+  document.getElementById(id).addEventListener('change', loadList);
+});
+document.getElementById('randomBtn').addEventListener('click', toggleRandom);
+document.getElementById('backBtn').addEventListener('click', () => {
+  location.hash = '';
+});
+document.getElementById('unpairBtn').addEventListener('click', async () => {
+  await api('unpair', { method: 'POST', body: '{}' }).catch(() => {});
+  showView('pairView');
+});
+
+window.addEventListener('hashchange', route);
+route();
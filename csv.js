@@ -0,0 +1,197 @@
+// CSV exchange with spreadsheets: RFC 4180 parsing/writing plus the mapping
+// between arbitrary spreadsheet headers and game fields.
+
+const { MAX_STRIKES, MAX_RAGE_RATING } = require('./database');
+
+// Columns that can be exported, in their default order
+const EXPORT_COLUMNS = {
+  title: game => game.title,
+  platform: game => game.platform,
+  finished: game => game.finished ? 'yes' : 'no',
+  is_checked: game => game.is_checked ? 'yes' : 'no',
+  strikes: game => game.strikes || 0,
+  rageRating: game => game.rageRating || 0,
+  link: game => game.link,
+  notes: game => game.notes,
+  tags: game => (game.tags || []).join(', '),
+  dateAdded: game => game.dateAdded,
+  totalHoursPlayed: game => game.totalHoursPlayed || 0,
+  lastPlayed: game => game.lastPlayed
+};
+
+// Fields a CSV column can be mapped to on import, with header names that are
+// recognised automatically (compared lowercased, ignoring spaces and _/-)
+const IMPORT_FIELDS = {
+  title: ['title', 'name', 'game', 'gametitle', 'gamename'],
+  platform: ['platform', 'system', 'console'],
+  finished: ['finished', 'completed', 'complete', 'done', 'beaten'],
+  is_checked: ['ischecked', 'checked'],
+  strikes: ['strikes', 'strike'],
+  rageRating: ['ragerating', 'rage', 'rating'],
+  link: ['link', 'url', 'website', 'store'],
+  notes: ['notes', 'note', 'comment', 'comments'],
+  tags: ['tags', 'tag', 'genre', 'genres', 'labels']
+};
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted
+// fields with embedded commas, quotes and line breaks, CRLF line endings and
+// a leading UTF-8 byte order mark. Blank lines are kept (as ['']) so record
+// numbers match the rows a spreadsheet shows.
+function parseCsv(text) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('CSV ends inside a quoted field');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+function quoteCsvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize games to CSV with the given column keys (see EXPORT_COLUMNS).
+// Excel only detects UTF-8 when the file starts with a byte order mark.
+function gamesToCsv(games, columns, { bom = false } = {}) {
+  const lines = [columns.map(quoteCsvValue).join(',')];
+  games.forEach(game => {
+    lines.push(columns.map(column => quoteCsvValue(EXPORT_COLUMNS[column](game))).join(','));
+  });
+  return (bom ? '\ufeff' : '') + lines.join('\r\n') + '\r\n';
+}
+
+function headerKey(header) {
+  return header.toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+// Suggest a { field: header } mapping from the header names
+function guessColumnMapping(headers) {
+  const mapping = {};
+  Object.entries(IMPORT_FIELDS).forEach(([field, names]) => {
+    const header = headers.find(candidate => names.includes(headerKey(candidate)));
+    if (header !== undefined && !Object.values(mapping).includes(header)) {
+      mapping[field] = header;
+    }
+  });
+  return mapping;
+}
+
+function parseYesNo(value) {
+  const text = value.trim().toLowerCase();
+  if (['yes', 'y', 'true', '1', 'x', '✓', '✔'].includes(text)) return true;
+  if (['', 'no', 'n', 'false', '0', '-'].includes(text)) return false;
+  return null;
+}
+
+function parseWholeNumber(value, max) {
+  const text = value.trim();
+  if (text === '') return 0;
+  const number = Number(text);
+  return Number.isInteger(number) && number >= 0 && (max === undefined || number <= max) ? number : null;
+}
+
+// Turn parsed rows into game objects using a { field: header } mapping.
+// Row numbers are spreadsheet row numbers (the header is row 1); blank rows
+// are skipped.
+function rowsToGames(headers, rows, mapping) {
+  const games = [];
+  const errors = [];
+  const columnIndex = {};
+  Object.entries(mapping).forEach(([field, header]) => {
+    columnIndex[field] = headers.indexOf(header);
+  });
+
+  rows.forEach((row, i) => {
+    const rowNumber = i + 2;
+    if (row.every(cell => cell.trim() === '')) return;
+    const value = (field) => columnIndex[field] >= 0 ? (row[columnIndex[field]] || '') : '';
+    const game = {};
+    const rowErrors = [];
+    const fail = (field, message) => rowErrors.push({ row: rowNumber, column: mapping[field], field, error: message });
+
+    game.title = value('title').trim();
+    if (game.title === '') {
+      fail('title', 'Title is required');
+    }
+    game.platform = value('platform').trim();
+    game.link = value('link').trim();
+    game.notes = value('notes');
+    game.tags = value('tags').split(/[,;]/).map(tag => tag.trim()).filter(tag => tag !== '');
+
+    // Blank cells stay blank, so a merge leaves those fields alone; new games
+    // get the usual defaults
+    const blank = (field) => value(field).trim() === '';
+    ['finished', 'is_checked'].forEach(field => {
+      const parsed = parseYesNo(value(field));
+      if (parsed === null) {
+        fail(field, `"${value(field)}" is not yes/no`);
+      }
+      game[field] = blank(field) ? '' : parsed === true;
+    });
+
+    game.strikes = blank('strikes') ? '' : parseWholeNumber(value('strikes'), MAX_STRIKES);
+    if (game.strikes === null) {
+      fail('strikes', `"${value('strikes')}" is not a number of strikes from 0 to ${MAX_STRIKES}`);
+    }
+    game.rageRating = blank('rageRating') ? '' : parseWholeNumber(value('rageRating'), MAX_RAGE_RATING);
+    if (game.rageRating === null) {
+      fail('rageRating', `"${value('rageRating')}" is not a rating from 0 to ${MAX_RAGE_RATING}`);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+    } else {
+      games.push({ row: rowNumber, game });
+    }
+  });
+
+  return { games, errors };
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  IMPORT_FIELDS,
+  parseCsv,
+  gamesToCsv,
+  guessColumnMapping,
+  rowsToGames
+};
@@ -1,155 +1,390 @@
 const Database = require('better-sqlite3');
 const path = require('path');
-const { app } = require('electron');
+const fs = require('fs');
+const migrations = require('./migrations');
 
-class GameDatabase {
-  constructor() {
-    this.db = null;
+// Turn free text typed by a user into an FTS5 query: every word must match,
+// and the last characters typed may be the start of a word ("wit" -> Witcher).
+// Words are quoted so FTS operators in the input are treated as plain text.
+function buildFtsQuery(text) {
+  const words = String(text).match(/[\p{L}\p{N}]+/gu);
+  if (!words) {
+    return null;
   }
+  return words.map(word => `"${word}"*`).join(' ');
+}
 
-  // Get the application directory for portable storage
-  getAppDataPath() {
-    // In development, use the current directory
-    if (process.env.NODE_ENV === 'development' || process.argv.includes('--dev')) {
-      return __dirname;
-    }
-    
-    // In production, use the directory where the executable is located
-    // This ensures the app is portable
-    if (app.isPackaged) {
-      return path.dirname(process.execPath);
-    } else {
-      return __dirname;
-    }
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// `dbPath` is the games.db file. Migrations that move files and pre-migration
+// backups use the uploads/ and backups/ folders next to it. Status messages
+// go to `log` (console.log unless the caller needs a quiet standard output).
+class GameDatabase {
+  constructor(dbPath, { log = console.log } = {}) {
+    this.dbPath = dbPath;
+    this.log = log;
+    this.db = null;
   }
 
   async initialize() {
     try {
-      // Store database in the application directory instead of user data
-      const dbPath = path.join(this.getAppDataPath(), 'games.db');
+      const dbPath = this.getDatabasePath();
+      const isNewDatabase = !fs.existsSync(dbPath);
       
       this.db = new Database(dbPath);
-      console.log('Connected to SQLite database at:', dbPath);
+      this.log('Connected to SQLite database at:', dbPath);
       
-      this.createTables();
+      // Photos and notes rely on ON DELETE CASCADE
+      this.db.pragma('foreign_keys = ON');
       
-      // Add schema update to ensure new columns exist
-      await this.updateSchema();
+      // Bring the schema up to date before anything touches it
+      await this.migrate(dbPath, isNewDatabase);
       
       return Promise.resolve();
     } catch (error) {
       console.error('Database initialization error:', error);
+      this.close();
       return Promise.reject(error);
     }
   }
 
-  async updateSchema() {
-    return new Promise((resolve, reject) => {
-      const columnsToAdd = [
-        { name: 'additionalPhotos', type: 'TEXT' },
-        { name: 'additionalNotes', type: 'TEXT' }
-      ];
+  getSchemaVersion() {
+    return this.db.pragma('user_version', { simple: true });
+  }
 
-      let completed = 0;
-      
-      columnsToAdd.forEach(column => {
-        try {
-          // Check if column exists by trying to select it
-          this.db.prepare(`SELECT ${column.name} FROM games LIMIT 1`).get();
-          console.log(`Column ${column.name} already exists`);
-          completed++;
-          if (completed === columnsToAdd.length) resolve();
-        } catch (error) {
-          // Column doesn't exist, add it
-          try {
-            this.db.exec(`ALTER TABLE games ADD COLUMN ${column.name} ${column.type}`);
-            console.log(`Added column ${column.name} to games table`);
-            completed++;
-            if (completed === columnsToAdd.length) resolve();
-          } catch (alterError) {
-            console.warn(`Could not add column ${column.name}:`, alterError.message);
-            completed++;
-            if (completed === columnsToAdd.length) resolve();
-          }
-        }
+  // Run every migration newer than the database's user_version, each in its own
+  // transaction. Any failure is rethrown so startup stops instead of running
+  // against a half-upgraded schema.
+  async migrate(dbPath, isNewDatabase) {
+    const currentVersion = this.getSchemaVersion();
+    const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+    if (currentVersion > latestVersion) {
+      throw new Error(
+        `Database schema version ${currentVersion} is newer than this app supports (${latestVersion}). ` +
+        'Please update Game Collection Manager.'
+      );
+    }
+
+    const pending = migrations.filter(migration => migration.version > currentVersion);
+    if (pending.length === 0) {
+      this.log(`Database schema is up to date (version ${currentVersion})`);
+      return;
+    }
+
+    let backupPath = null;
+    if (!isNewDatabase) {
+      backupPath = await this.backupDatabase(dbPath, currentVersion);
+      this.log('Database backed up before migration to:', backupPath);
+    }
+
+    // Migrations that move files need to know where uploads live
+    const context = { uploadsPath: path.join(path.dirname(dbPath), 'uploads') };
+
+    for (const migration of pending) {
+      const applyMigration = this.db.transaction(() => {
+        migration.up(this.db, context);
+        this.db.pragma(`user_version = ${migration.version}`);
       });
-      
-      // Handle case where no columns need to be added
-      if (columnsToAdd.length === 0) {
-        resolve();
+
+      try {
+        applyMigration();
+        this.log(`Applied migration ${migration.version}: ${migration.name}`);
+      } catch (error) {
+        let message = `Migration ${migration.version} (${migration.name}) failed: ${error.message}. ` +
+          `The database was left at schema version ${this.getSchemaVersion()}.`;
+        if (backupPath) {
+          message += ` A backup taken before upgrading is at ${backupPath}`;
+        }
+        throw new Error(message);
       }
-    });
+    }
   }
 
-  createTables() {
-    const createTableSQL = `
-      CREATE TABLE IF NOT EXISTS games (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        title TEXT NOT NULL,
-        link TEXT,
-        rageRating INTEGER DEFAULT 0,
-        finished BOOLEAN DEFAULT FALSE,
-		is_checked BOOLEAN DEFAULT FALSE,
-        platform TEXT,
-        strikes INTEGER DEFAULT 0,
-        notes TEXT,
-        coverArtPath TEXT,
-        gameplayImagePath TEXT,
-        dateAdded DATE DEFAULT CURRENT_DATE,
-        additionalPhotos TEXT,
-        additionalNotes TEXT
-      )
-    `;
-
-    try {
-      this.db.exec(createTableSQL);
-      console.log('Games table created or already exists');
-    } catch (error) {
-      console.error('Error creating tables:', error);
-      throw error;
+  async backupDatabase(dbPath, version) {
+    const backupDir = path.join(path.dirname(dbPath), 'backups');
+    if (!fs.existsSync(backupDir)) {
+      fs.mkdirSync(backupDir, { recursive: true });
     }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupDir, `games-v${version}-${timestamp}.db`);
+    await this.db.backup(backupPath);
+    return backupPath;
+  }
+
+  getDatabasePath() {
+    return this.dbPath;
   }
 
-	async getAllGames() {
+  // Consistent copy of the live database, safe to take while the app is running
+  async snapshot(filePath) {
+    await this.db.backup(filePath);
+    return filePath;
+  }
+
+	// Games in the trash are left out unless includeDeleted is set
+	async getAllGames({ includeDeleted = false } = {}) {
 		try {
-			const stmt = this.db.prepare('SELECT * FROM games'); // Remove ORDER BY
+			const stmt = this.db.prepare(`SELECT * FROM games${includeDeleted ? '' : ' WHERE deletedAt IS NULL'}`); // Remove ORDER BY
 			const rows = stmt.all();
 			
-			// Convert boolean values and ensure proper data types
-			const games = rows.map(row => ({
-				...row,
-				finished: Boolean(row.finished),
-				is_checked: Boolean(row.is_checked),
-				rageRating: row.rageRating || 0,
-				strikes: row.strikes || 0,
-				dateAdded: row.dateAdded, // Ensure this is properly formatted
-				additionalPhotos: row.additionalPhotos ? JSON.parse(row.additionalPhotos) : [],
-				additionalNotes: row.additionalNotes ? JSON.parse(row.additionalNotes) : []
-			}));
-			
-			return Promise.resolve(games);
+			return Promise.resolve(this.formatGames(rows));
 		} catch (error) {
 			return Promise.reject(error);
 		}
 	}
 
-  async getGameById(id) {
+  // Filtered, sorted, paginated listing. `filters` is the already-validated
+  // object built from the /games/list query string; every field is optional.
+  async queryGames(filters = {}) {
+    try {
+      const { where, params } = this.buildGameFilters(filters);
+      const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+      const total = this.db.prepare(`SELECT COUNT(*) AS count FROM games ${whereSql}`).get(...params).count;
+      const unfilteredTotal = this.db.prepare('SELECT COUNT(*) AS count FROM games WHERE deletedAt IS NULL').get().count;
+
+      let sql = `SELECT * FROM games ${whereSql} ORDER BY ${this.buildGameOrder(filters.sort, filters.order)}`;
+      const pageParams = [...params];
+      if (filters.limit !== undefined) {
+        sql += ' LIMIT ? OFFSET ?';
+        pageParams.push(filters.limit, filters.offset || 0);
+      } else if (filters.offset) {
+        sql += ' LIMIT -1 OFFSET ?';
+        pageParams.push(filters.offset);
+      }
+
+      const rows = this.db.prepare(sql).all(...pageParams);
+      return Promise.resolve({ games: this.formatGames(rows), total, unfilteredTotal });
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  buildGameFilters(filters) {
+    const where = ['deletedAt IS NULL'];
+    const params = [];
+
+    if (filters.search) {
+      const match = buildFtsQuery(filters.search);
+      if (match) {
+        where.push('id IN (SELECT rowid FROM games_fts WHERE games_fts MATCH ?)');
+        params.push(match);
+      } else {
+        // Nothing searchable (e.g. only punctuation) matches nothing
+        where.push('0');
+      }
+    }
+    if (filters.tags && filters.tags.length > 0) {
+      const tagSubquery = `
+        SELECT game_tags.gameId FROM game_tags
+        JOIN tags ON tags.id = game_tags.tagId
+        WHERE tags.name IN (SELECT value FROM json_each(?))
+      `;
+      if (filters.tagMode === 'all') {
+        where.push(`id IN (${tagSubquery} GROUP BY game_tags.gameId HAVING COUNT(*) = ?)`);
+        params.push(JSON.stringify(filters.tags), filters.tags.length);
+      } else {
+        where.push(`id IN (${tagSubquery})`);
+        params.push(JSON.stringify(filters.tags));
+      }
+    }
+    if (filters.finished !== undefined) {
+      where.push('finished = ?');
+      params.push(filters.finished ? 1 : 0);
+    }
+    if (filters.is_checked !== undefined) {
+      where.push('is_checked = ?');
+      params.push(filters.is_checked ? 1 : 0);
+    }
+    if (filters.platform !== undefined) {
+      where.push("COALESCE(platform, '') = ?");
+      params.push(filters.platform);
+    }
+    if (filters.strikes !== undefined) {
+      where.push('COALESCE(strikes, 0) = ?');
+      params.push(filters.strikes);
+    }
+    if (filters.minRageRating !== undefined) {
+      where.push('COALESCE(rageRating, 0) >= ?');
+      params.push(filters.minRageRating);
+    }
+    if (filters.maxRageRating !== undefined) {
+      where.push('COALESCE(rageRating, 0) <= ?');
+      params.push(filters.maxRageRating);
+    }
+    if (filters.addedFrom) {
+      where.push('DATE(dateAdded) >= DATE(?)');
+      params.push(filters.addedFrom);
+    }
+    if (filters.addedTo) {
+      where.push('DATE(dateAdded) <= DATE(?)');
+      params.push(filters.addedTo);
+    }
+
+    return { where, params };
+  }
+
+  buildGameOrder(sort = 'title', order) {
+    if (sort === 'random') {
+      return 'RANDOM()';
+    }
+
+    const column = GameDatabase.SORT_COLUMNS[sort];
+    if (!column) {
+      throw new Error(`Unknown sort key: ${sort}`);
+    }
+    // Text sorts read naturally A-Z, everything else newest/highest first
+    const direction = (order || (sort === 'title' || sort === 'platform' ? 'asc' : 'desc')).toUpperCase();
+    // id breaks ties so pages stay stable between requests
+    return `${column} ${direction}, id ${direction}`;
+  }
+
+  formatGames(rows) {
+    const ids = JSON.stringify(rows.map(row => row.id));
+
+    // Load child rows once per call and group them, instead of one query per game
+    const photosByGame = this.groupByGame(this.db.prepare(`
+      SELECT id, gameId, path, filename, dateAdded FROM game_photos
+      WHERE gameId IN (SELECT value FROM json_each(?)) ORDER BY id
+    `).all(ids));
+    const notesByGame = this.groupByGame(this.db.prepare(`
+      SELECT id, gameId, content, dateAdded FROM game_notes
+      WHERE gameId IN (SELECT value FROM json_each(?)) ORDER BY id
+    `).all(ids));
+    const tagsByGame = this.groupByGame(this.db.prepare(`
+      SELECT game_tags.gameId, tags.name FROM game_tags
+      JOIN tags ON tags.id = game_tags.tagId
+      WHERE game_tags.gameId IN (SELECT value FROM json_each(?))
+      ORDER BY tags.name COLLATE NOCASE
+    `).all(ids));
+    const sessionTotals = new Map(this.db.prepare(`
+      SELECT gameId,
+        COUNT(*) AS sessionCount,
+        COALESCE(SUM(durationSeconds), 0) AS totalSeconds,
+        MAX(COALESCE(endedAt, startedAt)) AS lastPlayed,
+        MAX(CASE WHEN endedAt IS NULL THEN startedAt END) AS activeSessionStartedAt
+      FROM play_sessions
+      WHERE gameId IN (SELECT value FROM json_each(?))
+      GROUP BY gameId
+    `).all(ids).map(row => [row.gameId, row]));
+
+    // Sizes and variants of every image these games reference
+    const imagePaths = rows.flatMap(row => [row.coverArtPath, row.gameplayImagePath])
+      .concat([...photosByGame.values()].flat().map(photo => photo.path))
+      .filter(Boolean);
+    const images = new Map(this.db.prepare(`
+      SELECT path, width, height, thumbPath, mediumPath FROM images
+      WHERE path IN (SELECT value FROM json_each(?))
+    `).all(JSON.stringify(imagePaths)).map(({ path: key, ...image }) => [key, image]));
+    const imageInfo = (key) => (key && images.get(key)) || null;
+
+    // Convert boolean values and ensure proper data types
+    return rows.map(row => ({
+      ...row,
+      finished: Boolean(row.finished),
+      is_checked: Boolean(row.is_checked),
+      rageRating: row.rageRating || 0,
+      strikes: row.strikes || 0,
+      dateAdded: row.dateAdded, // Ensure this is properly formatted
+      coverArt: imageInfo(row.coverArtPath),
+      gameplayImage: imageInfo(row.gameplayImagePath),
+      additionalPhotos: (photosByGame.get(row.id) || []).map(photo => ({ ...photo, image: imageInfo(photo.path) })),
+      additionalNotes: notesByGame.get(row.id) || [],
+      tags: (tagsByGame.get(row.id) || []).map(tag => tag.name),
+      ...this.formatSessionTotals(sessionTotals.get(row.id))
+    }));
+  }
+
+  formatSessionTotals(totals) {
+    if (!totals) {
+      return { totalHoursPlayed: 0, lastPlayed: null, sessionCount: 0, activeSessionStartedAt: null };
+    }
+    return {
+      totalHoursPlayed: Math.round(totals.totalSeconds / 36) / 100,
+      lastPlayed: totals.lastPlayed,
+      sessionCount: totals.sessionCount,
+      activeSessionStartedAt: totals.activeSessionStartedAt
+    };
+  }
+
+  // Ranked full-text search over title, platform, notes and additional notes.
+  // Each hit carries an HTML-escaped snippet with matches wrapped in <mark>.
+  async searchGames(text, limit = 20) {
+    try {
+      const match = buildFtsQuery(text);
+      if (!match) {
+        return Promise.resolve([]);
+      }
+
+      // bm25 weights per column: a title hit counts far more than a note hit
+      const rows = this.db.prepare(`
+        SELECT games.id, games.title, games.platform, games.finished, games.is_checked,
+          bm25(games_fts, 10.0, 4.0, 1.0, 1.0) AS rank,
+          snippet(games_fts, -1, char(2), char(3), '…', 12) AS snippet
+        FROM games_fts
+        JOIN games ON games.id = games_fts.rowid
+        WHERE games_fts MATCH ? AND games.deletedAt IS NULL
+        ORDER BY rank
+        LIMIT ?
+      `).all(match, limit);
+
+      return Promise.resolve(rows.map(row => ({
+        id: row.id,
+        title: row.title,
+        platform: row.platform,
+        finished: Boolean(row.finished),
+        is_checked: Boolean(row.is_checked),
+        score: -row.rank,
+        snippet: escapeHtml(row.snippet || '')
+          .replace(/\u0002/g, '<mark>')
+          .replace(/\u0003/g, '</mark>')
+      })));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  async getPlatforms() {
+    try {
+      const rows = this.db.prepare(`
+        SELECT DISTINCT platform FROM games
+        WHERE platform IS NOT NULL AND TRIM(platform) != '' AND deletedAt IS NULL
+        ORDER BY platform COLLATE NOCASE
+      `).all();
+      return Promise.resolve(rows.map(row => row.platform));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  groupByGame(rows) {
+    const groups = new Map();
+    rows.forEach(({ gameId, ...item }) => {
+      if (!groups.has(gameId)) {
+        groups.set(gameId, []);
+      }
+      groups.get(gameId).push(item);
+    });
+    return groups;
+  }
+
+  // Trashed games are hidden unless includeDeleted is set, so routes can't edit them
+  async getGameById(id, { includeDeleted = false } = {}) {
     try {
-      const stmt = this.db.prepare('SELECT * FROM games WHERE id = ?');
+      const stmt = this.db.prepare(`SELECT * FROM games WHERE id = ?${includeDeleted ? '' : ' AND deletedAt IS NULL'}`);
       const row = stmt.get(id);
       
       if (row) {
-        // Convert boolean values and ensure proper data types
-        const game = {
-          ...row,
-          finished: Boolean(row.finished),
-		  is_checked: Boolean(row.is_checked),
-          rageRating: row.rageRating || 0,
-          strikes: row.strikes || 0,
-          additionalPhotos: row.additionalPhotos ? JSON.parse(row.additionalPhotos) : [],
-          additionalNotes: row.additionalNotes ? JSON.parse(row.additionalNotes) : []
-        };
-        return Promise.resolve(game);
+        return Promise.resolve(this.formatGames([row])[0]);
       } else {
         return Promise.resolve(null);
       }
@@ -158,106 +393,822 @@ class GameDatabase {
     }
   }
 
-  async createGame(gameData) {
+  async createGame(gameData, source = null) {
     try {
-      const stmt = this.db.prepare(`
-        INSERT INTO games (
-          title, link, rageRating, finished, is_checked, platform, strikes, 
-          notes, coverArtPath, gameplayImagePath, dateAdded, additionalPhotos, additionalNotes
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATE('now'), ?, ?)
-      `);
+      return Promise.resolve(this.db.transaction(() => this.insertGame(gameData, source))());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Synchronous core of createGame so callers like applyImportPlan can run many
+  // inserts inside one transaction. Imported games can carry their photos and
+  // notes along, and playtimeSeconds from a launcher becomes one logged
+  // session ending now. `adoptAssets` (see assetCopier in assets.js) gives
+  // the keys to store for the game's images once it has an id.
+  insertGame(gameData, source = null, adoptAssets = null) {
+    const stmt = this.db.prepare(`
+      INSERT INTO games (
+        title, link, rageRating, finished, is_checked, platform, strikes, 
+        notes, coverArtPath, gameplayImagePath, dateAdded
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATE('now'))
+    `);
+
+    const result = stmt.run(
+      gameData.title,
+      gameData.link || '',
+      gameData.rageRating || 0,
+      gameData.finished ? 1 : 0,
+      gameData.is_checked ? 1 : 0,
+      gameData.platform || '',
+      gameData.strikes || 0,
+      gameData.notes || '',
+      gameData.coverArtPath || null,
+      gameData.gameplayImagePath || null
+    );
+    const gameId = result.lastInsertRowid;
 
-      const result = stmt.run(
-        gameData.title,
-        gameData.link || '',
-        gameData.rageRating || 0,
-        gameData.finished ? 1 : 0,
-		gameData.is_checked ? 1 : 0,
-        gameData.platform || '',
-        gameData.strikes || 0,
-        gameData.notes || '',
-        gameData.coverArtPath || null,
-        gameData.gameplayImagePath || null,
-        gameData.additionalPhotos ? JSON.stringify(gameData.additionalPhotos) : '[]',
-        gameData.additionalNotes ? JSON.stringify(gameData.additionalNotes) : '[]'
+    const photos = gameData.additionalPhotos || [];
+    const keyMap = adoptAssets
+      ? adoptAssets({ id: gameId, title: gameData.title }, [
+        gameData.coverArtPath, gameData.gameplayImagePath, ...photos.map(photo => photo.path)
+      ])
+      : null;
+    const assetKey = (key) => (keyMap && key ? keyMap[key] : key) || null;
+    if (keyMap) {
+      this.db.prepare('UPDATE games SET coverArtPath = ?, gameplayImagePath = ? WHERE id = ?')
+        .run(assetKey(gameData.coverArtPath), assetKey(gameData.gameplayImagePath), gameId);
+    }
+
+    photos.forEach(photo => {
+      const key = assetKey(photo.path);
+      if (key) this.insertPhoto(gameId, { ...photo, path: key });
+    });
+    (gameData.additionalNotes || []).forEach(note => {
+      this.insertNote(gameId, note);
+    });
+    if (gameData.tags) {
+      this.assignTags(gameId, gameData.tags);
+    }
+    if (gameData.playtimeSeconds > 0) {
+      const endedAt = new Date();
+      this.db.prepare(`
+        INSERT INTO play_sessions (gameId, startedAt, endedAt, durationSeconds, note)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(
+        gameId,
+        new Date(endedAt.getTime() - gameData.playtimeSeconds * 1000).toISOString(),
+        endedAt.toISOString(),
+        gameData.playtimeSeconds,
+        'Playtime imported from the launcher library'
       );
+    }
+
+    this.recordGameChanges(gameId, 'create', null, this.loadGame(gameId), source);
+    return gameId;
+  }
+
+  async updateGame(id, gameData, source = null) {
+    try {
+      return Promise.resolve(this.db.transaction(() => this.applyGameUpdate(id, gameData, source))());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Synchronous core of updateGame, see insertGame. Merges and imports record
+  // their changes under an `action` of their own.
+  applyGameUpdate(id, gameData, source = null, action = 'update') {
+    // Get the existing game to preserve fields that aren't being updated
+    const existingGame = this.loadGame(id);
+    if (!existingGame || existingGame.deletedAt) {
+      throw new Error('Game not found');
+    }
+
+    // Merge existing data with new data, preserving fields that aren't provided
+    const mergedData = {
+      title: gameData.title !== undefined ? gameData.title : existingGame.title,
+      link: gameData.link !== undefined ? gameData.link : existingGame.link,
+      rageRating: gameData.rageRating !== undefined ? gameData.rageRating : existingGame.rageRating,
+      finished: gameData.finished !== undefined ? gameData.finished : existingGame.finished,
+      is_checked: gameData.is_checked !== undefined ? gameData.is_checked : existingGame.is_checked,
+      platform: gameData.platform !== undefined ? gameData.platform : existingGame.platform,
+      strikes: gameData.strikes !== undefined ? gameData.strikes : existingGame.strikes,
+      notes: gameData.notes !== undefined ? gameData.notes : existingGame.notes,
+      coverArtPath: gameData.coverArtPath !== undefined ? gameData.coverArtPath : existingGame.coverArtPath,
+      gameplayImagePath: gameData.gameplayImagePath !== undefined ? gameData.gameplayImagePath : existingGame.gameplayImagePath
+    };
+
+    const stmt = this.db.prepare(`
+      UPDATE games SET 
+        title = ?, link = ?, rageRating = ?, finished = ?, is_checked = ?,
+        platform = ?, strikes = ?, notes = ?, 
+        coverArtPath = ?, gameplayImagePath = ?
+      WHERE id = ?
+    `);
+
+    const result = stmt.run(
+      mergedData.title,
+      mergedData.link || '',
+      mergedData.rageRating || 0,
+      mergedData.finished ? 1 : 0,
+      mergedData.is_checked ? 1 : 0,
+      mergedData.platform || '',
+      mergedData.strikes || 0,
+      mergedData.notes || '',
+      mergedData.coverArtPath || null,
+      mergedData.gameplayImagePath || null,
+      id
+    );
+    // Tags are only replaced when the caller sends them
+    if (gameData.tags !== undefined) {
+      this.assignTags(id, gameData.tags);
+    }
+    this.recordGameChanges(id, action, existingGame, this.loadGame(id), source);
+    return result.changes;
+  }
+
+  insertPhoto(gameId, photo) {
+    const result = this.db.prepare(
+      'INSERT INTO game_photos (gameId, path, filename, dateAdded) VALUES (?, ?, ?, ?)'
+    ).run(gameId, photo.path, photo.filename || null, photo.dateAdded || new Date().toISOString());
+    return result.lastInsertRowid;
+  }
+
+  insertNote(gameId, note) {
+    const result = this.db.prepare(
+      'INSERT INTO game_notes (gameId, content, dateAdded) VALUES (?, ?, ?)'
+    ).run(gameId, note.content, note.dateAdded || new Date().toISOString());
+    return result.lastInsertRowid;
+  }
+
+  async addPhoto(gameId, photo, source = null) {
+    try {
+      const add = this.db.transaction(() => {
+        const photoId = this.insertPhoto(gameId, photo);
+        this.recordHistory(gameId, 'add-photo', 'additionalPhotos', null,
+          { id: photoId, path: photo.path, filename: photo.filename || null }, source);
+        return photoId;
+      });
+      return Promise.resolve(add());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  async addNote(gameId, note, source = null) {
+    try {
+      const add = this.db.transaction(() => {
+        const noteId = this.insertNote(gameId, note);
+        this.recordHistory(gameId, 'add-note', 'additionalNotes', null, { id: noteId, content: note.content }, source);
+        return noteId;
+      });
+      return Promise.resolve(add());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Photos and notes are addressed by their own id, scoped to the game so a
+  // stale id from another game can never match. Resolves to the removed row
+  // (or null) so callers can clean up files on disk.
+  async deletePhoto(gameId, photoId, source = null) {
+    try {
+      const photo = this.db.prepare(
+        'SELECT id, path, filename, dateAdded FROM game_photos WHERE id = ? AND gameId = ?'
+      ).get(photoId, gameId);
+      if (photo) {
+        this.db.transaction(() => {
+          this.db.prepare('DELETE FROM game_photos WHERE id = ?').run(photo.id);
+          this.recordHistory(gameId, 'delete-photo', 'additionalPhotos',
+            { id: photo.id, path: photo.path, filename: photo.filename }, null, source);
+        })();
+      }
+      return Promise.resolve(photo || null);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  async deleteNote(gameId, noteId, source = null) {
+    try {
+      const note = this.db.prepare(
+        'SELECT id, content, dateAdded FROM game_notes WHERE id = ? AND gameId = ?'
+      ).get(noteId, gameId);
+      if (note) {
+        this.db.transaction(() => {
+          this.db.prepare('DELETE FROM game_notes WHERE id = ?').run(note.id);
+          this.recordHistory(gameId, 'delete-note', 'additionalNotes', { id: note.id, content: note.content }, null, source);
+        })();
+      }
+      return Promise.resolve(note || null);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // One change for many games in a single transaction. `patch` may set
+  // platform, finished and is_checked, add strikesDelta to the strikes (kept
+  // within 0..MAX_STRIKES) and add or remove tags (addTags, removeTags).
+  // Resolves to the number of games updated.
+  async updateGames(ids, patch, source = null) {
+    try {
+      const update = this.db.transaction(() => {
+        ids.forEach(id => {
+          const game = this.loadGame(id);
+          if (!game || game.deletedAt) {
+            throw new Error(`Game ${id} not found`);
+          }
+
+          const gameData = {};
+          ['platform', 'finished', 'is_checked'].forEach(field => {
+            if (patch[field] !== undefined) gameData[field] = patch[field];
+          });
+          if (patch.strikesDelta) {
+            gameData.strikes = Math.min(GameDatabase.MAX_STRIKES, Math.max(0, game.strikes + patch.strikesDelta));
+          }
+          if (patch.addTags || patch.removeTags) {
+            const removed = new Set((patch.removeTags || []).map(tag => tag.toLowerCase()));
+            gameData.tags = [...game.tags, ...(patch.addTags || [])].filter(tag => !removed.has(tag.toLowerCase()));
+          }
+          this.applyGameUpdate(id, gameData, source);
+        });
+        return ids.length;
+      });
+      return Promise.resolve(update());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  loadGame(id) {
+    const row = this.db.prepare('SELECT * FROM games WHERE id = ?').get(id);
+    return row ? this.formatGames([row])[0] : null;
+  }
+
+  recordHistory(gameId, action, field, oldValue, newValue, source, changedAt = new Date().toISOString()) {
+    this.db.prepare(`
+      INSERT INTO game_history (gameId, action, field, oldValue, newValue, changedAt, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      gameId,
+      action,
+      field,
+      oldValue === null || oldValue === undefined ? null : JSON.stringify(oldValue),
+      newValue === null || newValue === undefined ? null : JSON.stringify(newValue),
+      changedAt,
+      source
+    );
+  }
+
+  // One history row per field that differs between `before` and `after`
+  // (either may be null for create/delete). Empty strings count as no value.
+  recordGameChanges(gameId, action, before, after, source) {
+    const changedAt = new Date().toISOString();
+    const normalize = (value) => {
+      if (value === undefined || value === '') return null;
+      if (Array.isArray(value)) return value.length > 0 ? [...value].sort() : null;
+      return value;
+    };
+
+    GameDatabase.HISTORY_FIELDS.forEach(field => {
+      const oldValue = before ? normalize(before[field]) : null;
+      const newValue = after ? normalize(after[field]) : null;
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        this.recordHistory(gameId, action, field, oldValue, newValue, source, changedAt);
+      }
+    });
+  }
+
+  async getHistory(gameId) {
+    try {
+      const rows = this.db.prepare(`
+        SELECT id, action, field, oldValue, newValue, changedAt, source
+        FROM game_history WHERE gameId = ? ORDER BY id DESC
+      `).all(gameId);
+      return Promise.resolve(rows.map(row => ({
+        ...row,
+        oldValue: row.oldValue === null ? null : JSON.parse(row.oldValue),
+        newValue: row.newValue === null ? null : JSON.parse(row.newValue)
+      })));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Replace a game's tags with `names`, creating tags that don't exist yet.
+  // Names match case-insensitively, so "Co-op" and "co-op" are one tag.
+  assignTags(gameId, names) {
+    this.db.prepare('DELETE FROM game_tags WHERE gameId = ?').run(gameId);
+    const insertTag = this.db.prepare('INSERT INTO tags (name) VALUES (?) ON CONFLICT(name) DO NOTHING');
+    const findTag = this.db.prepare('SELECT id FROM tags WHERE name = ?');
+    const linkTag = this.db.prepare('INSERT OR IGNORE INTO game_tags (gameId, tagId) VALUES (?, ?)');
 
+    names.forEach(name => {
+      insertTag.run(name);
+      linkTag.run(gameId, findTag.get(name).id);
+    });
+  }
+
+  async getTags() {
+    try {
+      const tags = this.db.prepare(`
+        SELECT tags.id, tags.name, COUNT(games.id) AS gameCount
+        FROM tags
+        LEFT JOIN game_tags ON game_tags.tagId = tags.id
+        LEFT JOIN games ON games.id = game_tags.gameId AND games.deletedAt IS NULL
+        GROUP BY tags.id
+        ORDER BY tags.name COLLATE NOCASE
+      `).all();
+      return Promise.resolve(tags);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  async getTagById(id) {
+    try {
+      return Promise.resolve(this.db.prepare('SELECT id, name FROM tags WHERE id = ?').get(id) || null);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  async getTagByName(name) {
+    try {
+      return Promise.resolve(this.db.prepare('SELECT id, name FROM tags WHERE name = ?').get(name) || null);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  async createTag(name) {
+    try {
+      const result = this.db.prepare('INSERT INTO tags (name) VALUES (?)').run(name);
+      return Promise.resolve(result.lastInsertRowid);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  async renameTag(id, name) {
+    try {
+      const result = this.db.prepare('UPDATE tags SET name = ? WHERE id = ?').run(name, id);
+      return Promise.resolve(result.changes);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Move every game tagged `sourceId` onto `targetId`, then drop the source tag
+  async mergeTags(sourceId, targetId) {
+    try {
+      const merge = this.db.transaction(() => {
+        this.db.prepare(`
+          INSERT OR IGNORE INTO game_tags (gameId, tagId)
+          SELECT gameId, ? FROM game_tags WHERE tagId = ?
+        `).run(targetId, sourceId);
+        return this.db.prepare('DELETE FROM tags WHERE id = ?').run(sourceId).changes;
+      });
+      return Promise.resolve(merge());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  async deleteTag(id) {
+    try {
+      const result = this.db.prepare('DELETE FROM tags WHERE id = ?').run(id);
+      return Promise.resolve(result.changes);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  async getSessions(gameId) {
+    try {
+      const sessions = this.db.prepare(`
+        SELECT id, startedAt, endedAt, durationSeconds, note, rageRating
+        FROM play_sessions WHERE gameId = ? ORDER BY startedAt DESC, id DESC
+      `).all(gameId);
+      return Promise.resolve(sessions);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  async getActiveSession(gameId) {
+    try {
+      const session = this.db.prepare(`
+        SELECT id, startedAt, endedAt, durationSeconds, note, rageRating
+        FROM play_sessions WHERE gameId = ? AND endedAt IS NULL
+      `).get(gameId);
+      return Promise.resolve(session || null);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  async startSession(gameId) {
+    try {
+      const result = this.db.prepare(
+        'INSERT INTO play_sessions (gameId, startedAt) VALUES (?, ?)'
+      ).run(gameId, new Date().toISOString());
       return Promise.resolve(result.lastInsertRowid);
     } catch (error) {
       return Promise.reject(error);
     }
   }
 
-  async updateGame(id, gameData) {
+  // End the running session, if any. Resolves to the finished session or null.
+  async stopSession(gameId, { note, rageRating } = {}) {
     try {
-      // Get the existing game to preserve fields that aren't being updated
-      const existingGame = await this.getGameById(id);
-      if (!existingGame) {
-        throw new Error('Game not found');
+      const session = await this.getActiveSession(gameId);
+      if (!session) {
+        return Promise.resolve(null);
       }
 
-      // Merge existing data with new data, preserving fields that aren't provided
-      const mergedData = {
-        title: gameData.title !== undefined ? gameData.title : existingGame.title,
-        link: gameData.link !== undefined ? gameData.link : existingGame.link,
-        rageRating: gameData.rageRating !== undefined ? gameData.rageRating : existingGame.rageRating,
-        finished: gameData.finished !== undefined ? gameData.finished : existingGame.finished,
-        is_checked: gameData.is_checked !== undefined ? gameData.is_checked : existingGame.is_checked,
-        platform: gameData.platform !== undefined ? gameData.platform : existingGame.platform,
-        strikes: gameData.strikes !== undefined ? gameData.strikes : existingGame.strikes,
-        notes: gameData.notes !== undefined ? gameData.notes : existingGame.notes,
-        coverArtPath: gameData.coverArtPath !== undefined ? gameData.coverArtPath : existingGame.coverArtPath,
-        gameplayImagePath: gameData.gameplayImagePath !== undefined ? gameData.gameplayImagePath : existingGame.gameplayImagePath,
-        additionalPhotos: gameData.additionalPhotos !== undefined ? gameData.additionalPhotos : existingGame.additionalPhotos,
-        additionalNotes: gameData.additionalNotes !== undefined ? gameData.additionalNotes : existingGame.additionalNotes
-      };
-
-      const stmt = this.db.prepare(`
-        UPDATE games SET 
-          title = ?, link = ?, rageRating = ?, finished = ?, is_checked = ?,
-          platform = ?, strikes = ?, notes = ?, 
-          coverArtPath = ?, gameplayImagePath = ?,
-          additionalPhotos = ?, additionalNotes = ?
+      const endedAt = new Date().toISOString();
+      const durationSeconds = Math.max(0, Math.round((new Date(endedAt) - new Date(session.startedAt)) / 1000));
+      this.db.prepare(`
+        UPDATE play_sessions SET endedAt = ?, durationSeconds = ?, note = ?, rageRating = ?
         WHERE id = ?
-      `);
-
-      const result = stmt.run(
-        mergedData.title,
-        mergedData.link || '',
-        mergedData.rageRating || 0,
-        mergedData.finished ? 1 : 0,
-        mergedData.is_checked ? 1 : 0,
-        mergedData.platform || '',
-        mergedData.strikes || 0,
-        mergedData.notes || '',
-        mergedData.coverArtPath || null,
-        mergedData.gameplayImagePath || null,
-        mergedData.additionalPhotos ? JSON.stringify(mergedData.additionalPhotos) : '[]',
-        mergedData.additionalNotes ? JSON.stringify(mergedData.additionalNotes) : '[]',
-        id
+      `).run(endedAt, durationSeconds, note || null, rageRating !== undefined ? rageRating : null, session.id);
+
+      return Promise.resolve({ ...session, endedAt, durationSeconds, note: note || null, rageRating: rageRating !== undefined ? rageRating : null });
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Record a finished session after the fact
+  async logSession(gameId, session) {
+    try {
+      const result = this.db.prepare(`
+        INSERT INTO play_sessions (gameId, startedAt, endedAt, durationSeconds, note, rageRating)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        gameId,
+        session.startedAt,
+        session.endedAt,
+        session.durationSeconds,
+        session.note || null,
+        session.rageRating !== undefined ? session.rageRating : null
       );
+      return Promise.resolve(result.lastInsertRowid);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
 
+  async deleteSession(gameId, sessionId) {
+    try {
+      const result = this.db.prepare('DELETE FROM play_sessions WHERE id = ? AND gameId = ?').run(sessionId, gameId);
       return Promise.resolve(result.changes);
     } catch (error) {
       return Promise.reject(error);
     }
   }
 
-  async deleteGame(id) {
+  // Move a game to the trash. Everything stays in place until it is purged.
+  async deleteGame(id, source = null) {
+    try {
+      return Promise.resolve(this.db.transaction(() => this.trashGame(id, source))());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Move several games to the trash at once; resolves to how many were moved
+  async deleteGames(ids, source = null) {
+    try {
+      const trash = this.db.transaction(() => ids.reduce((count, id) => count + this.trashGame(id, source), 0));
+      return Promise.resolve(trash());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Synchronous core of deleteGame, see insertGame
+  trashGame(id, source = null) {
+    const deletedAt = new Date().toISOString();
+    const result = this.db.prepare(
+      'UPDATE games SET deletedAt = ? WHERE id = ? AND deletedAt IS NULL'
+    ).run(deletedAt, id);
+    if (result.changes > 0) {
+      this.recordHistory(id, 'trash', 'deletedAt', null, deletedAt, source);
+    }
+    return result.changes;
+  }
+
+  async restoreGame(id, source = null) {
+    try {
+      const restore = this.db.transaction(() => {
+        const game = this.db.prepare('SELECT deletedAt FROM games WHERE id = ? AND deletedAt IS NOT NULL').get(id);
+        if (!game) {
+          return 0;
+        }
+        this.db.prepare('UPDATE games SET deletedAt = NULL WHERE id = ?').run(id);
+        this.recordHistory(id, 'restore', 'deletedAt', game.deletedAt, null, source);
+        return 1;
+      });
+      return Promise.resolve(restore());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Fold game `mergeId` into `keepId` following `plan` (see planGameMerge in
+  // duplicates.js): the kept game gets the plan's changes and the other
+  // game's new photos, notes and play sessions, then the other game goes to
+  // the trash. `keyMap` renames the asset keys of files that were moved into
+  // the kept game's folder.
+  async mergeGames(keepId, mergeId, plan, keyMap = {}, source = null) {
+    try {
+      const rename = (key) => (key && keyMap[key]) || key;
+      const merge = this.db.transaction(() => {
+        const renameImage = this.db.prepare('UPDATE images SET path = ?, thumbPath = ?, mediumPath = ? WHERE path = ?');
+        this.db.prepare('SELECT path, thumbPath, mediumPath FROM images WHERE path IN (SELECT value FROM json_each(?))')
+          .all(JSON.stringify(Object.keys(keyMap)))
+          .forEach(image => renameImage.run(rename(image.path), rename(image.thumbPath), rename(image.mediumPath), image.path));
+
+        const changes = { ...plan.changes };
+        ['coverArtPath', 'gameplayImagePath'].forEach(field => {
+          if (changes[field]) changes[field] = rename(changes[field]);
+        });
+        this.applyGameUpdate(keepId, changes, source, 'merge-update');
+
+        const moveNote = this.db.prepare('UPDATE game_notes SET gameId = ? WHERE id = ? AND gameId = ?');
+        plan.noteIds.forEach(noteId => moveNote.run(keepId, noteId, mergeId));
+        const movePhoto = this.db.prepare('UPDATE game_photos SET gameId = ?, path = ? WHERE id = ? AND gameId = ?');
+        this.db.prepare('SELECT id, path FROM game_photos WHERE id IN (SELECT value FROM json_each(?)) AND gameId = ?')
+          .all(JSON.stringify(plan.photoIds), mergeId)
+          .forEach(photo => movePhoto.run(keepId, rename(photo.path), photo.id, mergeId));
+        const sessions = this.db.prepare('UPDATE play_sessions SET gameId = ? WHERE gameId = ?').run(keepId, mergeId).changes;
+
+        // The merged game no longer points at the images the kept one took
+        const released = {};
+        if (plan.changes.coverArtPath) released.coverArtPath = null;
+        if (plan.changes.gameplayImagePath) released.gameplayImagePath = null;
+        if (Object.keys(released).length > 0) {
+          this.applyGameUpdate(mergeId, released, source, 'merge-update');
+        }
+
+        const titleOf = (id) => this.db.prepare('SELECT title FROM games WHERE id = ?').get(id).title;
+        this.recordHistory(keepId, 'merge', null, null, {
+          id: mergeId,
+          title: titleOf(mergeId),
+          notes: plan.noteIds.length,
+          photos: plan.photoIds.length,
+          sessions
+        }, source);
+        this.recordHistory(mergeId, 'merged-into', null, null, { id: keepId, title: titleOf(keepId) }, source);
+        this.trashGame(mergeId, source);
+      });
+      return Promise.resolve(merge());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  async getTrashedGames() {
+    try {
+      const rows = this.db.prepare(
+        'SELECT * FROM games WHERE deletedAt IS NOT NULL ORDER BY deletedAt DESC'
+      ).all();
+      return Promise.resolve(this.formatGames(rows));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Games that have been in the trash for longer than `retentionDays`
+  async getExpiredTrash(retentionDays) {
+    try {
+      const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+      const rows = this.db.prepare(
+        'SELECT * FROM games WHERE deletedAt IS NOT NULL AND deletedAt <= ?'
+      ).all(cutoff);
+      return Promise.resolve(this.formatGames(rows));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Permanently remove a game and its photos, notes, tags and sessions.
+  // Files on disk are the caller's job.
+  async purgeGame(id, source = null) {
     try {
       const stmt = this.db.prepare('DELETE FROM games WHERE id = ?');
-      const result = stmt.run(id);
-      return Promise.resolve(result.changes);
+      const remove = this.db.transaction(() => {
+        this.recordGameChanges(id, 'delete', this.loadGame(id), null, source);
+        return stmt.run(id).changes;
+      });
+      return Promise.resolve(remove());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Record the size and variants processImage() produced for an image
+  async saveImage(key, image) {
+    try {
+      this.db.prepare(`
+        INSERT OR REPLACE INTO images (path, width, height, thumbPath, mediumPath, processedAt)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(key, image.width || null, image.height || null, image.thumbPath, image.mediumPath, new Date().toISOString());
+      return Promise.resolve();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Forget images; resolves to the removed rows so callers can delete the
+  // variant files
+  async deleteImages(keys) {
+    try {
+      const select = this.db.prepare('SELECT * FROM images WHERE path = ?');
+      const remove = this.db.prepare('DELETE FROM images WHERE path = ?');
+      const removed = this.db.transaction(() => keys.map(key => {
+        const row = select.get(key);
+        if (row) remove.run(key);
+        return row;
+      }).filter(Boolean))();
+      return Promise.resolve(removed);
     } catch (error) {
       return Promise.reject(error);
     }
   }
 
-  async clearAllGames() {
+  // Asset keys referenced by any game (trashed ones included) that have not
+  // been processed yet
+  async getUnprocessedImages() {
+    try {
+      const rows = this.db.prepare(`
+        SELECT coverArtPath AS path FROM games WHERE coverArtPath IS NOT NULL
+        UNION SELECT gameplayImagePath FROM games WHERE gameplayImagePath IS NOT NULL
+        UNION SELECT path FROM game_photos
+        EXCEPT SELECT path FROM images
+      `).all();
+      return Promise.resolve(rows.map(row => row.path));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Every image reference held by a game (trashed ones included), plus the
+  // variants recorded for processed images
+  async getAssetReferences() {
+    try {
+      const references = this.db.prepare(`
+        SELECT id AS gameId, title, 'coverArtPath' AS field, coverArtPath AS path, NULL AS photoId
+        FROM games WHERE coverArtPath IS NOT NULL
+        UNION ALL
+        SELECT id, title, 'gameplayImagePath', gameplayImagePath, NULL
+        FROM games WHERE gameplayImagePath IS NOT NULL
+        UNION ALL
+        SELECT games.id, games.title, 'additionalPhotos', game_photos.path, game_photos.id
+        FROM game_photos JOIN games ON games.id = game_photos.gameId
+        ORDER BY gameId
+      `).all();
+      const images = this.db.prepare('SELECT path, thumbPath, mediumPath FROM images').all();
+      return Promise.resolve({ references, images });
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Rows for stats.js: every game outside the trash with the last time an
+  // edit marked it finished. Creating, importing or merging a game as
+  // finished is not a finish date; those changes are recorded as 'create',
+  // 'import-update' and 'merge-update'.
+  async getStatisticsData() {
+    try {
+      const rows = this.db.prepare(`
+        SELECT id, platform, finished, is_checked, rageRating, strikes, dateAdded,
+          (SELECT MAX(changedAt) FROM game_history
+           WHERE game_history.gameId = games.id AND action = 'update' AND field = 'finished' AND newValue = 'true') AS finishedAt
+        FROM games WHERE deletedAt IS NULL
+      `).all();
+      return Promise.resolve(rows);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Drop references to image files that no longer exist, recording the
+  // change in each game's history. Resolves to the number of references removed.
+  async removeAssetReferences(keys, source = null) {
+    try {
+      const list = JSON.stringify(keys);
+      const remove = this.db.transaction(() => {
+        let removed = 0;
+        const games = this.db.prepare(`
+          SELECT id FROM games
+          WHERE coverArtPath IN (SELECT value FROM json_each(?)) OR gameplayImagePath IN (SELECT value FROM json_each(?))
+        `).all(list, list);
+        games.forEach(({ id }) => {
+          const before = this.loadGame(id);
+          this.db.prepare(`
+            UPDATE games SET
+              coverArtPath = CASE WHEN coverArtPath IN (SELECT value FROM json_each(?)) THEN NULL ELSE coverArtPath END,
+              gameplayImagePath = CASE WHEN gameplayImagePath IN (SELECT value FROM json_each(?)) THEN NULL ELSE gameplayImagePath END
+            WHERE id = ?
+          `).run(list, list, id);
+          const after = this.loadGame(id);
+          removed += [before.coverArtPath !== after.coverArtPath, before.gameplayImagePath !== after.gameplayImagePath].filter(Boolean).length;
+          this.recordGameChanges(id, 'update', before, after, source);
+        });
+
+        const photos = this.db.prepare(`
+          SELECT id, gameId, path, filename FROM game_photos WHERE path IN (SELECT value FROM json_each(?))
+        `).all(list);
+        photos.forEach(photo => {
+          this.db.prepare('DELETE FROM game_photos WHERE id = ?').run(photo.id);
+          this.recordHistory(photo.gameId, 'delete-photo', 'additionalPhotos',
+            { id: photo.id, path: photo.path, filename: photo.filename }, null, source);
+        });
+
+        this.db.prepare('DELETE FROM images WHERE path IN (SELECT value FROM json_each(?))').run(list);
+        return removed + photos.length;
+      });
+      return Promise.resolve(remove());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  async clearAllGames(source = null) {
     try {
       const stmt = this.db.prepare('DELETE FROM games');
-      const result = stmt.run();
-      return Promise.resolve(result.changes);
+      const clear = this.db.transaction(() => {
+        this.formatGames(this.db.prepare('SELECT * FROM games').all()).forEach(game => {
+          this.recordGameChanges(game.id, 'delete', game, null, source);
+        });
+        return stmt.run().changes;
+      });
+      return Promise.resolve(clear());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Carry out a plan from importer.planImport() in a single transaction, so a
+  // failure part way leaves the collection exactly as it was. In replace mode
+  // the current games go to the trash rather than being deleted outright.
+  // `adoptAssets` (see assetCopier in assets.js) re-homes the images each
+  // game refers to, so imported games never share files with other games.
+  async applyImportPlan(plan, source = null, adoptAssets = null) {
+    try {
+      const apply = this.db.transaction(() => {
+        let trashed = 0;
+        if (plan.mode === 'replace') {
+          this.db.prepare('SELECT id FROM games WHERE deletedAt IS NULL').all().forEach(({ id }) => {
+            trashed += this.trashGame(id, source);
+          });
+        }
+
+        const addedIds = plan.added.map(entry => this.insertGame(entry.game, source, adoptAssets));
+
+        plan.updated.forEach(entry => {
+          const gameData = {};
+          Object.keys(entry.changes).forEach(field => {
+            gameData[field] = entry.changes[field].to;
+          });
+          if (entry.tags !== undefined) {
+            gameData.tags = entry.tags;
+          }
+
+          const keyMap = adoptAssets
+            ? adoptAssets(this.loadGame(entry.gameId), [
+              gameData.coverArtPath, gameData.gameplayImagePath, ...entry.addPhotos.map(photo => photo.path)
+            ])
+            : null;
+          const assetKey = (key) => (keyMap && key ? keyMap[key] : key) || null;
+          // An image whose file is missing leaves the current one in place
+          ['coverArtPath', 'gameplayImagePath'].forEach(field => {
+            if (!gameData[field]) return;
+            gameData[field] = assetKey(gameData[field]);
+            if (!gameData[field]) delete gameData[field];
+          });
+          this.applyGameUpdate(entry.gameId, gameData, source, 'import-update');
+
+          entry.addPhotos.forEach(rawPhoto => {
+            const photo = { ...rawPhoto, path: assetKey(rawPhoto.path) };
+            if (!photo.path) return;
+            const photoId = this.insertPhoto(entry.gameId, photo);
+            this.recordHistory(entry.gameId, 'add-photo', 'additionalPhotos', null,
+              { id: photoId, path: photo.path, filename: photo.filename || null }, source);
+          });
+          entry.addNotes.forEach(note => {
+            const noteId = this.insertNote(entry.gameId, note);
+            this.recordHistory(entry.gameId, 'add-note', 'additionalNotes', null, { id: noteId, content: note.content }, source);
+          });
+        });
+
+        return { trashed, added: addedIds.length, updated: plan.updated.length, skipped: plan.skipped.length };
+      });
+      return Promise.resolve(apply());
     } catch (error) {
       return Promise.reject(error);
     }
@@ -267,12 +1218,35 @@ class GameDatabase {
     if (this.db) {
       try {
         this.db.close();
-        console.log('Database connection closed');
+        this.log('Database connection closed');
       } catch (error) {
         console.error('Error closing database:', error);
       }
+      this.db = null;
     }
   }
 }
 
+// Game fields tracked in game_history
+GameDatabase.HISTORY_FIELDS = [
+  'title', 'link', 'rageRating', 'finished', 'is_checked', 'platform',
+  'strikes', 'notes', 'coverArtPath', 'gameplayImagePath', 'tags'
+];
+
+// Match the three strike boxes and three rage stars of the edit form
+GameDatabase.MAX_STRIKES = 3;
+GameDatabase.MAX_RAGE_RATING = 3;
+
+// Sort keys accepted by queryGames, mapped to their ORDER BY expression
+GameDatabase.SORT_COLUMNS = {
+  title: 'title COLLATE NOCASE',
+  platform: 'platform COLLATE NOCASE',
+  dateAdded: 'dateAdded',
+  rageRating: 'COALESCE(rageRating, 0)',
+  strikes: 'COALESCE(strikes, 0)',
+  playTime: '(SELECT COALESCE(SUM(durationSeconds), 0) FROM play_sessions WHERE play_sessions.gameId = games.id)',
+  lastPlayed: "(SELECT COALESCE(MAX(COALESCE(endedAt, startedAt)), '') FROM play_sessions WHERE play_sessions.gameId = games.id)",
+  id: 'id'
+};
+
 module.exports = GameDatabase;
\ No newline at end of file
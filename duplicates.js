@@ -0,0 +1,228 @@
+// Duplicate detection and merging.
+//
+// Two games look like duplicates when they
+//   - share a link (ignoring scheme, "www." and a trailing slash),
+//   - have the same title (ignoring case and spacing),
+//   - have the same title once punctuation, a leading "The" and edition
+//     suffixes ("GOTY", "Remastered", "Definitive Edition", ...) are dropped
+//     and roman numerals are read as numbers, or
+//   - have titles within a small edit distance of each other that contain
+//     the same numbers, so "Halo 2" and "Halo 3" stay apart.
+// Titles only count when both games are on the same platform or one of them
+// has none; owning a game on two platforms is not a duplicate.
+//
+// planGameMerge() decides how two entries are combined into one; the database
+// and the server carry it out (see GameDatabase.mergeGames).
+
+const EDITION_SUFFIX = new RegExp(
+  ' (?:(?:goty|game of the year|remastered|remaster|definitive|complete|deluxe|enhanced|special|' +
+  'ultimate|gold|anniversary|collectors|legendary|premium|digital|hd)(?: edition)?|directors cut|edition)$'
+);
+
+const ROMAN_NUMERALS = {
+  ii: '2', iii: '3', iv: '4', v: '5', vi: '6', vii: '7', viii: '8', ix: '9',
+  xi: '11', xii: '12', xiii: '13', xiv: '14', xv: '15'
+};
+
+// Shortest title that may match with a typo, and one more allowed edit for
+// every this many characters
+const TYPO_LENGTH = 8;
+
+function normalizeTitle(title) {
+  return String(title || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function normalizeLink(link) {
+  return String(link || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/+$/, '');
+}
+
+// "The Witcher 3: Wild Hunt – GOTY Edition" -> "witcher 3 wild hunt"
+function comparableTitle(title) {
+  let text = normalizeTitle(title)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^the /, '')
+    .split(' ')
+    .map(word => ROMAN_NUMERALS[word] || word)
+    .join(' ');
+
+  for (let stripped = text.replace(EDITION_SUFFIX, ''); stripped !== text && stripped !== ''; stripped = text.replace(EDITION_SUFFIX, '')) {
+    text = stripped;
+  }
+  return text;
+}
+
+// Levenshtein distance, or max + 1 as soon as it is known to exceed `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function describe(game) {
+  const comparable = comparableTitle(game.title);
+  return {
+    game,
+    link: normalizeLink(game.link),
+    title: normalizeTitle(game.title),
+    comparable,
+    numbers: (comparable.match(/\d+/g) || []).join(' '),
+    platform: normalizeTitle(game.platform)
+  };
+}
+
+// Why two described games look like duplicates, or null
+function duplicateReason(a, b) {
+  if (a.link && a.link === b.link) {
+    return 'Same link';
+  }
+  if (a.platform && b.platform && a.platform !== b.platform) {
+    return null;
+  }
+  if (a.title === b.title) {
+    return 'Same title';
+  }
+  if (a.comparable === b.comparable) {
+    return 'Same title apart from edition or punctuation';
+  }
+  const shorter = Math.min(a.comparable.length, b.comparable.length);
+  if (shorter >= TYPO_LENGTH && a.numbers === b.numbers) {
+    const max = Math.floor(shorter / TYPO_LENGTH);
+    if (editDistance(a.comparable, b.comparable, max) <= max) {
+      return 'Similar title';
+    }
+  }
+  return null;
+}
+
+// Lookup of possible duplicates among `games`. find(candidate) lists the
+// games a candidate ({ title, link, platform }) looks like a duplicate of as
+// [{ id, title, platform, reason }]; add(game) puts another game in the pool,
+// e.g. one created earlier in the same batch.
+function duplicateFinder(games) {
+  const pool = games.map(describe);
+  return {
+    find(candidate) {
+      const described = describe(candidate);
+      return pool
+        .filter(other => other.game !== candidate && (candidate.id === undefined || other.game.id !== candidate.id))
+        .map(other => ({ game: other.game, reason: duplicateReason(described, other) }))
+        .filter(match => match.reason)
+        .map(({ game, reason }) => ({ id: game.id, title: game.title, platform: game.platform, reason }));
+    },
+    add(game) {
+      pool.push(describe(game));
+    }
+  };
+}
+
+// Every pair of games in `games` that look like duplicates, in title order:
+// [{ games: [a, b], reason }]
+function findDuplicatePairs(games) {
+  const described = games
+    .map(describe)
+    .sort((a, b) => a.title.localeCompare(b.title) || a.game.id - b.game.id);
+
+  const pairs = [];
+  described.forEach((a, index) => {
+    described.slice(index + 1).forEach(b => {
+      const reason = duplicateReason(a, b);
+      if (reason) {
+        pairs.push({ games: [a.game, b.game], reason });
+      }
+    });
+  });
+  return pairs;
+}
+
+// How merging `merge` into `keep` changes the kept game. Empty fields are
+// filled in, finished/checked are set when either game has them, rage rating
+// and strikes take the higher value, notes text is joined and tags are
+// combined. Photos and notes the kept game doesn't have move over, and so do
+// play sessions. Returns { changes, noteIds, photoIds, assetKeys } where
+// assetKeys are the files (with their variants) the kept game takes over.
+function planGameMerge(keep, merge) {
+  const changes = {};
+
+  ['link', 'platform', 'coverArtPath', 'gameplayImagePath'].forEach(field => {
+    if (!keep[field] && merge[field]) {
+      changes[field] = merge[field];
+    }
+  });
+  ['finished', 'is_checked'].forEach(field => {
+    if (!keep[field] && merge[field]) {
+      changes[field] = true;
+    }
+  });
+  ['rageRating', 'strikes'].forEach(field => {
+    if ((merge[field] || 0) > (keep[field] || 0)) {
+      changes[field] = merge[field];
+    }
+  });
+
+  const keepNotes = (keep.notes || '').trim();
+  const mergeNotes = (merge.notes || '').trim();
+  if (mergeNotes && !keepNotes.includes(mergeNotes)) {
+    changes.notes = keepNotes ? `${keepNotes}\n\n${mergeNotes}` : mergeNotes;
+  }
+
+  const keepTags = new Set(keep.tags.map(tag => tag.toLowerCase()));
+  const addTags = merge.tags.filter(tag => !keepTags.has(tag.toLowerCase()));
+  if (addTags.length > 0) {
+    changes.tags = [...keep.tags, ...addTags];
+  }
+
+  const keepNoteTexts = new Set(keep.additionalNotes.map(note => note.content.trim()));
+  const noteIds = merge.additionalNotes
+    .filter(note => !keepNoteTexts.has(note.content.trim()))
+    .map(note => note.id);
+
+  const keepPhotoPaths = new Set(keep.additionalPhotos.map(photo => photo.path));
+  const photos = merge.additionalPhotos.filter(photo => !keepPhotoPaths.has(photo.path));
+
+  const withVariants = (key, image) => (image ? [key, image.thumbPath, image.mediumPath] : [key]);
+  const assetKeys = [
+    ...(changes.coverArtPath ? withVariants(merge.coverArtPath, merge.coverArt) : []),
+    ...(changes.gameplayImagePath ? withVariants(merge.gameplayImagePath, merge.gameplayImage) : []),
+    ...photos.flatMap(photo => withVariants(photo.path, photo.image))
+  ];
+
+  return { changes, noteIds, photoIds: photos.map(photo => photo.id), assetKeys };
+}
+
+module.exports = {
+  normalizeTitle,
+  normalizeLink,
+  comparableTitle,
+  duplicateFinder,
+  findDuplicatePairs,
+  planGameMerge
+};
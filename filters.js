@@ -0,0 +1,104 @@
+// Game list filters shared by the REST API (/games/list query parameters)
+// and the command line (--name=value options), so both accept the same values.
+
+const Database = require('./database');
+
+// Turn /games/list query parameters into GameDatabase.queryGames filters.
+// Missing or "all" values mean "don't filter"; anything malformed throws so the
+// route can answer 400 instead of silently ignoring it.
+function parseGameFilters(query) {
+  const filters = {};
+
+  const parseBoolean = (name) => {
+    const value = query[name];
+    if (value === undefined || value === '' || value === 'all') return undefined;
+    if (['yes', 'true', '1'].includes(value)) return true;
+    if (['no', 'false', '0'].includes(value)) return false;
+    throw new Error(`Invalid ${name}: expected yes/no`);
+  };
+
+  const parseInteger = (name, min, max) => {
+    const value = query[name];
+    if (value === undefined || value === '' || value === 'all') return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+      throw new Error(`Invalid ${name}: expected a whole number${max !== undefined ? ` between ${min} and ${max}` : ` of at least ${min}`}`);
+    }
+    return number;
+  };
+
+  const parseDate = (name) => {
+    const value = query[name];
+    if (value === undefined || value === '') return undefined;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+      throw new Error(`Invalid ${name}: expected YYYY-MM-DD`);
+    }
+    return value;
+  };
+
+  if (typeof query.search === 'string' && query.search.trim() !== '') {
+    filters.search = query.search.trim();
+  }
+  filters.finished = parseBoolean('finished');
+  filters.is_checked = parseBoolean('is_checked');
+  if (typeof query.platform === 'string' && query.platform !== 'all') {
+    filters.platform = query.platform;
+  }
+  filters.strikes = parseInteger('strikes', 0);
+  filters.minRageRating = parseInteger('minRageRating', 0, Database.MAX_RAGE_RATING);
+  filters.maxRageRating = parseInteger('maxRageRating', 0, Database.MAX_RAGE_RATING);
+  filters.addedFrom = parseDate('addedFrom');
+  filters.addedTo = parseDate('addedTo');
+  filters.limit = parseInteger('limit', 1, 1000);
+  filters.offset = parseInteger('offset', 0);
+
+  const tags = parseTagList(query.tags);
+  if (tags.length > 0) {
+    filters.tags = tags;
+  }
+  if (query.tagMode !== undefined && query.tagMode !== '') {
+    if (!['any', 'all'].includes(query.tagMode)) {
+      throw new Error('Invalid tagMode: expected any or all');
+    }
+    filters.tagMode = query.tagMode;
+  }
+
+  if (query.sort !== undefined && query.sort !== '') {
+    if (query.sort !== 'random' && !Database.SORT_COLUMNS[query.sort]) {
+      throw new Error(`Invalid sort: expected one of ${[...Object.keys(Database.SORT_COLUMNS), 'random'].join(', ')}`);
+    }
+    filters.sort = query.sort;
+  }
+  if (query.order !== undefined && query.order !== '') {
+    if (!['asc', 'desc'].includes(query.order)) {
+      throw new Error('Invalid order: expected asc or desc');
+    }
+    filters.order = query.order;
+  }
+
+  return filters;
+}
+
+// Tags arrive either as repeated form fields / query parameters or as one
+// comma-separated string. Returns trimmed names with case-insensitive
+// duplicates removed.
+function parseTagList(value) {
+  if (value === undefined || value === null) return [];
+  const parts = (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(name => name.replace(/\s+/g, ' ').trim())
+    .filter(name => name !== '');
+
+  const seen = new Set();
+  return parts.filter(name => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = {
+  parseGameFilters,
+  parseTagList
+};
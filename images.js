@@ -0,0 +1,90 @@
+// Image pipeline for uploads. Each stored image is rewritten once with its
+// EXIF orientation applied and its metadata (camera, GPS position, ...)
+// dropped, and gets two downscaled WebP variants in the same folder: a
+// thumbnail for the list and a medium size for the detail view. The original
+// stays available at full size.
+
+const fs = require('fs');
+const { assetFilePath } = require('./assets');
+
+// sharp is a native module and is only loaded when first needed. Without it
+// (a broken install, or a build that packed its binaries into the asar)
+// the server still runs: images are stored as uploaded and shown at full size.
+let sharp;
+function loadSharp() {
+  if (sharp === undefined) {
+    try {
+      sharp = require('sharp');
+    } catch (error) {
+      console.error(`Image processing is off, sharp could not be loaded: ${error.message}`);
+      sharp = null;
+    }
+  }
+  return sharp;
+}
+
+function canProcessImages() {
+  return loadSharp() !== null;
+}
+
+// Longest side in pixels; smaller images are never enlarged
+const IMAGE_VARIANTS = {
+  thumb: 320,
+  medium: 1280
+};
+
+// Formats that are re-encoded when they carry metadata. GIFs would lose
+// their animation and SVGs would be rasterized, so those are left as they are.
+const REWRITABLE_FORMATS = ['jpeg', 'png', 'webp', 'tiff', 'avif'];
+
+// "42-hollow-knight/cover_<uuid>.png" -> "42-hollow-knight/cover_<uuid>.thumb.webp"
+function variantKey(key, variant) {
+  return `${key.replace(/\.[^./]*$/, '')}.${variant}.webp`;
+}
+
+// Normalise the image stored under `key` and write its variants. Resolves to
+// { width, height, thumbPath, mediumPath } with the variants as asset keys.
+async function processImage(uploadsPath, key) {
+  const sharp = loadSharp();
+  if (!sharp) {
+    throw new Error('Image processing is not available');
+  }
+  const filePath = assetFilePath(uploadsPath, key);
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new Error(`Image not found: ${key}`);
+  }
+
+  let image = fs.readFileSync(filePath);
+  const metadata = await sharp(image).metadata();
+  let { width, height } = metadata;
+
+  const hasMetadata = metadata.exif || metadata.xmp || metadata.iptc || (metadata.orientation || 1) !== 1;
+  if (hasMetadata && REWRITABLE_FORMATS.includes(metadata.format)) {
+    // rotate() without an angle applies the EXIF orientation; sharp leaves
+    // all metadata out of its output unless asked to keep it
+    const { data, info } = await sharp(image).rotate().toBuffer({ resolveWithObject: true });
+    fs.writeFileSync(filePath, data);
+    image = data;
+    width = info.width;
+    height = info.height;
+  }
+
+  const result = { width, height };
+  for (const [variant, size] of Object.entries(IMAGE_VARIANTS)) {
+    const variantPath = variantKey(key, variant);
+    await sharp(image)
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toFile(assetFilePath(uploadsPath, variantPath));
+    result[`${variant}Path`] = variantPath;
+  }
+  return result;
+}
+
+module.exports = {
+  IMAGE_VARIANTS,
+  variantKey,
+  canProcessImages,
+  processImage
+};
@@ -0,0 +1,398 @@
+// Import planning: decides what an import would do to the collection without
+// changing it. GameDatabase.applyImportPlan() then carries the plan out in a
+// single transaction, and the dry-runs (API preview routes, `cli.js import
+// --dry-run`) simply return it.
+//
+// Modes:
+//   replace  - move every game to the trash, then add everything from the file
+//   merge    - add new games, update matching ones (see conflict policy)
+//   add-only - add new games, leave matching ones untouched
+//
+// A game matches an existing one by link (when both have one) or by title,
+// ignoring case, spacing and URL scheme. In merge mode empty fields are always
+// filled in; when both sides have different values the conflict policy picks
+// "keep" (existing value wins) or "overwrite" (imported value wins), either for
+// all fields or per field. Fields the file leaves out or blank are not
+// touched; false and 0 are values like any other.
+//
+// Games that would be added but look like an existing game or an earlier
+// entry of the file (see duplicates.js) are listed in possibleDuplicates;
+// they are still added.
+
+const fs = require('fs');
+const { toAssetKey, isSafeAssetKey } = require('./assets');
+const { IMPORT_FIELDS, parseCsv, guessColumnMapping, rowsToGames } = require('./csv');
+const { normalizeTitle, normalizeLink, duplicateFinder } = require('./duplicates');
+const { MAX_STRIKES, MAX_RAGE_RATING } = require('./database');
+
+const IMPORT_MODES = ['replace', 'merge', 'add-only'];
+const CONFLICT_POLICIES = ['keep', 'overwrite'];
+const MERGE_FIELDS = [
+  'link', 'rageRating', 'finished', 'is_checked', 'platform',
+  'strikes', 'notes', 'coverArtPath', 'gameplayImagePath'
+];
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Links that only differ in scheme, "www." or a trailing slash are the same
+function sameValue(field, a, b) {
+  if (field === 'link') return normalizeLink(a) === normalizeLink(b);
+  return String(a) === String(b);
+}
+
+function toBoolean(value) {
+  return value === true || value === 1 || value === 'true' || value === '1' || value === 'yes';
+}
+
+// Exports from before asset keys hold full URLs. Keys that could point outside
+// the uploads folder are dropped.
+function importedAssetKey(value) {
+  const key = toAssetKey(value);
+  return isSafeAssetKey(key) ? key : null;
+}
+
+// Validate one game from an import file and coerce it to the createGame shape.
+// Returns { game } or { error }.
+function normalizeImportedGame(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Entry is not an object' };
+  }
+
+  const title = typeof raw.title === 'string' ? raw.title.trim() : '';
+  if (title === '') {
+    return { error: 'Title is required' };
+  }
+
+  const rageRating = raw.rageRating === undefined || raw.rageRating === null || raw.rageRating === '' ? 0 : Number(raw.rageRating);
+  if (!Number.isInteger(rageRating) || rageRating < 0 || rageRating > MAX_RAGE_RATING) {
+    return { error: `Invalid rageRating "${raw.rageRating}": expected 0-${MAX_RAGE_RATING}` };
+  }
+
+  const strikes = raw.strikes === undefined || raw.strikes === null || raw.strikes === '' ? 0 : Number(raw.strikes);
+  if (!Number.isInteger(strikes) || strikes < 0 || strikes > MAX_STRIKES) {
+    return { error: `Invalid strikes "${raw.strikes}": expected 0-${MAX_STRIKES}` };
+  }
+
+  const playtimeSeconds = isEmpty(raw.playtimeSeconds) ? 0 : Number(raw.playtimeSeconds);
+  if (!Number.isInteger(playtimeSeconds) || playtimeSeconds < 0) {
+    return { error: `Invalid playtimeSeconds "${raw.playtimeSeconds}": expected a whole number` };
+  }
+
+  const text = (value) => (value === undefined || value === null ? '' : String(value));
+
+  return {
+    game: {
+      title,
+      link: text(raw.link).trim(),
+      rageRating,
+      finished: toBoolean(raw.finished),
+      is_checked: toBoolean(raw.is_checked),
+      platform: text(raw.platform).trim(),
+      strikes,
+      notes: text(raw.notes),
+      coverArtPath: importedAssetKey(raw.coverArtPath),
+      gameplayImagePath: importedAssetKey(raw.gameplayImagePath),
+      additionalPhotos: Array.isArray(raw.additionalPhotos)
+        ? raw.additionalPhotos
+          .filter(photo => photo && photo.path)
+          .map(photo => ({ ...photo, path: importedAssetKey(photo.path) }))
+          .filter(photo => photo.path)
+        : [],
+      additionalNotes: Array.isArray(raw.additionalNotes)
+        ? raw.additionalNotes.filter(note => note && typeof note.content === 'string' && note.content.trim() !== '')
+        : [],
+      tags: Array.isArray(raw.tags)
+        ? raw.tags.filter(tag => typeof tag === 'string' && tag.trim() !== '').map(tag => tag.trim())
+        : [],
+      playtimeSeconds
+    }
+  };
+}
+
+// Build an import plan. `existingGames` are the current (non-trashed) games as
+// returned by getAllGames(); `incoming` is the raw array from the import file.
+function planImport(existingGames, incoming, options = {}) {
+  const mode = options.mode || 'merge';
+  const conflictPolicy = options.conflictPolicy || 'keep';
+  const fieldPolicy = options.fieldPolicy || {};
+
+  const plan = {
+    mode,
+    trashed: mode === 'replace' ? existingGames.length : 0,
+    added: [],
+    updated: [],
+    skipped: [],
+    conflicts: [],
+    possibleDuplicates: [],
+    errors: []
+  };
+
+  const byLink = new Map();
+  const byTitle = new Map();
+  if (mode !== 'replace') {
+    existingGames.forEach(game => {
+      const link = normalizeLink(game.link);
+      if (link && !byLink.has(link)) byLink.set(link, game);
+      const title = normalizeTitle(game.title);
+      if (!byTitle.has(title)) byTitle.set(title, game);
+    });
+  }
+  const seenInFile = new Map();
+  const duplicates = duplicateFinder(mode === 'replace' ? [] : existingGames);
+
+  incoming.forEach((raw, index) => {
+    const { game, error } = normalizeImportedGame(raw);
+    if (error) {
+      plan.errors.push({ index, title: raw && typeof raw.title === 'string' ? raw.title : null, error });
+      return;
+    }
+
+    if (mode === 'replace') {
+      plan.added.push({ index, title: game.title, game });
+      return;
+    }
+
+    const link = normalizeLink(game.link);
+    const title = normalizeTitle(game.title);
+    const fileKey = link || `title:${title}`;
+    if (seenInFile.has(fileKey)) {
+      plan.skipped.push({ index, title: game.title, reason: `Duplicate of entry ${seenInFile.get(fileKey)} in the import file` });
+      return;
+    }
+    seenInFile.set(fileKey, index);
+
+    const existing = (link && byLink.get(link)) || byTitle.get(title);
+    if (!existing) {
+      const matches = duplicates.find(game);
+      if (matches.length > 0) {
+        plan.possibleDuplicates.push({ index, title: game.title, matches });
+      }
+      duplicates.add(game);
+      plan.added.push({ index, title: game.title, game });
+      return;
+    }
+
+    if (mode === 'add-only') {
+      plan.skipped.push({ index, title: game.title, gameId: existing.id, reason: 'Already in the collection' });
+      return;
+    }
+
+    // Only fields the file gives a value for are merged; the defaults
+    // normalizeImportedGame() fills in for the rest change nothing
+    const provided = MERGE_FIELDS.filter(field => !isEmpty(raw[field]));
+    const update = planMerge(existing, game, provided, index, conflictPolicy, fieldPolicy, plan.conflicts);
+    if (update) {
+      plan.updated.push(update);
+    } else {
+      plan.skipped.push({ index, title: game.title, gameId: existing.id, reason: 'No changes' });
+    }
+  });
+
+  plan.summary = {
+    trashed: plan.trashed,
+    added: plan.added.length,
+    updated: plan.updated.length,
+    skipped: plan.skipped.length,
+    conflicts: plan.conflicts.length,
+    possibleDuplicates: plan.possibleDuplicates.length,
+    errors: plan.errors.length
+  };
+  return plan;
+}
+
+// Work out which of the `fields` of `existing` an imported game changes.
+// Returns null when nothing would change; conflicts are appended to `conflicts`.
+function planMerge(existing, incoming, fields, index, conflictPolicy, fieldPolicy, conflicts) {
+  const changes = {};
+
+  fields.forEach(field => {
+    const current = existing[field];
+    const value = incoming[field];
+    if (sameValue(field, current, value)) return;
+
+    if (isEmpty(current)) {
+      changes[field] = { from: current, to: value };
+      return;
+    }
+
+    const policy = fieldPolicy[field] || conflictPolicy;
+    conflicts.push({
+      index,
+      title: existing.title,
+      gameId: existing.id,
+      field,
+      existing: current,
+      incoming: value,
+      resolution: policy === 'overwrite' ? 'overwrite' : 'keep'
+    });
+    if (policy === 'overwrite') {
+      changes[field] = { from: current, to: value };
+    }
+  });
+
+  const existingTags = new Set((existing.tags || []).map(tag => tag.toLowerCase()));
+  const addTags = incoming.tags.filter(tag => !existingTags.has(tag.toLowerCase()));
+
+  const existingNotes = new Set((existing.additionalNotes || []).map(note => note.content.trim()));
+  const addNotes = incoming.additionalNotes.filter(note => !existingNotes.has(note.content.trim()));
+
+  const existingPhotos = new Set((existing.additionalPhotos || []).map(photo => photo.path));
+  const addPhotos = incoming.additionalPhotos.filter(photo => !existingPhotos.has(photo.path));
+
+  if (Object.keys(changes).length === 0 && addTags.length === 0 && addNotes.length === 0 && addPhotos.length === 0) {
+    return null;
+  }
+
+  return {
+    index,
+    title: existing.title,
+    gameId: existing.id,
+    changes,
+    tags: addTags.length > 0 ? [...existing.tags, ...addTags] : undefined,
+    addTags,
+    addNotes,
+    addPhotos
+  };
+}
+
+// Import options shared by JSON and CSV imports: mode, conflictPolicy and a
+// JSON fieldPolicy object. Returns { options } or { error }.
+function parseImportOptions(body) {
+  const mode = body.mode || 'merge';
+  if (!IMPORT_MODES.includes(mode)) {
+    return { error: `Invalid mode: expected one of ${IMPORT_MODES.join(', ')}` };
+  }
+  const conflictPolicy = body.conflictPolicy || 'keep';
+  if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+    return { error: `Invalid conflictPolicy: expected one of ${CONFLICT_POLICIES.join(', ')}` };
+  }
+
+  let fieldPolicy = {};
+  if (body.fieldPolicy) {
+    try {
+      fieldPolicy = typeof body.fieldPolicy === 'string' ? JSON.parse(body.fieldPolicy) : body.fieldPolicy;
+    } catch (error) {
+      return { error: 'Invalid fieldPolicy: expected a JSON object' };
+    }
+    for (const [field, policy] of Object.entries(fieldPolicy || {})) {
+      if (!MERGE_FIELDS.includes(field) || !CONFLICT_POLICIES.includes(policy)) {
+        return { error: `Invalid fieldPolicy entry "${field}": "${policy}"` };
+      }
+    }
+  }
+
+  return { options: { mode, conflictPolicy, fieldPolicy } };
+}
+
+// Read a JSON import file (an export's { games: [...] }) into a plan.
+// `body` holds the import options as sent by a form. Returns { error } for
+// anything the user has to fix.
+async function buildImportPlan(db, filePath, body = {}) {
+  if (!filePath) {
+    return { error: 'No file uploaded' };
+  }
+  const { options, error } = parseImportOptions(body);
+  if (error) {
+    return { error };
+  }
+
+  let importData;
+  try {
+    importData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { error: `Import file is not valid JSON: ${error.message}` };
+  }
+  if (!importData || !Array.isArray(importData.games)) {
+    return { error: 'Import file has no games list' };
+  }
+
+  const existingGames = await db.getAllGames();
+  return { plan: planImport(existingGames, importData.games, options) };
+}
+
+// Read a CSV file and map its columns to game fields. `mapping` is
+// an optional JSON { field: header } object; without it the mapping is
+// guessed from the headers. Rows that fail validation are listed in `errors`
+// and no plan is built until there are none.
+async function buildCsvImport(db, filePath, body = {}) {
+  if (!filePath) {
+    return { error: 'No file uploaded' };
+  }
+  const { options, error } = parseImportOptions(body);
+  if (error) {
+    return { error };
+  }
+
+  let rows;
+  try {
+    rows = parseCsv(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { error: `Import file is not valid CSV: ${error.message}` };
+  }
+  if (rows.length === 0) {
+    return { error: 'CSV file is empty' };
+  }
+  const [headers, ...dataRows] = rows;
+
+  let mapping;
+  if (body.mapping) {
+    try {
+      mapping = typeof body.mapping === 'string' ? JSON.parse(body.mapping) : body.mapping;
+    } catch (error) {
+      return { error: 'Invalid mapping: expected a JSON object' };
+    }
+    for (const [field, header] of Object.entries(mapping || {})) {
+      if (!Object.keys(IMPORT_FIELDS).includes(field)) {
+        return { error: `Invalid mapping: unknown field "${field}"` };
+      }
+      if (!headers.includes(header)) {
+        return { error: `Invalid mapping: the CSV has no column "${header}"` };
+      }
+    }
+  } else {
+    mapping = guessColumnMapping(headers);
+  }
+
+  const result = {
+    headers,
+    mapping,
+    fields: Object.keys(IMPORT_FIELDS),
+    rowCount: dataRows.filter(row => row.some(cell => cell.trim() !== '')).length,
+    sample: dataRows.slice(0, 5),
+    errors: [],
+    plan: null
+  };
+  if (!mapping.title) {
+    result.errors.push({ row: 1, column: null, field: 'title', error: 'No column is mapped to title' });
+    return result;
+  }
+
+  const { games, errors } = rowsToGames(headers, dataRows, mapping);
+  result.errors = errors;
+  if (errors.length === 0) {
+    const existingGames = await db.getAllGames();
+    result.plan = planImport(existingGames, games.map(entry => entry.game), options);
+    // Report spreadsheet rows rather than array positions
+    ['added', 'updated', 'skipped', 'conflicts', 'errors'].forEach(list => {
+      result.plan[list].forEach(entry => {
+        entry.row = games[entry.index].row;
+      });
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  IMPORT_MODES,
+  CONFLICT_POLICIES,
+  MERGE_FIELDS,
+  normalizeTitle,
+  normalizeLink,
+  normalizeImportedGame,
+  planImport,
+  parseImportOptions,
+  buildImportPlan,
+  buildCsvImport
+};
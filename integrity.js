@@ -0,0 +1,109 @@
+// Storage integrity: compares the uploads folder with the asset keys the
+// database references and reports
+//   - orphaned files: on disk but not referenced by any game,
+//   - missing files: referenced by a game but not on disk,
+//   - empty folders: folders under uploads/ without any file in them.
+//
+// Cleaning up never deletes files. Orphans move to quarantine/<timestamp>/
+// (next to uploads/, keeping their relative path) so they can be put back by
+// hand; references to missing files are removed from their games.
+
+const fs = require('fs');
+const path = require('path');
+const { listFiles, assetFilePath } = require('./assets');
+
+// Files the operating system drops into folders on its own
+const IGNORED_FILES = ['.DS_Store', 'Thumbs.db', 'desktop.ini'];
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Relative paths of the topmost folders below `dir` that hold no files
+function findEmptyFolders(dir, prefix = '') {
+  const empty = [];
+  let hasFiles = false;
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      const inner = findEmptyFolders(path.join(dir, entry.name), relative);
+      if (inner.hasFiles) {
+        hasFiles = true;
+        empty.push(...inner.empty);
+      } else {
+        empty.push(relative);
+      }
+    } else {
+      hasFiles = true;
+    }
+  });
+  return { hasFiles, empty };
+}
+
+async function scanStorage(db, uploadsPath) {
+  const { references, images } = await db.getAssetReferences();
+
+  // Variants belong to the image they were made from
+  const referenced = new Set(references.map(reference => reference.path));
+  images.filter(image => referenced.has(image.path)).forEach(image => {
+    referenced.add(image.thumbPath);
+    referenced.add(image.mediumPath);
+  });
+
+  const files = listFiles(uploadsPath).filter(key => !IGNORED_FILES.includes(key.split('/').pop()));
+  const onDisk = new Set(files);
+
+  return {
+    checkedAt: new Date().toISOString(),
+    orphanedFiles: files
+      .filter(key => !referenced.has(key))
+      .map(key => ({ path: key, size: fs.statSync(assetFilePath(uploadsPath, key)).size })),
+    missingFiles: references.filter(reference => !onDisk.has(reference.path)),
+    emptyFolders: fs.existsSync(uploadsPath) ? findEmptyFolders(uploadsPath).empty : []
+  };
+}
+
+// Clean up the selected items ({ orphanedFiles, missingFiles, emptyFolders },
+// each a list of paths). The storage is scanned again first and only items
+// that are still reported are touched.
+async function cleanStorage(db, appDataPath, selection, source = null) {
+  const uploadsPath = path.join(appDataPath, 'uploads');
+  const report = await scanStorage(db, uploadsPath);
+  const selected = (list) => new Set(Array.isArray(list) ? list : []);
+
+  const orphans = selected(selection.orphanedFiles);
+  const quarantinePath = path.join(appDataPath, 'quarantine', timestamp());
+  const quarantined = [];
+  report.orphanedFiles.filter(file => orphans.has(file.path)).forEach(file => {
+    const target = path.join(quarantinePath, ...file.path.split('/'));
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.renameSync(assetFilePath(uploadsPath, file.path), target);
+    quarantined.push(file.path);
+  });
+
+  const missing = selected(selection.missingFiles);
+  const missingKeys = [...new Set(report.missingFiles.map(reference => reference.path))].filter(key => missing.has(key));
+  const clearedReferences = missingKeys.length > 0 ? await db.removeAssetReferences(missingKeys, source) : 0;
+
+  const folders = selected(selection.emptyFolders);
+  const removedFolders = [];
+  report.emptyFolders.filter(folder => folders.has(folder)).forEach(folder => {
+    const folderPath = assetFilePath(uploadsPath, folder);
+    if (folderPath && fs.existsSync(folderPath) && !findEmptyFolders(folderPath).hasFiles) {
+      fs.rmSync(folderPath, { recursive: true });
+      removedFolders.push(folder);
+    }
+  });
+
+  return {
+    quarantined,
+    quarantinePath: quarantined.length > 0 ? quarantinePath : null,
+    clearedReferences,
+    removedFolders
+  };
+}
+
+module.exports = {
+  scanStorage,
+  cleanStorage
+};
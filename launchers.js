@@ -0,0 +1,407 @@
+// Adapters that read library files from game launchers and managers into
+// plain game objects for importer.planImport(). Every adapter works on the
+// uploaded files only ({ name, content } with content as a string), never on
+// the launcher's own folders, so each can be exercised with fixture files.
+//
+// An adapter is { id, name, detect(files), parse(files) } where parse returns
+// { games, warnings }. Games carry playtimeSeconds where the launcher records
+// time played (Steam's localconfig.vdf, Playnite, Lutris, GOG Galaxy).
+
+const { parseCsv } = require('./csv');
+
+// Parse Valve KeyValues text (.vdf/.acf) into nested objects
+function parseVdf(text) {
+  let i = 0;
+
+  const skipWhitespace = () => {
+    while (i < text.length) {
+      if (/\s/.test(text[i])) {
+        i++;
+      } else if (text[i] === '/' && text[i + 1] === '/') {
+        while (i < text.length && text[i] !== '\n') i++;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readString = () => {
+    if (text[i] !== '"') {
+      const start = i;
+      while (i < text.length && !/[\s{}"]/.test(text[i])) i++;
+      return text.slice(start, i);
+    }
+    i++;
+    let value = '';
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === '\\' && i + 1 < text.length) {
+        const escaped = text[i + 1];
+        value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+        i += 2;
+      } else {
+        value += text[i++];
+      }
+    }
+    if (i >= text.length) {
+      throw new Error('Unterminated string in VDF file');
+    }
+    i++;
+    return value;
+  };
+
+  const readObject = (nested) => {
+    const object = {};
+    for (;;) {
+      skipWhitespace();
+      if (i >= text.length) {
+        if (nested) throw new Error('Unexpected end of VDF file');
+        return object;
+      }
+      if (text[i] === '}') {
+        if (!nested) throw new Error('Unexpected "}" in VDF file');
+        i++;
+        return object;
+      }
+      const key = readString();
+      skipWhitespace();
+      if (text[i] === '{') {
+        i++;
+        object[key] = readObject(true);
+      } else {
+        object[key] = readString();
+      }
+    }
+  };
+
+  return readObject(false);
+}
+
+// VDF keys are case-insensitive ("AppState" vs "appstate")
+function vdfGet(object, key) {
+  if (!object || typeof object !== 'object') return undefined;
+  const match = Object.keys(object).find(candidate => candidate.toLowerCase() === key.toLowerCase());
+  return match === undefined ? undefined : object[match];
+}
+
+function parseJsonFile(file) {
+  try {
+    return JSON.parse(file.content.charCodeAt(0) === 0xfeff ? file.content.slice(1) : file.content);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Whole seconds from a number of `unit` seconds, or 0
+function playtime(value, unit = 1) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.round(number * unit) : 0;
+}
+
+// Library JSON is either an array of games or an object holding one
+function jsonGameList(data) {
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === 'object') {
+    const list = Object.values(data).find(value => Array.isArray(value) && value.some(item => item && typeof item === 'object'));
+    if (list) return list;
+  }
+  return [];
+}
+
+function jsonFiles(files) {
+  return files
+    .filter(file => /\.json$/i.test(file.name))
+    .map(file => ({ file, list: jsonGameList(parseJsonFile(file)) }));
+}
+
+// Steam tools and runtimes that show up as installed apps
+const STEAM_TOOLS = /^(Proton\b|Steam Linux Runtime|Steamworks Common Redistributables|SteamVR\b)/i;
+
+// Minutes played per app id from userdata/<user>/config/localconfig.vdf
+function steamPlaytimes(config) {
+  const keys = ['Software', 'Valve', 'Steam', 'apps'];
+  const apps = keys.reduce((object, key) => vdfGet(object, key), config) || {};
+  return new Map(Object.entries(apps).map(([appId, app]) => [appId, vdfGet(app, 'Playtime')]));
+}
+
+const steam = {
+  id: 'steam',
+  name: 'Steam (appmanifest_*.acf / libraryfolders.vdf / localconfig.vdf)',
+  detect(files) {
+    return files.some(file => /\.(acf|vdf)$/i.test(file.name));
+  },
+  parse(files) {
+    const games = [];
+    const warnings = [];
+    const manifestIds = new Set();
+    const libraryIds = new Set();
+    let playtimes = new Map();
+
+    files.forEach(file => {
+      let data;
+      try {
+        data = parseVdf(file.content);
+      } catch (error) {
+        warnings.push(`${file.name}: ${error.message}`);
+        return;
+      }
+
+      const appState = vdfGet(data, 'AppState');
+      const folders = vdfGet(data, 'libraryfolders');
+      const config = vdfGet(data, 'UserLocalConfigStore');
+      if (appState) {
+        const appId = vdfGet(appState, 'appid');
+        const title = vdfGet(appState, 'name');
+        if (!title) {
+          warnings.push(`${file.name}: no game name`);
+          return;
+        }
+        manifestIds.add(appId);
+        if (STEAM_TOOLS.test(title)) return;
+        games.push({
+          appId,
+          title,
+          platform: 'Steam',
+          link: appId ? `https://store.steampowered.com/app/${appId}` : ''
+        });
+      } else if (folders) {
+        Object.values(folders).forEach(folder => {
+          Object.keys(vdfGet(folder, 'apps') || {}).forEach(appId => libraryIds.add(appId));
+        });
+      } else if (config) {
+        playtimes = steamPlaytimes(config);
+      } else {
+        warnings.push(`${file.name}: not a Steam app manifest, library folders or local config file`);
+      }
+    });
+
+    // libraryfolders.vdf only has app ids; names live in the app manifests
+    const unnamed = [...libraryIds].filter(appId => !manifestIds.has(appId));
+    if (unnamed.length > 0) {
+      warnings.push(`${unnamed.length} installed apps listed in libraryfolders.vdf have no appmanifest_<id>.acf file ` +
+        `among the uploaded files, so their names are unknown: ${unnamed.join(', ')}`);
+    }
+
+    return {
+      games: games.map(({ appId, ...game }) => ({ ...game, playtimeSeconds: playtime(playtimes.get(appId), 60) })),
+      warnings
+    };
+  }
+};
+
+const playnite = {
+  id: 'playnite',
+  name: 'Playnite (JSON export)',
+  detect(files) {
+    return jsonFiles(files).some(({ list }) =>
+      list.some(item => item && typeof item.Name === 'string' && ('GameId' in item || 'PluginId' in item || 'Source' in item))
+    );
+  },
+  parse(files) {
+    const games = [];
+    const warnings = [];
+    const named = (value) => (value && typeof value === 'object' ? value.Name : value) || '';
+
+    jsonFiles(files).forEach(({ file, list }) => {
+      if (list.length === 0) {
+        warnings.push(`${file.name}: no games found`);
+        return;
+      }
+      list.forEach(item => {
+        if (!item || typeof item.Name !== 'string' || item.Name.trim() === '') return;
+        const platforms = Array.isArray(item.Platforms) ? item.Platforms.map(named) : [];
+        const links = Array.isArray(item.Links) ? item.Links : [];
+        const status = named(item.CompletionStatus).toLowerCase();
+        games.push({
+          title: item.Name,
+          platform: named(item.Source) || platforms[0] || '',
+          link: links.length > 0 && links[0].Url ? links[0].Url : '',
+          notes: typeof item.Notes === 'string' ? item.Notes : '',
+          finished: status === 'completed' || status === 'beaten',
+          tags: Array.isArray(item.Tags) ? item.Tags.map(named).filter(Boolean) : [],
+          // Playnite counts seconds
+          playtimeSeconds: playtime(item.Playtime)
+        });
+      });
+    });
+
+    return { games, warnings };
+  }
+};
+
+const HEROIC_STORES = {
+  legendary: 'Epic Games Store',
+  gog: 'GOG',
+  nile: 'Amazon Games',
+  sideload: 'PC'
+};
+
+const heroic = {
+  id: 'heroic',
+  name: 'Heroic Games Launcher (library JSON)',
+  detect(files) {
+    return jsonFiles(files).some(({ list }) =>
+      list.some(item => item && typeof item.app_name === 'string' && typeof item.title === 'string')
+    );
+  },
+  parse(files) {
+    const games = [];
+    const warnings = [];
+
+    jsonFiles(files).forEach(({ file, list }) => {
+      const entries = list.filter(item => item && typeof item.title === 'string' && item.title.trim() !== '');
+      if (entries.length === 0) {
+        warnings.push(`${file.name}: no games found`);
+        return;
+      }
+      entries.forEach(item => {
+        // DLC entries sit alongside base games in the Epic library
+        if (item.install && item.install.is_dlc) return;
+        games.push({
+          title: item.title,
+          platform: HEROIC_STORES[item.runner] || item.runner || 'PC',
+          link: item.store_url || ''
+        });
+      });
+    });
+
+    return { games, warnings };
+  }
+};
+
+// Lutris prints playtime as hours, either a number or "H:MM:SS"
+function lutrisPlaytime(value) {
+  const match = typeof value === 'string' && value.match(/^(\d+):(\d{2}):(\d{2})(?:\.\d+)?$/);
+  if (match) {
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+  }
+  return playtime(value, 3600);
+}
+
+const lutris = {
+  id: 'lutris',
+  name: 'Lutris (lutris --list-games --json)',
+  detect(files) {
+    return jsonFiles(files).some(({ list }) =>
+      list.some(item => item && typeof item.name === 'string' && typeof item.slug === 'string' && 'runner' in item)
+    );
+  },
+  parse(files) {
+    const games = [];
+    const warnings = [];
+
+    jsonFiles(files).forEach(({ file, list }) => {
+      const entries = list.filter(item => item && typeof item.name === 'string' && item.name.trim() !== '');
+      if (entries.length === 0) {
+        warnings.push(`${file.name}: no games found`);
+        return;
+      }
+      entries.forEach(item => {
+        games.push({
+          title: item.name,
+          platform: item.platform || 'PC',
+          link: item.slug ? `https://lutris.net/games/${item.slug}/` : '',
+          playtimeSeconds: lutrisPlaytime(item.playtime)
+        });
+      });
+    });
+
+    return { games, warnings };
+  }
+};
+
+const GOG_PLATFORMS = {
+  gog: 'GOG',
+  steam: 'Steam',
+  epic: 'Epic Games Store',
+  uplay: 'Ubisoft Connect',
+  origin: 'EA app',
+  battlenet: 'Battle.net',
+  xboxone: 'Xbox',
+  psn: 'PlayStation',
+  amazon: 'Amazon Games'
+};
+
+// Galaxy export lists come as "a, b" or Python-style "['a', 'b']"
+function splitGogList(value) {
+  return String(value || '')
+    .replace(/^\[|\]$/g, '')
+    .split(',')
+    .map(item => item.trim().replace(/^['"]|['"]$/g, ''))
+    .filter(item => item !== '');
+}
+
+const gogGalaxy = {
+  id: 'gog',
+  name: 'GOG Galaxy (CSV export)',
+  detect(files) {
+    return files.some(file => {
+      if (!/\.csv$/i.test(file.name)) return false;
+      const header = (parseCsv(file.content.split(/\r?\n/)[0] || '')[0] || []).map(column => column.toLowerCase());
+      return header.includes('title') && (header.includes('platformlist') || header.includes('releasekey'));
+    });
+  },
+  parse(files) {
+    const games = [];
+    const warnings = [];
+
+    files.filter(file => /\.csv$/i.test(file.name)).forEach(file => {
+      let rows;
+      try {
+        rows = parseCsv(file.content);
+      } catch (error) {
+        warnings.push(`${file.name}: ${error.message}`);
+        return;
+      }
+      const header = (rows[0] || []).map(column => column.toLowerCase());
+      const column = (name) => header.indexOf(name);
+      if (column('title') < 0) {
+        warnings.push(`${file.name}: no title column`);
+        return;
+      }
+
+      rows.slice(1).forEach(row => {
+        const title = (row[column('title')] || '').trim();
+        if (title === '') return;
+        const platforms = column('platformlist') >= 0 ? splitGogList(row[column('platformlist')]) : [];
+        games.push({
+          title,
+          platform: platforms.length > 0 ? (GOG_PLATFORMS[platforms[0].toLowerCase()] || platforms[0]) : 'GOG',
+          tags: column('tags') >= 0 ? splitGogList(row[column('tags')]) : [],
+          playtimeSeconds: column('gamemins') >= 0 ? playtime(row[column('gamemins')], 60) : 0
+        });
+      });
+    });
+
+    return { games, warnings };
+  }
+};
+
+// Order matters for detection: Heroic and Lutris JSON are checked before the
+// looser Playnite shape
+const LAUNCHER_ADAPTERS = [steam, heroic, lutris, playnite, gogGalaxy];
+
+// Read launcher files with the adapter named by `adapterId`, or the first one
+// that recognises them. Returns { adapter, games, warnings } or { error }.
+function readLauncherFiles(files, adapterId) {
+  let adapter;
+  if (adapterId) {
+    adapter = LAUNCHER_ADAPTERS.find(candidate => candidate.id === adapterId);
+    if (!adapter) {
+      return { error: `Unknown launcher "${adapterId}": expected one of ${LAUNCHER_ADAPTERS.map(candidate => candidate.id).join(', ')}` };
+    }
+  } else {
+    adapter = LAUNCHER_ADAPTERS.find(candidate => candidate.detect(files));
+    if (!adapter) {
+      return { error: 'These files were not recognised as a library export from a supported launcher' };
+    }
+  }
+
+  const { games, warnings } = adapter.parse(files);
+  return { adapter, games, warnings };
+}
+
+module.exports = {
+  LAUNCHER_ADAPTERS,
+  parseVdf,
+  readLauncherFiles
+};
@@ -0,0 +1,348 @@
+// Numbered schema migrations for games.db.
+//
+// The schema version lives in PRAGMA user_version. GameDatabase.migrate() runs
+// every migration with a version above it, in order, each inside its own
+// transaction. Once a migration has shipped never edit it - add a new one.
+// up(db, { uploadsPath }) also receives the uploads folder for migrations
+// that have to move files.
+
+const fs = require('fs');
+const path = require('path');
+const { toAssetKey, assetFilePath, newGameFolderName } = require('./assets');
+
+function columnExists(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(col => col.name === column);
+}
+
+const migrations = [
+  {
+    version: 1,
+    name: 'create games table',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS games (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          link TEXT,
+          rageRating INTEGER DEFAULT 0,
+          finished BOOLEAN DEFAULT FALSE,
+          is_checked BOOLEAN DEFAULT FALSE,
+          platform TEXT,
+          strikes INTEGER DEFAULT 0,
+          notes TEXT,
+          coverArtPath TEXT,
+          gameplayImagePath TEXT,
+          dateAdded DATE DEFAULT CURRENT_DATE,
+          additionalPhotos TEXT,
+          additionalNotes TEXT
+        )
+      `);
+
+      // Databases created before additional photos/notes existed lack these columns
+      if (!columnExists(db, 'games', 'additionalPhotos')) {
+        db.exec('ALTER TABLE games ADD COLUMN additionalPhotos TEXT');
+      }
+      if (!columnExists(db, 'games', 'additionalNotes')) {
+        db.exec('ALTER TABLE games ADD COLUMN additionalNotes TEXT');
+      }
+    }
+  },
+  {
+    version: 2,
+    name: 'move additional photos and notes into child tables',
+    up(db) {
+      db.exec(`
+        CREATE TABLE game_photos (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          gameId INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+          path TEXT NOT NULL,
+          filename TEXT,
+          dateAdded TEXT
+        );
+        CREATE INDEX idx_game_photos_gameId ON game_photos(gameId);
+
+        CREATE TABLE game_notes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          gameId INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+          content TEXT NOT NULL,
+          dateAdded TEXT
+        );
+        CREATE INDEX idx_game_notes_gameId ON game_notes(gameId);
+      `);
+
+      const insertPhoto = db.prepare('INSERT INTO game_photos (gameId, path, filename, dateAdded) VALUES (?, ?, ?, ?)');
+      const insertNote = db.prepare('INSERT INTO game_notes (gameId, content, dateAdded) VALUES (?, ?, ?)');
+      const rows = db.prepare('SELECT id, additionalPhotos, additionalNotes FROM games ORDER BY id').all();
+
+      const parseList = (row, column) => {
+        if (!row[column]) return [];
+        try {
+          const list = JSON.parse(row[column]);
+          return Array.isArray(list) ? list : [];
+        } catch (error) {
+          throw new Error(`Game ${row.id} has unreadable ${column}: ${error.message}`);
+        }
+      };
+
+      // Array order becomes id order, so existing items keep their position
+      for (const row of rows) {
+        for (const photo of parseList(row, 'additionalPhotos')) {
+          if (photo && photo.path) {
+            insertPhoto.run(row.id, photo.path, photo.filename || null, photo.dateAdded || null);
+          }
+        }
+        for (const note of parseList(row, 'additionalNotes')) {
+          if (note && note.content) {
+            insertNote.run(row.id, note.content, note.dateAdded || null);
+          }
+        }
+      }
+
+      db.exec('ALTER TABLE games DROP COLUMN additionalPhotos');
+      db.exec('ALTER TABLE games DROP COLUMN additionalNotes');
+    }
+  },
+  {
+    version: 3,
+    name: 'full-text search index',
+    up(db) {
+      // One FTS row per game (rowid = games.id); triggers keep it in sync with
+      // the game itself and with its additional notes.
+      db.exec(`
+        CREATE VIRTUAL TABLE games_fts USING fts5(
+          title, platform, notes, additionalNotes,
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        INSERT INTO games_fts (rowid, title, platform, notes, additionalNotes)
+        SELECT id, title, platform, notes,
+          (SELECT group_concat(content, ' ') FROM game_notes WHERE gameId = games.id)
+        FROM games;
+
+        CREATE TRIGGER games_fts_insert AFTER INSERT ON games BEGIN
+          INSERT INTO games_fts (rowid, title, platform, notes, additionalNotes)
+          VALUES (new.id, new.title, new.platform, new.notes,
+            (SELECT group_concat(content, ' ') FROM game_notes WHERE gameId = new.id));
+        END;
+
+        CREATE TRIGGER games_fts_update AFTER UPDATE OF title, platform, notes ON games BEGIN
+          UPDATE games_fts SET title = new.title, platform = new.platform, notes = new.notes
+          WHERE rowid = new.id;
+        END;
+
+        CREATE TRIGGER games_fts_delete AFTER DELETE ON games BEGIN
+          DELETE FROM games_fts WHERE rowid = old.id;
+        END;
+
+        CREATE TRIGGER game_notes_fts_insert AFTER INSERT ON game_notes BEGIN
+          UPDATE games_fts SET additionalNotes =
+            (SELECT group_concat(content, ' ') FROM game_notes WHERE gameId = new.gameId)
+          WHERE rowid = new.gameId;
+        END;
+
+        CREATE TRIGGER game_notes_fts_update AFTER UPDATE ON game_notes BEGIN
+          UPDATE games_fts SET additionalNotes =
+            (SELECT group_concat(content, ' ') FROM game_notes WHERE gameId = new.gameId)
+          WHERE rowid = new.gameId;
+        END;
+
+        CREATE TRIGGER game_notes_fts_delete AFTER DELETE ON game_notes BEGIN
+          UPDATE games_fts SET additionalNotes =
+            (SELECT group_concat(content, ' ') FROM game_notes WHERE gameId = old.gameId)
+          WHERE rowid = old.gameId;
+        END;
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'tags',
+    up(db) {
+      db.exec(`
+        CREATE TABLE tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE
+        );
+
+        CREATE TABLE game_tags (
+          gameId INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+          tagId INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+          PRIMARY KEY (gameId, tagId)
+        );
+        CREATE INDEX idx_game_tags_tagId ON game_tags(tagId);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'play sessions',
+    up(db) {
+      // endedAt and durationSeconds stay NULL while a session is running;
+      // the partial unique index allows at most one running session per game.
+      db.exec(`
+        CREATE TABLE play_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          gameId INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+          startedAt TEXT NOT NULL,
+          endedAt TEXT,
+          durationSeconds INTEGER,
+          note TEXT,
+          rageRating INTEGER
+        );
+        CREATE INDEX idx_play_sessions_gameId ON play_sessions(gameId);
+        CREATE UNIQUE INDEX idx_play_sessions_active ON play_sessions(gameId) WHERE endedAt IS NULL;
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'game change history',
+    up(db) {
+      // Append-only: no foreign key, so history outlives the game it describes,
+      // and triggers reject any attempt to rewrite or remove entries.
+      db.exec(`
+        CREATE TABLE game_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          gameId INTEGER NOT NULL,
+          action TEXT NOT NULL,
+          field TEXT,
+          oldValue TEXT,
+          newValue TEXT,
+          changedAt TEXT NOT NULL,
+          source TEXT
+        );
+        CREATE INDEX idx_game_history_gameId ON game_history(gameId, id);
+
+        CREATE TRIGGER game_history_no_update BEFORE UPDATE ON game_history BEGIN
+          SELECT RAISE(ABORT, 'game_history is append-only');
+        END;
+
+        CREATE TRIGGER game_history_no_delete BEFORE DELETE ON game_history BEGIN
+          SELECT RAISE(ABORT, 'game_history is append-only');
+        END;
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'trash bin',
+    up(db) {
+      db.exec(`
+        ALTER TABLE games ADD COLUMN deletedAt TEXT;
+        CREATE INDEX idx_games_deletedAt ON games(deletedAt);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'store upload paths as asset keys',
+    up(db) {
+      // "http://localhost:3000/uploads/<folder>/<file>" becomes "<folder>/<file>".
+      // game_history keeps the URLs it recorded; it is append-only.
+      const updateGame = db.prepare('UPDATE games SET coverArtPath = ?, gameplayImagePath = ? WHERE id = ?');
+      db.prepare('SELECT id, coverArtPath, gameplayImagePath FROM games').all().forEach(row => {
+        updateGame.run(toAssetKey(row.coverArtPath), toAssetKey(row.gameplayImagePath), row.id);
+      });
+
+      const updatePhoto = db.prepare('UPDATE game_photos SET path = ? WHERE id = ?');
+      db.prepare('SELECT id, path FROM game_photos').all().forEach(row => {
+        const key = toAssetKey(row.path);
+        if (key === null) {
+          throw new Error(`Photo ${row.id} has no path`);
+        }
+        updatePhoto.run(key, row.id);
+      });
+    }
+  },
+  {
+    version: 9,
+    name: 'move uploads into per-game folders',
+    up(db, { uploadsPath }) {
+      // Files lived in folders named after the sanitized title, which games
+      // could share. Every referenced file moves to "<id>-<slug>/". Files that
+      // were moved are put back if anything fails, since the transaction only
+      // covers the database. Unreferenced files are left where they are.
+      const moved = [];
+      const movedTo = new Map();
+      const oldFolders = new Set();
+
+      const relocate = (gameId, title, key) => {
+        if (!key) return key;
+        const fileName = key.split('/').pop();
+        const newKey = `${newGameFolderName(gameId, title)}/${fileName}`;
+        if (newKey === key) return key;
+
+        const source = assetFilePath(uploadsPath, key);
+        const target = assetFilePath(uploadsPath, newKey);
+        if (!source || !target) return key;
+
+        if (fs.existsSync(source)) {
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          fs.renameSync(source, target);
+          moved.push({ source, target });
+          movedTo.set(key, target);
+          oldFolders.add(path.dirname(source));
+        } else if (movedTo.has(key)) {
+          // The same file was referenced by another game too
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          fs.copyFileSync(movedTo.get(key), target);
+          moved.push({ source: null, target });
+        }
+        return newKey;
+      };
+
+      try {
+        const updateGame = db.prepare('UPDATE games SET coverArtPath = ?, gameplayImagePath = ? WHERE id = ?');
+        const updatePhoto = db.prepare('UPDATE game_photos SET path = ? WHERE id = ?');
+        const photosByGame = db.prepare('SELECT id, path FROM game_photos WHERE gameId = ? ORDER BY id');
+
+        db.prepare('SELECT id, title, coverArtPath, gameplayImagePath FROM games ORDER BY id').all().forEach(game => {
+          updateGame.run(
+            relocate(game.id, game.title, game.coverArtPath),
+            relocate(game.id, game.title, game.gameplayImagePath),
+            game.id
+          );
+          photosByGame.all(game.id).forEach(photo => {
+            updatePhoto.run(relocate(game.id, game.title, photo.path), photo.id);
+          });
+        });
+      } catch (error) {
+        moved.reverse().forEach(({ source, target }) => {
+          if (source) {
+            fs.renameSync(target, source);
+          } else {
+            fs.rmSync(target, { force: true });
+          }
+        });
+        throw error;
+      }
+
+      // Old title folders that are now empty go away
+      oldFolders.forEach(folder => {
+        if (fs.existsSync(folder) && fs.readdirSync(folder).length === 0) {
+          fs.rmdirSync(folder);
+        }
+      });
+    }
+  },
+  {
+    version: 10,
+    name: 'image sizes and variants',
+    up(db) {
+      // One row per processed image, keyed by its asset key. Images without a
+      // row are processed in the background after startup (see images.js).
+      db.exec(`
+        CREATE TABLE images (
+          path TEXT PRIMARY KEY,
+          width INTEGER,
+          height INTEGER,
+          thumbPath TEXT NOT NULL,
+          mediumPath TEXT NOT NULL,
+          processedAt TEXT NOT NULL
+        );
+      `);
+    }
+  }
+];
+
+module.exports = migrations;
@@ -0,0 +1,126 @@
+// The only bridge between the pages and the main process. Pages run with
+// context isolation and without Node, and see nothing but window.electronAPI:
+// a few main-process services and one method per API request the pages make.
+// The API token stays in here and is added to those requests; pages cannot
+// send it anywhere else.
+//
+// The games.* methods resolve to { ok, status, data } with the parsed JSON
+// body, so pages can read the error fields the API sends (e.g. the rejected
+// upload's `field`) the same way they did with fetch. The api.* methods
+// resolve to { status, statusText, headers, body } with the body as an
+// ArrayBuffer, for the page to turn back into a Response (exports are files,
+// not JSON).
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+// The server falls back to another port when 3000 is taken
+const apiBase = ipcRenderer.sendSync('get-api-base');
+const apiToken = ipcRenderer.sendSync('get-api-token');
+
+// Routes are paths on the API server, never full URLs
+function send(route, options = {}) {
+  if (typeof route !== 'string' || !route.startsWith('/')) {
+    throw new Error(`Not an API route: ${route}`);
+  }
+  return fetch(`${apiBase}${route}`, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${apiToken}` }
+  });
+}
+
+// FormData can't cross the bridge, so api.* uploads take the form as a list
+// of { name, value } fields and { name, filename, type, data } files
+function formFromEntries(entries) {
+  const form = new FormData();
+  entries.forEach(entry => {
+    if (entry.data !== undefined) {
+      form.append(entry.name, new Blob([entry.data], { type: entry.type }), entry.filename);
+    } else {
+      form.append(entry.name, entry.value);
+    }
+  });
+  return form;
+}
+
+async function rawRequest(route, options = {}) {
+  const response = await send(route, options);
+  const data = await response.arrayBuffer();
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers: Object.fromEntries(response.headers),
+    body: data.byteLength > 0 ? data : null
+  };
+}
+
+const post = (entries) => ({ method: 'POST', body: formFromEntries(entries) });
+const postJson = (body) => ({ method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+const remove = { method: 'DELETE' };
+
+async function request(route, options = {}) {
+  const response = await send(route, options);
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (error) {
+    data = { error: text };
+  }
+  return { ok: response.ok, status: response.status, data };
+}
+
+const routeId = (id) => encodeURIComponent(String(id));
+
+contextBridge.exposeInMainWorld('electronAPI', {
+  getYouTubeApiKey: () => ipcRenderer.invoke('get-youtube-api-key'),
+  openGameFolder: (id) => ipcRenderer.invoke('open-game-folder', id),
+  openExternal: (url) => ipcRenderer.invoke('open-external', url),
+  selectFile: () => ipcRenderer.invoke('select-file'),
+  saveFile: (defaultPath) => ipcRenderer.invoke('save-file', defaultPath),
+  getCompanionPairing: () => ipcRenderer.invoke('get-companion-pairing'),
+  resetCompanionPairing: () => ipcRenderer.invoke('reset-companion-pairing'),
+
+  // Forms are passed as the <form> element itself, which can cross the
+  // bridge; the FormData (with the files from its inputs) is built here
+  games: {
+    list: (query = '') => request(`/games/list?${query}`),
+    get: (id) => request(`/games/${routeId(id)}`),
+    create: (form) => request('/games/create', { method: 'POST', body: new FormData(form) }),
+    update: (id, form) => request(`/games/update/${routeId(id)}`, { method: 'POST', body: new FormData(form) }),
+    remove: (id) => request(`/games/delete/${routeId(id)}`, { method: 'DELETE' }),
+    restore: (id) => request(`/games/restore/${routeId(id)}`, { method: 'POST' }),
+    purge: (id) => request(`/games/purge/${routeId(id)}`, { method: 'DELETE' })
+  },
+
+  api: {
+    trash: () => rawRequest('/games/trash'),
+    history: (id) => rawRequest(`/games/${routeId(id)}/history`),
+    startSession: (id) => rawRequest(`/games/${routeId(id)}/start-session`, { method: 'POST' }),
+    stopSession: (id) => rawRequest(`/games/${routeId(id)}/stop-session`, { method: 'POST' }),
+    addNote: (id, content) => rawRequest(`/games/${routeId(id)}/add-note`, postJson({ content })),
+    deleteNote: (id, noteId) => rawRequest(`/games/${routeId(id)}/notes/${routeId(noteId)}`, remove),
+    addPhoto: (id, entries) => rawRequest(`/games/${routeId(id)}/add-photo`, post(entries)),
+    deletePhoto: (id, photoId) => rawRequest(`/games/${routeId(id)}/photos/${routeId(photoId)}`, remove),
+    bulkCreate: (body) => rawRequest('/games/bulk-create', postJson(body)),
+    bulkUpdate: (body) => rawRequest('/games/bulk-update', postJson(body)),
+    duplicates: () => rawRequest('/games/duplicates'),
+    merge: (keepId, mergeId) => rawRequest('/games/merge', postJson({ keepId, mergeId })),
+    platforms: () => rawRequest('/games/platforms'),
+    tags: () => rawRequest('/tags/list'),
+    stats: () => rawRequest('/stats'),
+
+    exportGames: () => rawRequest('/games/export'),
+    exportCsv: (query) => rawRequest(`/games/export/csv?${query}`),
+    previewImport: (entries) => rawRequest('/games/import/dry-run', post(entries)),
+    importGames: (entries) => rawRequest('/games/import', post(entries)),
+    previewCsvImport: (entries) => rawRequest('/games/import/csv/preview', post(entries)),
+    importCsv: (entries) => rawRequest('/games/import/csv', post(entries)),
+    previewLauncherImport: (entries) => rawRequest('/games/import/launcher/preview', post(entries)),
+    importLauncher: (entries) => rawRequest('/games/import/launcher', post(entries)),
+
+    exportBackup: () => rawRequest('/backup/export'),
+    restoreBackup: (entries) => rawRequest('/backup/restore', post(entries)),
+    checkStorage: () => rawRequest('/storage/check'),
+    cleanStorage: (selection) => rawRequest('/storage/clean', postJson(selection))
+  }
+});
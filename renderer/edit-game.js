@@ -0,0 +1,295 @@
+// window.electronAPI comes from preload.js
+const urlParams = new URLSearchParams(window.location.search);
+const gameId = urlParams.get('id');
+let currentGame = null;
+
+// Category management
+document.addEventListener('DOMContentLoaded', function() {
+    const platformSelect = document.getElementById('platform');
+    const newCategoryInput = document.getElementById('new-category');
+    const addButton = document.getElementById('add-category');
+    const deleteButton = document.getElementById('delete-category');
+
+    // Add new category
+    addButton.addEventListener('click', function() {
+        const newCategory = newCategoryInput.value.trim();
+        if (newCategory && !categoryExists(newCategory)) {
+            const option = document.createElement('option');
+            option.value = newCategory;
+            option.textContent = newCategory;
+            platformSelect.appendChild(option);
+            platformSelect.value = newCategory; // Select the newly added category
+            newCategoryInput.value = '';
+        }
+    });
+
+    // Delete selected category
+    deleteButton.addEventListener('click', function() {
+        if (platformSelect.selectedIndex > 0) { // Don't delete the "Select category..." option
+            const currentValue = platformSelect.value;
+            platformSelect.remove(platformSelect.selectedIndex);
+            // Reset to default if we deleted the currently selected option
+            if (currentValue === platformSelect.value) {
+                platformSelect.selectedIndex = 0;
+            }
+        }
+    });
+
+    // Check if category already exists
+    function categoryExists(category) {
+        return Array.from(platformSelect.options).some(
+            option => option.value.toLowerCase() === category.toLowerCase()
+        );
+    }
+
+    // Allow adding by pressing Enter
+    newCategoryInput.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') {
+            addButton.click();
+        }
+    });
+
+    // Load game data
+    loadGame();
+});
+
+async function loadGame() {
+    if (!gameId) {
+        window.location.href = 'game-collection.html';
+        return;
+    }
+
+    try {
+        const response = await window.electronAPI.games.get(gameId);
+        if (!response.ok) {
+            throw new Error('Game not found');
+        }
+
+        currentGame = response.data;
+        populateForm(currentGame);
+    } catch (error) {
+        console.error('Error loading game:', error);
+        alert('Error loading game: ' + error.message);
+        window.location.href = 'game-collection.html';
+    }
+}
+
+function populateForm(game) {
+    document.getElementById('title').value = game.title || '';
+    document.getElementById('link').value = game.link || '';
+
+    // Set rage rating
+    const rageRating = game.rageRating || 0;
+    document.getElementById(`star${rageRating}`).checked = true;
+    document.getElementById('rating-value').textContent = `${rageRating}/3`;
+
+    // Update star colors
+    const starLabels = document.querySelectorAll('.star-rating label');
+    starLabels.forEach((label, index) => {
+        label.style.color = (index + 1) <= rageRating ? '#f39c12' : '#ddd';
+    });
+
+    // Set finished status
+    if (game.finished) {
+        document.getElementById('finished-yes').checked = true;
+    } else {
+        document.getElementById('finished-no').checked = true;
+    }
+
+    // Set checked status
+    if (game.is_checked) {
+        document.getElementById('is_checked-yes').checked = true;
+    } else {
+        document.getElementById('is_checked-no').checked = true;
+    }
+
+    // Set platform with improved handling
+    if (game.platform) {
+        const platformSelect = document.getElementById('platform');
+        const options = Array.from(platformSelect.options).map(opt => opt.value);
+
+        // If platform exists in options, select it
+        if (options.includes(game.platform)) {
+            platformSelect.value = game.platform;
+        } 
+        // If platform doesn't exist, add it and select it
+        else {
+            const option = document.createElement('option');
+            option.value = game.platform;
+            option.textContent = game.platform;
+            platformSelect.appendChild(option);
+            platformSelect.value = game.platform;
+        }
+    }
+
+    // Set tags
+    document.getElementById('tags').value = (game.tags || []).join(', ');
+
+    // Set strikes - initialize all checkboxes properly
+    const strikes = game.strikes || 0;
+    document.getElementById('strikesCount').value = strikes;
+
+    // Reset all strike checkboxes first
+    for (let i = 1; i <= 3; i++) {
+        const strikeCheckbox = document.getElementById(`strike${i}`);
+        strikeCheckbox.checked = false;
+        document.querySelector(`label[for="strike${i}"]`).style.color = '#ddd';
+    }
+
+    // Then set the checked ones
+    for (let i = 1; i <= strikes; i++) {
+        document.getElementById(`strike${i}`).checked = true;
+        document.querySelector(`label[for="strike${i}"]`).style.color = '#e74c3c';
+    }
+
+    // Set notes
+    document.getElementById('notes').value = game.notes || '';
+
+    // Set current images
+    if (game.coverArtPath) {
+        showImagePreview(document.getElementById('coverPreview'),
+            game.coverArt ? game.coverArt.thumbPath : game.coverArtPath, 'Current cover art');
+        document.getElementById('currentCoverArt').textContent = 
+            `Current: ${game.coverArtPath}`;
+    }
+
+    if (game.gameplayImagePath) {
+        showImagePreview(document.getElementById('gameplayPreview'),
+            game.gameplayImage ? game.gameplayImage.thumbPath : game.gameplayImagePath, 'Current gameplay image');
+        document.getElementById('currentGameplayImage').textContent = 
+            `Current: ${game.gameplayImagePath}`;
+    }
+}
+
+// Previews are built as nodes, so stored paths never end up in markup
+function showImagePreview(container, src, alt) {
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = alt;
+    container.replaceChildren(img);
+}
+
+async function submitForm(event) {
+    event.preventDefault();
+
+    // Calculate strikes count
+    const strikeCheckboxes = document.querySelectorAll('input[name="strikeValues"]:checked');
+    document.getElementById('strikesCount').value = strikeCheckboxes.length.toString();
+
+    try {
+        const response = await window.electronAPI.games.update(gameId, document.getElementById('gameForm'));
+
+        if (response.ok) {
+            alert('Game updated successfully');
+            window.location.href = 'game-collection.html';
+        } else {
+            const error = response.data;
+            // Rejected uploads name the file input, so the file can be picked again
+            const fileInput = error.field && document.getElementById(error.field);
+            if (fileInput) {
+                fileInput.value = '';
+                fileInput.dispatchEvent(new Event('change'));
+            }
+            throw new Error(error.error || 'Failed to update game');
+        }
+    } catch (error) {
+        console.error('Error updating game:', error);
+        alert('Error updating game: ' + error.message);
+    }
+}
+
+// Star rating interaction
+const starInputs = document.querySelectorAll('.star-rating input[type="radio"]');
+const ratingValue = document.getElementById('rating-value');
+
+starInputs.forEach(input => {
+    input.addEventListener('change', () => {
+        const value = input.value;
+        ratingValue.textContent = `${value}/3`;
+
+        // Update star colors
+        const starLabels = document.querySelectorAll('.star-rating label');
+        starLabels.forEach((label, index) => {
+            label.style.color = (index + 1) <= value ? '#f39c12' : '#ddd';
+        });
+    });
+});
+
+// Strike checkboxes interaction
+const strikeCheckboxes = document.querySelectorAll('.strike-checkbox');
+const strikesCountInput = document.getElementById('strikesCount');
+
+strikeCheckboxes.forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+        // Uncheck all higher strikes when a lower one is unchecked
+        if (!checkbox.checked) {
+            const strikeNumber = parseInt(checkbox.value);
+            for (let i = strikeNumber + 1; i <= 3; i++) {
+                const higherStrike = document.getElementById(`strike${i}`);
+                if (higherStrike.checked) {
+                    higherStrike.checked = false;
+                    document.querySelector(`label[for="strike${i}"]`).style.color = '#ddd';
+                }
+            }
+        }
+
+        // Update strike labels color
+        document.querySelector(`label[for="strike${checkbox.value}"]`).style.color = 
+            checkbox.checked ? '#e74c3c' : '#ddd';
+
+        // Update count
+        const checkedCount = document.querySelectorAll('.strike-checkbox:checked').length;
+        strikesCountInput.value = checkedCount;
+    });
+});
+
+// Cover art preview
+const coverInput = document.getElementById('coverArt');
+const coverPreview = document.getElementById('coverPreview');
+
+coverInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            coverPreview.innerHTML = `<img src="${event.target.result}" alt="Cover preview">`;
+        };
+        reader.readAsDataURL(file);
+    } else {
+        if (currentGame?.coverArtPath) {
+            showImagePreview(coverPreview, currentGame.coverArt ? currentGame.coverArt.thumbPath : currentGame.coverArtPath, 'Current cover art');
+        } else {
+            coverPreview.innerHTML = '<span>No image selected</span>';
+        }
+    }
+});
+
+// Gameplay image preview
+const gameplayInput = document.getElementById('gameplayImage');
+const gameplayPreview = document.getElementById('gameplayPreview');
+
+gameplayInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            gameplayPreview.innerHTML = `<img src="${event.target.result}" alt="Gameplay preview">`;
+        };
+        reader.readAsDataURL(file);
+    } else {
+        if (currentGame?.gameplayImagePath) {
+            showImagePreview(gameplayPreview, currentGame.gameplayImage ? currentGame.gameplayImage.thumbPath : currentGame.gameplayImagePath, 'Current gameplay image');
+        } else {
+            gameplayPreview.innerHTML = '<span>No image selected</span>';
+        }
+    }
+});
+
+// Initialize the form
+document.addEventListener('DOMContentLoaded', () => {
+    loadGame();
+    document.getElementById('gameForm').addEventListener('submit', submitForm);
+    document.getElementById('cancelBtn').addEventListener('click', () => {
+        window.location.href = 'game-collection.html';
+    });
+});
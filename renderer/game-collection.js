@@ -0,0 +1,2388 @@
+// window.electronAPI comes from preload.js, which adds the install token
+// (see auth.js) to the API requests it offers: one method per request this
+// page makes. apiResponse() turns what the api.* methods resolve to back
+// into a Response like fetch.
+const api = window.electronAPI.api;
+
+async function apiResponse(pending) {
+	const result = await pending;
+	return new Response(result.body, {
+		status: result.status,
+		statusText: result.statusText,
+		headers: result.headers
+	});
+}
+
+// FormData can't cross to preload.js; files go over as their bytes
+function formEntries(form) {
+	return Promise.all([...form.entries()].map(async ([name, value]) =>
+		typeof value === 'string'
+			? { name, value }
+			: { name, filename: value.name, type: value.type, data: await value.arrayBuffer() }
+	));
+}
+
+// URL of an image at the given size ('thumb' or 'medium'); images the
+// server has not processed yet only have the original
+function imageSrc(path, image, size) {
+	return image ? image[`${size}Path`] : path;
+}
+
+// Everything from the API or an import file is text; escape it before
+// it goes into markup
+function escapeHtml(value) {
+	return String(value === undefined || value === null ? '' : value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+// Multi-line text such as notes keeps its line breaks
+function escapeMultiline(value) {
+	return escapeHtml(value).replace(/\r?\n/g, '<br>');
+}
+
+// Only http(s) links are clickable; anything else (javascript:, file:)
+// is shown as text
+function renderLink(link) {
+	if (!link) return 'N/A';
+	try {
+		if (['http:', 'https:'].includes(new URL(link).protocol)) {
+			return `<a href="${escapeHtml(link)}" class="game-link" target="_blank">${escapeHtml(link)}</a>`;
+		}
+	} catch (error) {
+		// not a URL
+	}
+	return `<span class="game-link">${escapeHtml(link)}</span>`;
+}
+
+let games = [];
+let filteredGames = [];
+let selectedIndex = -1;
+let selectedId = -1;
+// Ids of every selected game; the detail view shows the one at selectedIndex
+let selectedIds = new Set();
+let currentSortMethod = 'title';
+let selectedTags = new Set();
+let listRequestId = 0;
+
+// Query string for /games/list built from the current filter controls
+function buildListQuery() {
+	const params = new URLSearchParams({
+		search: document.getElementById('searchInput').value,
+		finished: document.getElementById('finishedFilter').value,
+		is_checked: document.getElementById('isCheckedFilter').value,
+		platform: document.getElementById('platformFilter').value,
+		strikes: document.getElementById('strikesFilter').value,
+		sort: currentSortMethod,
+		tagMode: document.getElementById('tagModeFilter').value
+	});
+	selectedTags.forEach(tag => params.append('tags', tag));
+	return params;
+}
+
+async function loadGames(force = false) {
+	// Typing fires a request per keystroke - only the newest one may win
+	const requestId = ++listRequestId;
+	try {
+		const { ok, status, data: result } = await window.electronAPI.games.list(buildListQuery().toString());
+		if (!ok) {
+			throw new Error(result.error || `HTTP error! status: ${status}`);
+		}
+		if (requestId !== listRequestId) return;
+
+		// Only update if the data has actually changed
+		if (force || JSON.stringify(games) !== JSON.stringify(result.games)) {
+			games = result.games;
+			await populatePlatformOptions();
+			await populateTagOptions();
+			await updateStats(); // Update stats when games change
+			// Preserve current selection when refreshing
+			if (randomModeActive) {
+				resetRandomMode();
+			}
+			showFilteredGames();
+		}
+	} catch (error) {
+		console.error('Error loading games:', error);
+	}
+}
+
+async function updateStats() {
+	try {
+		const response = await apiResponse(api.stats());
+		const stats = await response.json();
+		if (!response.ok) {
+			throw new Error(stats.error || `HTTP error! status: ${response.status}`);
+		}
+
+		document.getElementById('checkedCount').textContent = `checked: ${stats.totals.checked}`;
+		document.getElementById('todoCount').textContent = `to do: ${stats.totals.todo}`;
+	} catch (error) {
+		console.error('Error updating stats:', error);
+	}
+}
+
+function updateSelection(index, id) {
+	selectedIndex = index;
+	selectedId = id;
+	const items = document.querySelectorAll('.menu-item');
+
+	if (index >= 0 && index < filteredGames.length) {
+		const game = filteredGames[index];
+
+		items.forEach((item, i) => {
+			if (i === index) {
+				item.classList.add('selected');
+
+				// Generate stars for rage rating
+				let stars = '';
+				for (let i = 0; i < 3; i++) {
+					stars += i < game.rageRating ? '★' : '☆';
+				}
+
+				// Generate strikes
+				let strikes = '';
+				let strikeCount = game.strikes || 0;
+				strikeCount = Math.max(0, Math.min(3, strikeCount));
+
+				for (let i = 0; i < strikeCount; i++) {
+					strikes += 'X';
+					if (i < strikeCount - 1) {
+						strikes += ' ';
+					}
+				}
+
+				// Media container HTML
+				let mediaContainerHtml = '<div class="media-container">';
+
+				// Cover art
+				if (game.coverArtPath) {
+					mediaContainerHtml += `
+						<div class="media-item">
+							<img src="${escapeHtml(imageSrc(game.coverArtPath, game.coverArt, 'thumb'))}" data-fallback="No Cover Art">
+						</div>`;
+				} else {
+					mediaContainerHtml += `
+						<div class="media-item">
+							<div class="no-image">No Cover Art</div>
+						</div>`;
+				}
+
+				// Gameplay photo
+				if (game.gameplayImagePath) {
+					mediaContainerHtml += `
+						<div class="media-item">
+							<img src="${escapeHtml(imageSrc(game.gameplayImagePath, game.gameplayImage, 'thumb'))}" data-fallback="No Gameplay Image">
+						</div>`;
+				} else {
+					mediaContainerHtml += `
+						<div class="media-item">
+							<div class="no-image">No Gameplay Image</div>
+						</div>`;
+				}
+
+				mediaContainerHtml += '</div>';
+
+				// Update the description container
+				document.getElementById('descriptionContainer').innerHTML = `
+					${mediaContainerHtml}
+					<div class="game-header">
+						<h2 class="game-title">${escapeHtml(game.title)}</h2>
+						<div class="game-date">Added: ${new Date(game.dateAdded).toLocaleDateString()}</div>
+					</div>
+
+					<div class="game-detail">
+						<span class="game-detail-label">Link:</span>
+						${renderLink(game.link)}
+					</div>
+
+					<div class="game-detail">
+						<span class="game-detail-label">Rage Rating:</span>
+						<span class="rating-stars">${stars}</span>
+					</div>
+
+					<div class="game-detail">
+						<span class="game-detail-label">Finished:</span>
+						<span class="finished-status ${game.finished ? 'finished-yes' : 'finished-no'}">
+							${game.finished ? 'Yes' : 'No'}
+						</span>
+					</div>
+
+					<div class="game-detail">
+						<span class="game-detail-label">Checked:</span>
+						<span class="is_checked-status ${game.is_checked ? 'is_checked-yes' : 'is_checked-no'}">
+							${game.is_checked ? 'Yes' : 'No'}
+						</span>
+					</div>
+
+					<div class="game-detail">
+						<span class="game-detail-label">Platform:</span>
+						<span class="platform-tag">${game.platform ? escapeHtml(game.platform) : 'Not specified'}</span>
+					</div>
+
+					<div class="game-detail">
+						<span class="game-detail-label">Played:</span>
+						<span>${game.totalHoursPlayed} h in ${game.sessionCount} session${game.sessionCount === 1 ? '' : 's'}</span>
+						${game.lastPlayed ? `<small style="margin-left: 5px; color: #777;">(last ${new Date(game.lastPlayed).toLocaleDateString()})</small>` : ''}
+						${game.activeSessionStartedAt ? `<small style="margin-left: 5px; color: #fd7e14;">playing since ${new Date(game.activeSessionStartedAt).toLocaleTimeString()}</small>` : ''}
+					</div>
+
+					${game.tags && game.tags.length > 0 ? `
+					<div class="game-detail">
+						<span class="game-detail-label">Tags:</span>
+						${game.tags.map(tag => `<span class="platform-tag game-tag">${escapeHtml(tag)}</span>`).join(' ')}
+					</div>
+					` : ''}
+
+					<div class="game-detail">
+						<span class="game-detail-label">Three Strikes:</span>
+						<span class="strikes">${strikes}</span>
+						<small style="margin-left: 5px; color: #777;">(${strikeCount}/3)</small>
+					</div>
+
+					${game.notes ? `
+					<div class="game-notes">
+						<strong>Notes:</strong><br>
+						${escapeMultiline(game.notes)}
+					</div>
+					` : ''}
+
+					<div class="additional-content">
+						${renderAdditionalContent(game)}
+					</div>
+
+					<div class="history-panel">
+						<button class="filter-button" id="historyToggle" data-action="toggleHistory" data-id="${game.id}">Show History</button>
+						<div class="history-timeline" id="historyTimeline"></div>
+					</div>
+
+					<div class="entry-actions">
+						<button class="save-btn" data-action="saveGameFiles" data-id="${game.id}">Save</button>
+						<button class="edit-btn" data-action="editGame" data-id="${game.id}">Edit</button>
+						<button class="delete-btn" data-action="deleteGame" data-id="${game.id}">Delete</button>
+						<button class="add-photo-btn" data-action="addPhoto" data-id="${game.id}">Add Photo</button>
+						<button class="add-note-btn" data-action="addNote" data-id="${game.id}">Add Note</button>
+						<button class="session-btn ${game.activeSessionStartedAt ? 'session-running' : ''}" data-action="toggleSession" data-id="${game.id}" data-running="${Boolean(game.activeSessionStartedAt)}">
+							${game.activeSessionStartedAt ? 'Stop Session' : 'Start Session'}
+						</button>
+					</div>
+				`;
+
+				// Add click handlers for images
+				setTimeout(() => {
+					const mediaItems = document.querySelectorAll('.media-item');
+					mediaItems.forEach(item => {
+						item.addEventListener('click', function() {
+							if (this.classList.contains('media-fullsize')) {
+								this.classList.remove('media-fullsize');
+							} else {
+								mediaItems.forEach(i => i.classList.remove('media-fullsize'));
+								this.classList.add('media-fullsize');
+							}
+						});
+					});
+				}, 100);
+
+				// Scroll menu into view if needed
+				const menuContainer = document.querySelector('.menu');
+				if (item) {
+					const itemTop = item.offsetTop;
+					const itemBottom = itemTop + item.offsetHeight;
+					const containerScrollTop = menuContainer.scrollTop;
+					const containerBottom = containerScrollTop + menuContainer.offsetHeight;
+
+					if (itemTop < containerScrollTop) {
+						menuContainer.scrollTop = itemTop;
+					} else if (itemBottom > containerBottom) {
+						menuContainer.scrollTop = itemBottom - menuContainer.offsetHeight;
+					}
+				}
+			} else {
+				item.classList.remove('selected');
+			}
+		});
+	}
+}
+
+async function toggleSession(id, running) {
+	try {
+		const response = await apiResponse(running ? api.stopSession(id) : api.startSession(id));
+
+		if (response.ok) {
+			await loadGames();
+			// Refresh the current selection
+			const currentGame = filteredGames.find(g => g.id === id);
+			if (currentGame) {
+				updateSelection(filteredGames.indexOf(currentGame), id);
+			}
+		} else {
+			const error = await response.json();
+			alert('Error updating session: ' + error.error);
+		}
+	} catch (error) {
+		console.error('Error updating session:', error);
+		alert('Error updating session: ' + error.message);
+	}
+}
+
+async function toggleHistory(id) {
+	const timeline = document.getElementById('historyTimeline');
+	const toggle = document.getElementById('historyToggle');
+
+	if (timeline.childElementCount > 0) {
+		timeline.innerHTML = '';
+		toggle.textContent = 'Show History';
+		return;
+	}
+
+	try {
+		const response = await apiResponse(api.history(id));
+		const history = await response.json();
+		if (!response.ok) {
+			throw new Error(history.error || `HTTP error! status: ${response.status}`);
+		}
+
+		timeline.innerHTML = history.length > 0
+			? history.map(renderHistoryEntry).join('')
+			: '<div class="history-entry">No changes recorded</div>';
+		toggle.textContent = 'Hide History';
+	} catch (error) {
+		console.error('Error loading history:', error);
+		alert('Error loading history: ' + error.message);
+	}
+}
+
+async function openTrash() {
+	let trash;
+	try {
+		const response = await apiResponse(api.trash());
+		trash = await response.json();
+		if (!response.ok) {
+			throw new Error(trash.error || `HTTP error! status: ${response.status}`);
+		}
+	} catch (error) {
+		console.error('Error loading trash:', error);
+		alert('Error loading trash: ' + error.message);
+		return;
+	}
+
+	closeTrash();
+	const modal = document.createElement('div');
+	modal.id = 'trash-modal';
+	modal.className = 'trash-modal';
+	modal.onclick = (e) => {
+		if (e.target === modal) {
+			closeTrash();
+		}
+	};
+
+	const retention = trash.retentionDays > 0
+		? `Games are deleted permanently ${trash.retentionDays} days after being moved here.`
+		: 'Games stay here until you delete them permanently.';
+
+	modal.innerHTML = `
+		<div class="trash-content">
+			<h3>Trash</h3>
+			<p class="trash-retention">${retention}</p>
+			${trash.games.length === 0 ? '<div class="no-results">Trash is empty</div>' : ''}
+			${trash.games.map(game => `
+				<div class="trash-item">
+					<div>
+						<strong>${escapeHtml(game.title)}</strong>
+						<div class="trash-date">Deleted ${new Date(game.deletedAt).toLocaleString()}</div>
+					</div>
+					<div class="trash-actions">
+						<button class="edit-btn" data-action="restoreGame" data-id="${game.id}">Restore</button>
+						<button class="delete-btn" data-action="purgeGame" data-id="${game.id}">Delete Permanently</button>
+					</div>
+				</div>
+			`).join('')}
+			<div class="trash-footer">
+				<button class="filter-button" data-action="closeTrash">Close</button>
+			</div>
+		</div>
+	`;
+	document.body.appendChild(modal);
+}
+
+function closeTrash() {
+	const modal = document.getElementById('trash-modal');
+	if (modal) {
+		document.body.removeChild(modal);
+	}
+}
+
+async function restoreGame(id) {
+	try {
+		const response = await window.electronAPI.games.restore(id);
+
+		if (response.ok) {
+			await loadGames();
+			await openTrash();
+		} else {
+			alert('Error restoring game: ' + response.data.error);
+		}
+	} catch (error) {
+		console.error('Error restoring game:', error);
+		alert('Error restoring game: ' + error.message);
+	}
+}
+
+async function purgeGame(id) {
+	if (!confirm('Delete this game permanently? Its notes, photos and uploaded files cannot be recovered.')) return;
+
+	try {
+		const response = await window.electronAPI.games.purge(id);
+
+		if (response.ok) {
+			await openTrash();
+		} else {
+			alert('Error deleting game: ' + response.data.error);
+		}
+	} catch (error) {
+		console.error('Error deleting game:', error);
+		alert('Error deleting game: ' + error.message);
+	}
+}
+
+function renderHistoryEntry(entry) {
+	const actionLabels = {
+		'create': 'Created',
+		'update': 'Changed',
+		'import-update': 'Changed by import',
+		'merge-update': 'Changed by merge',
+		'delete': 'Deleted permanently',
+		'trash': 'Moved to trash',
+		'restore': 'Restored from trash',
+		'add-photo': 'Photo added',
+		'delete-photo': 'Photo removed',
+		'add-note': 'Note added',
+		'delete-note': 'Note removed',
+		'merge': 'Merged with',
+		'merged-into': 'Merged into'
+	};
+
+	const formatValue = (value) => {
+		if (value === null) return '<em>empty</em>';
+		if (Array.isArray(value)) return escapeHtml(value.join(', '));
+		if (typeof value === 'object') return escapeHtml(value.content || value.filename || value.path || value.title || '');
+		if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+		const text = String(value);
+		return escapeHtml(text.length > 80 ? text.substring(0, 80) + '…' : text);
+	};
+
+	let change = '';
+	if (['update', 'import-update', 'merge-update'].includes(entry.action)) {
+		change = `${escapeHtml(entry.field)}: ${formatValue(entry.oldValue)} → ${formatValue(entry.newValue)}`;
+	} else if (entry.action === 'create' || entry.action === 'delete') {
+		change = `${escapeHtml(entry.field)}: ${formatValue(entry.action === 'create' ? entry.newValue : entry.oldValue)}`;
+	} else {
+		change = formatValue(entry.newValue !== null ? entry.newValue : entry.oldValue);
+	}
+
+	return `
+		<div class="history-entry">
+			<span class="history-date">${new Date(entry.changedAt).toLocaleString()}</span>
+			<strong>${actionLabels[entry.action] || escapeHtml(entry.action)}</strong>
+			<span class="history-change">${change}</span>
+		</div>
+	`;
+}
+
+function editGame(id) {
+	window.location.href = `edit-game.html?id=${id}`;
+}
+
+async function deleteGame(id) {
+	if (confirm('Move this game to the trash? You can restore it from the Trash view.')) {
+		try {
+			const response = await window.electronAPI.games.remove(id);
+
+			if (response.ok) {
+				await loadGames();
+				if (filteredGames.length > 0) {
+					updateSelection(0, filteredGames[0].id);
+				} else {
+					document.getElementById('descriptionContainer').innerHTML = 
+						'<div class="no-selection">No games to display</div>';
+				}
+			} else {
+				alert('Error deleting game: ' + response.data.error);
+			}
+		} catch (error) {
+			console.error('Error deleting game:', error);
+			alert('Error deleting game: ' + error.message);
+		}
+	}
+}
+
+function renderAdditionalContent(game) {
+	let html = '';
+
+	// Create a combined timeline of all content additions
+	const timeline = [];
+
+	// Add all photos to timeline
+	if (game.additionalPhotos && game.additionalPhotos.length > 0) {
+		game.additionalPhotos.forEach((photo, index) => {
+			timeline.push({
+				type: 'photo',
+				data: photo,
+				index: index,
+				timestamp: photo.dateAdded || Date.now() + index
+			});
+		});
+	}
+
+	// Add all notes to timeline
+	if (game.additionalNotes && game.additionalNotes.length > 0) {
+		game.additionalNotes.forEach((note, index) => {
+			timeline.push({
+				type: 'note',
+				data: note,
+				index: index,
+				timestamp: note.dateAdded || Date.now() + index + 1000
+			});
+		});
+	}
+
+	// Sort by timestamp (oldest first)
+	timeline.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+	// Render everything in chronological order
+	if (timeline.length > 0) {
+		html += '<div class="additional-content">';
+		html += '<strong>Additional Content:</strong>';
+		html += '<div class="content-timeline">';
+
+		timeline.forEach(item => {
+			if (item.type === 'photo') {
+				html += `
+					<div class="photo-frame">
+						<img src="${escapeHtml(imageSrc(item.data.path, item.data.image, 'thumb'))}" alt="Additional photo"
+							 data-large="${escapeHtml(imageSrc(item.data.path, item.data.image, 'medium'))}"
+							 data-action="togglePhotoSize">
+						<button class="delete-photo-btn" 
+								data-action="deletePhoto" data-id="${game.id}" data-item-id="${item.data.id}">×</button>
+					</div>
+				`;
+			} else if (item.type === 'note') {
+				html += `
+					<div class="note-frame">
+						<div class="note-content">${escapeMultiline(item.data.content)}</div>
+						<div class="note-date">${new Date(item.data.dateAdded).toLocaleDateString()}</div>
+						<button class="delete-note-btn" 
+								data-action="deleteNote" data-id="${game.id}" data-item-id="${item.data.id}">×</button>
+					</div>
+				`;
+			}
+		});
+
+		html += '</div></div>';
+	}
+
+	return html;
+}
+
+async function addNote(gameId) {
+	// Create custom modal
+	const modal = document.createElement('div');
+	modal.id = 'note-modal';
+	modal.style.cssText = `
+		position: fixed;
+		top: 0;
+		left: 0;
+		width: 100%;
+		height: 100%;
+		background: rgba(0,0,0,0.5);
+		display: flex;
+		justify-content: center;
+		align-items: center;
+		z-index: 10000;
+	`;
+
+	const modalContent = document.createElement('div');
+	modalContent.style.cssText = `
+		background: white;
+		padding: 20px;
+		border-radius: 8px;
+		width: 400px;
+		max-width: 90%;
+		box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+	`;
+
+	// Create title
+	const title = document.createElement('h3');
+	title.textContent = 'Add Note';
+	title.style.marginTop = '0';
+
+	// Create textarea
+	const textarea = document.createElement('textarea');
+	textarea.placeholder = 'Enter your note here...';
+	textarea.style.cssText = `
+		width: 100%;
+		height: 120px;
+		padding: 10px;
+		border: 1px solid #ddd;
+		border-radius: 4px;
+		resize: vertical;
+		font-family: Arial, sans-serif;
+		font-size: 14px;
+		margin-bottom: 15px;
+		box-sizing: border-box;
+	`;
+
+	// Create button container
+	const buttonContainer = document.createElement('div');
+	buttonContainer.style.cssText = `
+		display: flex;
+		justify-content: flex-end;
+		gap: 10px;
+	`;
+
+	// Create cancel button
+	const cancelButton = document.createElement('button');
+	cancelButton.textContent = 'Cancel';
+	cancelButton.style.cssText = `
+		padding: 8px 16px;
+		background: #6c757d;
+		color: white;
+		border: none;
+		border-radius: 4px;
+		cursor: pointer;
+	`;
+
+	// Create submit button
+	const submitButton = document.createElement('button');
+	submitButton.textContent = 'Add Note';
+	submitButton.style.cssText = `
+		padding: 8px 16px;
+		background: #007bff;
+		color: white;
+		border: none;
+		border-radius: 4px;
+		cursor: pointer;
+	`;
+
+	// Close modal function
+	const closeModal = () => {
+		if (document.body.contains(modal)) {
+			document.body.removeChild(modal);
+		}
+	};
+
+	// Submit note function
+	const submitNote = async () => {
+		const noteContent = textarea.value.trim();
+		if (!noteContent) {
+			alert('Please enter a note');
+			return;
+		}
+
+		closeModal();
+
+		try {
+			const response = await apiResponse(api.addNote(gameId, noteContent));
+
+			if (response.ok) {
+				await loadGames();
+
+				// Refresh the current selection
+				const currentGame = filteredGames.find(g => g.id === gameId);
+				if (currentGame) {
+					const index = filteredGames.indexOf(currentGame);
+					updateSelection(index, gameId);
+				}
+			} else {
+				const errorText = await response.text();
+				console.error('Server returned error:', errorText);
+				let errorMessage = `HTTP error! status: ${response.status}`;
+				try {
+					const errorData = JSON.parse(errorText);
+					errorMessage = errorData.error || errorMessage;
+				} catch (e) {
+					errorMessage = errorText || errorMessage;
+				}
+				alert('Error adding note: ' + errorMessage);
+			}
+		} catch (error) {
+			console.error('Error adding note:', error);
+			alert('Error adding note: ' + error.message);
+		}
+	};
+
+	// Event handlers
+	cancelButton.onclick = closeModal;
+	submitButton.onclick = submitNote;
+
+	// Keyboard events
+	textarea.onkeydown = (e) => {
+		if (e.ctrlKey && e.key === 'Enter') {
+			submitNote();
+		}
+		if (e.key === 'Escape') {
+			closeModal();
+		}
+	};
+
+	// Assemble modal
+	buttonContainer.appendChild(cancelButton);
+	buttonContainer.appendChild(submitButton);
+
+	modalContent.appendChild(title);
+	modalContent.appendChild(textarea);
+	modalContent.appendChild(buttonContainer);
+	modal.appendChild(modalContent);
+	document.body.appendChild(modal);
+
+	// Focus the textarea
+	textarea.focus();
+
+	// Close modal when clicking outside
+	modal.onclick = (e) => {
+		if (e.target === modal) {
+			closeModal();
+		}
+	};
+}
+
+async function deleteNote(gameId, noteId) {
+	if (!confirm('Are you sure you want to delete this note?')) return;
+
+	try {
+		const response = await apiResponse(api.deleteNote(gameId, noteId));
+
+		if (response.ok) {
+			await loadGames();
+			// Refresh the current selection
+			const currentGame = filteredGames.find(g => g.id === gameId);
+			if (currentGame) {
+				const index = filteredGames.indexOf(currentGame);
+				updateSelection(index, gameId);
+			}
+		} else {
+			const error = await response.json();
+			alert('Error deleting note: ' + error.error);
+		}
+	} catch (error) {
+		console.error('Error deleting note:', error);
+		alert('Error deleting note: ' + error.message);
+	}
+}
+
+function togglePhotoSize(img) {
+	img.classList.toggle('photo-fullsize');
+	// The larger size is only downloaded once a photo is enlarged
+	if (img.classList.contains('photo-fullsize') && img.dataset.large) {
+		img.src = img.dataset.large;
+		delete img.dataset.large;
+	}
+}
+
+function renderAdditionalContent(game) {
+	let html = '';
+
+	// Create a combined timeline of all content additions
+	const timeline = [];
+
+	// Add all photos to timeline
+	if (game.additionalPhotos && game.additionalPhotos.length > 0) {
+		game.additionalPhotos.forEach((photo, index) => {
+			timeline.push({
+				type: 'photo',
+				data: photo,
+				index: index,
+				timestamp: photo.dateAdded || Date.now() + index // Fallback timestamp
+			});
+		});
+	}
+
+	// Add all notes to timeline
+	if (game.additionalNotes && game.additionalNotes.length > 0) {
+		game.additionalNotes.forEach((note, index) => {
+			timeline.push({
+				type: 'note',
+				data: note,
+				index: index,
+				timestamp: note.dateAdded || Date.now() + index + 1000 // Fallback timestamp
+			});
+		});
+	}
+
+	// Sort by timestamp (oldest first)
+	timeline.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+	// Render everything in chronological order
+	if (timeline.length > 0) {
+		html += '<div class="additional-content">';
+		html += '<strong>Additional Content:</strong>';
+		html += '<div class="content-timeline">';
+
+		timeline.forEach(item => {
+			if (item.type === 'photo') {
+				html += `
+					<!-- <div class="timeline-photo-item"> -->
+						<div class="photo-container">
+							<img src="${escapeHtml(imageSrc(item.data.path, item.data.image, 'thumb'))}" alt="Additional photo"
+								 data-large="${escapeHtml(imageSrc(item.data.path, item.data.image, 'medium'))}"
+								 data-action="togglePhotoSize">
+							<button class="delete-photo-btn" 
+									data-action="deletePhoto" data-id="${game.id}" data-item-id="${item.data.id}">×</button>
+						</div>
+					<!-- </div> -->
+				`;
+			} else if (item.type === 'note') {
+				html += `
+					<!-- <div class="timeline-note-item"> -->
+						<div class="note-content">${escapeMultiline(item.data.content)}</div>
+						<div class="note-date">${new Date(item.data.dateAdded).toLocaleDateString()}</div>
+						<button class="delete-note-btn" 
+								data-action="deleteNote" data-id="${game.id}" data-item-id="${item.data.id}">×</button>
+					<!-- </div> -->
+				`;
+			}
+		});
+
+		html += '</div></div>';
+	}
+
+	return html;
+}
+
+async function addPhoto(gameId) {
+	const input = document.createElement('input');
+	input.type = 'file';
+	input.accept = 'image/jpeg,image/png,image/gif,image/webp,image/avif';
+	input.onchange = async (e) => {
+		const file = e.target.files[0];
+		if (!file) {
+			return;
+		}
+
+		try {
+			const formData = new FormData();
+			formData.append('photo', file);
+
+			const response = await apiResponse(api.addPhoto(gameId, await formEntries(formData)));
+
+			if (response.ok) {
+				await loadGames();
+
+				// Refresh the current selection
+				const currentGame = filteredGames.find(g => g.id === gameId);
+				if (currentGame) {
+					const index = filteredGames.indexOf(currentGame);
+					updateSelection(index, gameId);
+				}
+			} else {
+				const errorText = await response.text();
+				console.error('Server returned error:', errorText);
+				let errorMessage = `HTTP error! status: ${response.status}`;
+				try {
+					const errorData = JSON.parse(errorText);
+					errorMessage = errorData.error || errorMessage;
+				} catch (e) {
+					errorMessage = errorText || errorMessage;
+				}
+				throw new Error(errorMessage);
+			}
+		} catch (error) {
+			console.error('Error adding photo:', error);
+			alert('Error adding photo: ' + error.message);
+		}
+	};
+	input.click();
+}
+
+async function deletePhoto(gameId, photoId) {
+	if (!confirm('Are you sure you want to delete this photo?')) return;
+
+	try {
+		const response = await apiResponse(api.deletePhoto(gameId, photoId));
+
+		if (response.ok) {
+			await loadGames();
+			// Refresh the current selection
+			const currentGame = filteredGames.find(g => g.id === gameId);
+			if (currentGame) {
+				const index = filteredGames.indexOf(currentGame);
+				updateSelection(index, gameId);
+			}
+		} else {
+			const error = await response.json();
+			alert('Error deleting photo: ' + error.error);
+		}
+	} catch (error) {
+		console.error('Error deleting photo:', error);
+		alert('Error deleting photo: ' + error.message);
+	}
+}
+
+async function deleteNote(gameId, noteId) {
+	if (!confirm('Are you sure you want to delete this note?')) return;
+
+	try {
+		const response = await apiResponse(api.deleteNote(gameId, noteId));
+
+		if (response.ok) {
+			await loadGames();
+			// Refresh the current selection
+			const currentGame = filteredGames.find(g => g.id === gameId);
+			if (currentGame) {
+				const index = filteredGames.indexOf(currentGame);
+				updateSelection(index, gameId);
+			}
+		} else {
+			const error = await response.json();
+			alert('Error deleting note: ' + error.error);
+		}
+	} catch (error) {
+		console.error('Error deleting note:', error);
+		alert('Error deleting note: ' + error.message);
+	}
+}
+
+function togglePhotoSize(img) {
+	img.classList.toggle('photo-fullsize');
+	// The larger size is only downloaded once a photo is enlarged
+	if (img.classList.contains('photo-fullsize') && img.dataset.large) {
+		img.src = img.dataset.large;
+		delete img.dataset.large;
+	}
+}
+
+async function exportGames() {
+	try {
+		const response = await apiResponse(api.exportGames());
+		if (response.ok) {
+			const blob = await response.blob();
+			const url = window.URL.createObjectURL(blob);
+			const a = document.createElement('a');
+			a.href = url;
+			a.download = 'game_collection_export.json';
+			document.body.appendChild(a);
+			a.click();
+			document.body.removeChild(a);
+			window.URL.revokeObjectURL(url);
+		} else {
+			const error = await response.text();
+			alert('Export failed: ' + error);
+		}
+	} catch (error) {
+		console.error('Export error:', error);
+		alert('Export failed: ' + error.message);
+	}
+}
+
+// CSV exchange with spreadsheets
+const CSV_EXPORT_COLUMNS = ['title', 'platform', 'finished', 'is_checked', 'strikes', 'rageRating', 'link', 'notes', 'tags', 'dateAdded', 'totalHoursPlayed', 'lastPlayed'];
+let csvImportFile = null;
+
+function openCsvDialog() {
+	closeCsvDialog();
+	csvImportFile = null;
+	const modal = document.createElement('div');
+	modal.id = 'csv-modal';
+	modal.className = 'trash-modal';
+	modal.onclick = (e) => {
+		if (e.target === modal) {
+			closeCsvDialog();
+		}
+	};
+
+	modal.innerHTML = `
+		<div class="trash-content">
+			<h3>Export CSV</h3>
+			<div class="csv-columns">
+				${CSV_EXPORT_COLUMNS.map(column => `
+					<label><input type="checkbox" name="csvColumn" value="${column}" checked> ${column}</label>
+				`).join('')}
+			</div>
+			<label class="csv-option"><input type="checkbox" id="csvBom" checked> Add UTF-8 marker for Excel</label>
+			<button class="filter-button" data-action="exportCsv">Export</button>
+
+			<h3>Import CSV</h3>
+			<input type="file" accept=".csv,text/csv" data-change="selectCsvFile">
+			<div id="csvPreview"></div>
+			<div class="trash-footer">
+				<button class="filter-button" data-action="closeCsvDialog">Close</button>
+			</div>
+		</div>
+	`;
+	document.body.appendChild(modal);
+}
+
+function closeCsvDialog() {
+	const modal = document.getElementById('csv-modal');
+	if (modal) {
+		document.body.removeChild(modal);
+	}
+}
+
+async function exportCsv() {
+	const columns = [...document.querySelectorAll('input[name="csvColumn"]:checked')].map(input => input.value);
+	if (columns.length === 0) {
+		alert('Choose at least one column to export');
+		return;
+	}
+
+	try {
+		const params = new URLSearchParams({ columns: columns.join(',') });
+		if (document.getElementById('csvBom').checked) {
+			params.set('bom', '1');
+		}
+		const response = await apiResponse(api.exportCsv(params.toString()));
+		if (!response.ok) {
+			const error = await response.json();
+			throw new Error(error.error || 'Export failed');
+		}
+		const blob = await response.blob();
+		const url = window.URL.createObjectURL(blob);
+		const a = document.createElement('a');
+		a.href = url;
+		a.download = 'game_collection_export.csv';
+		document.body.appendChild(a);
+		a.click();
+		document.body.removeChild(a);
+		window.URL.revokeObjectURL(url);
+	} catch (error) {
+		console.error('CSV export error:', error);
+		alert('CSV export failed: ' + error.message);
+	}
+}
+
+async function selectCsvFile(input) {
+	csvImportFile = input.files[0] || null;
+	if (csvImportFile) {
+		await previewCsvImport();
+	}
+}
+
+// Current column choices from the mapping selects (field -> header)
+function readCsvMapping() {
+	const mapping = {};
+	document.querySelectorAll('#csvPreview select[data-field]').forEach(select => {
+		if (select.value !== '') {
+			mapping[select.dataset.field] = select.value;
+		}
+	});
+	return mapping;
+}
+
+// `send` is api.previewCsvImport or api.importCsv
+async function sendCsvImport(send, mapping) {
+	const formData = new FormData();
+	formData.append('mode', 'merge');
+	if (mapping) {
+		formData.append('mapping', JSON.stringify(mapping));
+	}
+	formData.append('file', csvImportFile);
+
+	const response = await apiResponse(send(await formEntries(formData)));
+	const result = await response.json();
+	if (!response.ok) {
+		const details = (result.errors || []).map(entry => `Row ${entry.row}: ${entry.error}`);
+		throw new Error([result.error || 'Import failed', ...details].join('\n'));
+	}
+	return result;
+}
+
+// Without a mapping the server guesses one from the headers
+async function previewCsvImport(mapping) {
+	const container = document.getElementById('csvPreview');
+	let preview;
+	try {
+		preview = await sendCsvImport(api.previewCsvImport, mapping);
+	} catch (error) {
+		container.textContent = error.message;
+		return;
+	}
+
+	container.innerHTML = '';
+	const table = document.createElement('div');
+	table.className = 'csv-mapping';
+	preview.fields.forEach(field => {
+		const label = document.createElement('label');
+		label.textContent = field;
+		const select = document.createElement('select');
+		select.dataset.field = field;
+		select.add(new Option('(not imported)', ''));
+		preview.headers.forEach(header => {
+			select.add(new Option(header, header, false, preview.mapping[field] === header));
+		});
+		select.onchange = () => previewCsvImport(readCsvMapping());
+		label.appendChild(select);
+		table.appendChild(label);
+	});
+	container.appendChild(table);
+
+	const status = document.createElement('div');
+	status.className = 'csv-status';
+	if (preview.errors.length > 0) {
+		status.classList.add('csv-errors');
+		status.textContent = `${preview.errors.length} problems in ${preview.rowCount} rows:\n` +
+			preview.errors.slice(0, 20).map(entry => `Row ${entry.row}${entry.column ? ` (${entry.column})` : ''}: ${entry.error}`).join('\n');
+	} else {
+		const { summary } = preview.plan;
+		status.textContent = `${preview.rowCount} rows: ${summary.added} new, ${summary.updated} updated, ${summary.skipped} skipped` +
+			(summary.conflicts > 0 ? `, ${summary.conflicts} differing fields keep their current value` : '') +
+			possibleDuplicatesText(preview.plan);
+	}
+	container.appendChild(status);
+
+	const importButton = document.createElement('button');
+	importButton.className = 'filter-button';
+	importButton.textContent = 'Import';
+	importButton.disabled = preview.errors.length > 0;
+	importButton.onclick = importCsv;
+	container.appendChild(importButton);
+}
+
+async function importCsv() {
+	try {
+		const result = await sendCsvImport(api.importCsv, readCsvMapping());
+		alert(result.message);
+		closeCsvDialog();
+		await loadGames(true);
+	} catch (error) {
+		console.error('CSV import error:', error);
+		alert('CSV import failed: ' + error.message);
+	}
+}
+
+// Library files from Steam, Playnite, Heroic, Lutris or GOG Galaxy.
+// Games already in the collection are skipped.
+async function importLauncherLibrary(input) {
+	const files = [...input.files];
+	if (files.length === 0) return;
+
+	const sendFiles = async (send) => {
+		const formData = new FormData();
+		files.forEach(file => formData.append('files', file));
+		const response = await apiResponse(send(await formEntries(formData)));
+		const result = await response.json();
+		if (!response.ok) {
+			throw new Error(result.error || 'Import failed');
+		}
+		return result;
+	};
+
+	try {
+		const preview = await sendFiles(api.previewLauncherImport);
+		const { summary } = preview.plan;
+		let message = `${preview.launcher.name}: ${summary.added} new games, ${summary.skipped} already in your collection.`;
+		if (preview.warnings.length > 0) {
+			message += '\n\n' + preview.warnings.slice(0, 5).join('\n');
+		}
+		message += possibleDuplicatesText(preview.plan);
+		if (summary.added === 0) {
+			alert(message);
+			return;
+		}
+		if (!confirm(message + '\n\nImport them?')) {
+			return;
+		}
+
+		const result = await sendFiles(api.importLauncher);
+		alert(result.message);
+		await loadGames(true);
+	} catch (error) {
+		console.error('Launcher import error:', error);
+		alert('Launcher import failed: ' + error.message);
+	} finally {
+		input.value = '';
+	}
+}
+
+async function exportBackup() {
+	try {
+		const response = await apiResponse(api.exportBackup());
+		if (!response.ok) {
+			const error = await response.json();
+			throw new Error(error.error || 'Backup failed');
+		}
+		const blob = await response.blob();
+		const disposition = response.headers.get('Content-Disposition') || '';
+		const match = disposition.match(/filename="([^"]+)"/);
+		const url = window.URL.createObjectURL(blob);
+		const a = document.createElement('a');
+		a.href = url;
+		a.download = match ? match[1] : 'game_collection_backup.zip';
+		document.body.appendChild(a);
+		a.click();
+		document.body.removeChild(a);
+		window.URL.revokeObjectURL(url);
+	} catch (error) {
+		console.error('Backup error:', error);
+		alert('Backup failed: ' + error.message);
+	}
+}
+
+async function restoreBackup(input) {
+	const file = input.files[0];
+	if (!file) return;
+
+	if (!confirm('Restoring replaces the whole collection, including images, with the backup. ' +
+		'The current data is kept in the backups folder. Continue?')) {
+		input.value = '';
+		return;
+	}
+
+	try {
+		const formData = new FormData();
+		formData.append('file', file);
+
+		const response = await apiResponse(api.restoreBackup(await formEntries(formData)));
+		const result = await response.json();
+		if (!response.ok) {
+			throw new Error(result.error || 'Restore failed');
+		}
+
+		alert(result.message);
+		await loadGames(true);
+	} catch (error) {
+		console.error('Restore error:', error);
+		alert('Restore failed: ' + error.message);
+	} finally {
+		input.value = '';
+	}
+}
+
+// Storage check: lists orphaned files, missing images and empty folders
+// with a checkbox each; cleanup only touches what is ticked
+async function openStorageCheck() {
+	let report;
+	try {
+		const response = await apiResponse(api.checkStorage());
+		report = await response.json();
+		if (!response.ok) {
+			throw new Error(report.error || `HTTP error! status: ${response.status}`);
+		}
+	} catch (error) {
+		console.error('Error checking storage:', error);
+		alert('Error checking storage: ' + error.message);
+		return;
+	}
+
+	closeStorageCheck();
+	const modal = document.createElement('div');
+	modal.id = 'storage-modal';
+	modal.className = 'trash-modal';
+	modal.onclick = (e) => {
+		if (e.target === modal) {
+			closeStorageCheck();
+		}
+	};
+
+	const problems = report.orphanedFiles.length + report.missingFiles.length + report.emptyFolders.length;
+	modal.innerHTML = `
+		<div class="trash-content">
+			<h3>Storage check</h3>
+			<p class="trash-retention">Orphaned files are moved to the quarantine folder, not deleted.
+				Missing images are removed from their games.</p>
+			${problems === 0 ? '<div class="no-results">Everything in the uploads folder matches the collection</div>' : ''}
+			<div id="storageSections"></div>
+			<div class="trash-footer">
+				${problems > 0 ? '<button class="delete-btn" data-action="cleanStorage">Clean up selected</button>' : ''}
+				<button class="filter-button" data-action="closeStorageCheck">Close</button>
+			</div>
+		</div>
+	`;
+
+	// Paths come from the file system, so items are built as DOM nodes
+	const sections = modal.querySelector('#storageSections');
+	const addSection = (title, name, items) => {
+		if (items.length === 0) return;
+		const heading = document.createElement('h4');
+		heading.textContent = `${title} (${items.length})`;
+		sections.appendChild(heading);
+		items.forEach(item => {
+			const label = document.createElement('label');
+			label.className = 'storage-item';
+			const checkbox = document.createElement('input');
+			checkbox.type = 'checkbox';
+			checkbox.name = name;
+			checkbox.value = item.path;
+			checkbox.checked = true;
+			label.appendChild(checkbox);
+			label.appendChild(document.createTextNode(` ${item.text}`));
+			sections.appendChild(label);
+		});
+	};
+	addSection('Files not used by any game', 'orphanedFiles', report.orphanedFiles.map(file => ({
+		path: file.path,
+		text: `${file.path} (${Math.ceil(file.size / 1024)} KB)`
+	})));
+	addSection('Images missing from disk', 'missingFiles', report.missingFiles.map(reference => ({
+		path: reference.path,
+		text: `${reference.title}: ${reference.path}`
+	})));
+	addSection('Empty folders', 'emptyFolders', report.emptyFolders.map(folder => ({ path: folder, text: folder })));
+
+	document.body.appendChild(modal);
+}
+
+function closeStorageCheck() {
+	const modal = document.getElementById('storage-modal');
+	if (modal) {
+		document.body.removeChild(modal);
+	}
+}
+
+async function cleanStorage() {
+	const checked = (name) => [...document.querySelectorAll(`#storage-modal input[name="${name}"]:checked`)].map(input => input.value);
+	const selection = {
+		orphanedFiles: checked('orphanedFiles'),
+		missingFiles: checked('missingFiles'),
+		emptyFolders: checked('emptyFolders')
+	};
+
+	try {
+		const response = await apiResponse(api.cleanStorage(selection));
+		const result = await response.json();
+		if (!response.ok) {
+			throw new Error(result.error || 'Cleanup failed');
+		}
+
+		alert(result.quarantinePath ? `${result.message}\n\nQuarantine folder: ${result.quarantinePath}` : result.message);
+		await loadGames();
+		await openStorageCheck();
+	} catch (error) {
+		console.error('Storage cleanup error:', error);
+		alert('Cleanup failed: ' + error.message);
+	}
+}
+
+// Statistics dashboard (see stats.js). Charts are plain bars sized in
+// percent of the largest value; platform names come from the user, so
+// everything is built as DOM nodes.
+async function openStatistics() {
+	let stats;
+	try {
+		const response = await apiResponse(api.stats());
+		stats = await response.json();
+		if (!response.ok) {
+			throw new Error(stats.error || `HTTP error! status: ${response.status}`);
+		}
+	} catch (error) {
+		console.error('Error loading statistics:', error);
+		alert('Error loading statistics: ' + error.message);
+		return;
+	}
+
+	closeStatistics();
+	const modal = document.createElement('div');
+	modal.id = 'stats-modal';
+	modal.className = 'trash-modal';
+	modal.onclick = (e) => {
+		if (e.target === modal) {
+			closeStatistics();
+		}
+	};
+
+	modal.innerHTML = `
+		<div class="trash-content stats-content">
+			<h3>Statistics</h3>
+			<div id="statsSections"></div>
+			<div class="trash-footer">
+				<button class="filter-button" data-action="closeStatistics">Close</button>
+			</div>
+		</div>
+	`;
+
+	const sections = modal.querySelector('#statsSections');
+	const addHeading = (text) => {
+		const heading = document.createElement('h4');
+		heading.textContent = text;
+		sections.appendChild(heading);
+	};
+	const percentOf = (value, max) => `${max > 0 ? (value / max) * 100 : 0}%`;
+
+	// One row per entry: label, bar (with an optional finished part) and value
+	const addBarChart = (rows) => {
+		const max = Math.max(0, ...rows.map(row => row.value));
+		rows.forEach(row => {
+			const line = document.createElement('div');
+			line.className = 'stats-row';
+			const label = document.createElement('span');
+			label.className = 'stats-label';
+			label.textContent = row.label;
+			const track = document.createElement('span');
+			track.className = 'stats-track';
+			const bar = document.createElement('span');
+			bar.className = 'stats-bar-fill';
+			bar.style.width = percentOf(row.value, max);
+			if (row.part !== undefined) {
+				const part = document.createElement('span');
+				part.className = 'stats-bar-part';
+				part.style.width = percentOf(row.part, row.value);
+				bar.appendChild(part);
+			}
+			track.appendChild(bar);
+			const value = document.createElement('span');
+			value.className = 'stats-value';
+			value.textContent = row.text;
+			line.append(label, track, value);
+			sections.appendChild(line);
+		});
+	};
+
+	const { totals, timeToFinish } = stats;
+	const summary = document.createElement('div');
+	summary.className = 'stats-summary';
+	[
+		['Games', totals.games],
+		['Finished', `${totals.finished} (${totals.completionRate}%)`],
+		['Checked', totals.checked],
+		['To do', totals.todo],
+		['Avg. days to finish', timeToFinish.averageDays === null ? '-' : timeToFinish.averageDays]
+	].forEach(([name, value]) => {
+		const tile = document.createElement('div');
+		tile.className = 'stats-tile';
+		const number = document.createElement('strong');
+		number.textContent = value;
+		tile.append(number, document.createTextNode(name));
+		summary.appendChild(tile);
+	});
+	sections.appendChild(summary);
+	if (totals.finished > timeToFinish.games) {
+		const note = document.createElement('p');
+		note.className = 'trash-retention';
+		note.textContent = `Finished without a finish date in their history: ${totals.finished - timeToFinish.games}. These are left out of the days to finish and the monthly chart.`;
+		sections.appendChild(note);
+	}
+
+	if (stats.platforms.length > 0) {
+		addHeading('Completion by platform (finished part in green)');
+		addBarChart(stats.platforms.map(entry => ({
+			label: entry.platform || 'Not specified',
+			value: entry.total,
+			part: entry.finished,
+			text: `${entry.finished}/${entry.total} (${entry.completionRate}%)`
+		})));
+	}
+
+	addHeading('Rage rating');
+	addBarChart(stats.rageRatings.map(entry => ({
+		label: entry.value <= 3 ? '★'.repeat(entry.value) + '☆'.repeat(3 - entry.value) : String(entry.value),
+		value: entry.count,
+		text: String(entry.count)
+	})));
+
+	addHeading('Strikes');
+	addBarChart(stats.strikes.map(entry => ({
+		label: entry.value === 0 ? 'None' : 'X'.repeat(Math.min(entry.value, 3)) + (entry.value > 3 ? ` ${entry.value}` : ''),
+		value: entry.count,
+		text: String(entry.count)
+	})));
+
+	// Months are columns: added in grey, finished in green
+	if (stats.months.length > 0) {
+		addHeading('Added and finished per month');
+		const chart = document.createElement('div');
+		chart.className = 'stats-months';
+		const max = Math.max(...stats.months.map(entry => Math.max(entry.added, entry.finished)));
+		stats.months.forEach(entry => {
+			const column = document.createElement('div');
+			column.className = 'stats-month';
+			column.title = `${entry.month}: ${entry.added} added, ${entry.finished} finished`;
+			const bars = document.createElement('div');
+			bars.className = 'stats-month-bars';
+			[['stats-bar-fill', entry.added], ['stats-bar-part', entry.finished]].forEach(([className, count]) => {
+				const bar = document.createElement('span');
+				bar.className = className;
+				bar.style.height = percentOf(count, max);
+				bars.appendChild(bar);
+			});
+			const label = document.createElement('span');
+			label.className = 'stats-month-label';
+			label.textContent = entry.month;
+			column.append(bars, label);
+			chart.appendChild(column);
+		});
+		sections.appendChild(chart);
+	}
+
+	document.body.appendChild(modal);
+}
+
+function closeStatistics() {
+	const modal = document.getElementById('stats-modal');
+	if (modal) {
+		document.body.removeChild(modal);
+	}
+}
+
+// Games that look like duplicates (see duplicates.js), each pair with a
+// button per side to keep that entry and merge the other one into it
+async function openDuplicates() {
+	let pairs;
+	try {
+		const response = await apiResponse(api.duplicates());
+		const result = await response.json();
+		if (!response.ok) {
+			throw new Error(result.error || `HTTP error! status: ${response.status}`);
+		}
+		pairs = result.pairs;
+	} catch (error) {
+		console.error('Error finding duplicates:', error);
+		alert('Error finding duplicates: ' + error.message);
+		return;
+	}
+
+	closeDuplicates();
+	const modal = document.createElement('div');
+	modal.id = 'duplicates-modal';
+	modal.className = 'trash-modal';
+	modal.onclick = (e) => {
+		if (e.target === modal) {
+			closeDuplicates();
+		}
+	};
+
+	modal.innerHTML = `
+		<div class="trash-content">
+			<h3>Possible duplicates</h3>
+			<p class="trash-retention">Merging keeps one entry and adds the other one's notes, photos, tags and play sessions to it.
+				The other entry is moved to the trash.</p>
+			${pairs.length === 0 ? '<div class="no-results">No duplicates found</div>' : ''}
+			<div id="duplicatePairs"></div>
+			<div class="trash-footer">
+				<button class="filter-button" data-action="closeDuplicates">Close</button>
+			</div>
+		</div>
+	`;
+
+	const list = modal.querySelector('#duplicatePairs');
+	pairs.forEach(({ games: [first, second], reason }) => {
+		const item = document.createElement('div');
+		item.className = 'trash-item';
+		const info = document.createElement('div');
+		const describe = (game) => `${game.title}${game.platform ? ` (${game.platform})` : ''}`;
+		info.textContent = `${describe(first)} / ${describe(second)}`;
+		const detail = document.createElement('div');
+		detail.className = 'trash-date';
+		detail.textContent = reason;
+		info.appendChild(detail);
+
+		const actions = document.createElement('div');
+		actions.className = 'trash-actions';
+		[[first, second], [second, first]].forEach(([keep, merge]) => {
+			const button = document.createElement('button');
+			button.className = 'filter-button';
+			button.textContent = `Keep #${keep.id}`;
+			button.title = `Merge "${merge.title}" into "${keep.title}"`;
+			button.onclick = () => mergeGames(keep, merge);
+			actions.appendChild(button);
+		});
+
+		item.append(info, actions);
+		list.appendChild(item);
+	});
+
+	document.body.appendChild(modal);
+}
+
+function closeDuplicates() {
+	const modal = document.getElementById('duplicates-modal');
+	if (modal) {
+		document.body.removeChild(modal);
+	}
+}
+
+async function mergeGames(keep, merge) {
+	if (!confirm(`Merge "${merge.title}" into "${keep.title}"? "${merge.title}" will be moved to the trash.`)) {
+		return;
+	}
+
+	try {
+		const response = await apiResponse(api.merge(keep.id, merge.id));
+		const result = await response.json();
+		if (!response.ok) {
+			throw new Error(result.error || 'Merge failed');
+		}
+
+		alert(result.message);
+		await loadGames(true);
+		await openDuplicates();
+	} catch (error) {
+		console.error('Merge error:', error);
+		alert('Merge failed: ' + error.message);
+	}
+}
+
+// Pairing details for the phone companion page (see companion.js)
+async function openCompanionPairing(reset = false) {
+	let pairing;
+	try {
+		pairing = reset
+			? await window.electronAPI.resetCompanionPairing()
+			: await window.electronAPI.getCompanionPairing();
+	} catch (error) {
+		console.error('Error loading pairing code:', error);
+		alert('Error loading pairing code: ' + error.message);
+		return;
+	}
+
+	closeCompanionPairing();
+	const modal = document.createElement('div');
+	modal.id = 'companion-modal';
+	modal.className = 'trash-modal';
+	modal.onclick = (e) => {
+		if (e.target === modal) {
+			closeCompanionPairing();
+		}
+	};
+
+	modal.innerHTML = `
+		<div class="trash-content">
+			<h3>Phone companion</h3>
+			<div id="companionDetails"></div>
+			<div class="trash-footer">
+				${pairing ? '<button class="delete-btn" data-action="resetCompanionPairing">New code</button>' : ''}
+				<button class="filter-button" data-action="closeCompanionPairing">Close</button>
+			</div>
+		</div>
+	`;
+
+	const details = modal.querySelector('#companionDetails');
+	const addLine = (text, className) => {
+		const line = document.createElement('p');
+		line.className = className || '';
+		line.textContent = text;
+		details.appendChild(line);
+	};
+	if (!pairing) {
+		addLine('The companion page is off. Set COMPANION=true in .env and restart the app to use it.', 'trash-retention');
+	} else {
+		addLine('On a phone on the same network, open:');
+		if (pairing.urls.length === 0) {
+			addLine('No network connection found', 'no-results');
+		}
+		pairing.urls.forEach(url => addLine(url, 'companion-url'));
+		addLine('and enter the pairing code:');
+		addLine(pairing.code, 'companion-code');
+		addLine('A new code signs out every paired phone.', 'trash-retention');
+	}
+
+	document.body.appendChild(modal);
+}
+
+function closeCompanionPairing() {
+	const modal = document.getElementById('companion-modal');
+	if (modal) {
+		document.body.removeChild(modal);
+	}
+}
+
+async function resetCompanionPairing() {
+	if (!confirm('Create a new pairing code? Paired phones will have to pair again.')) {
+		return;
+	}
+	await openCompanionPairing(true);
+}
+
+// Import plans list new games that look like ones already in the
+// collection (see duplicates.js); they are still imported
+function possibleDuplicatesText(plan) {
+	if (plan.possibleDuplicates.length === 0) return '';
+	const list = plan.possibleDuplicates.slice(0, 10)
+		.map(entry => `- ${entry.title} (like ${entry.matches.map(match => match.title).join(', ')})`)
+		.join('\n');
+	const more = plan.possibleDuplicates.length > 10 ? `\n...and ${plan.possibleDuplicates.length - 10} more` : '';
+	return `\n\n${plan.possibleDuplicates.length} new games may already be in your collection:\n${list}${more}`;
+}
+
+async function bulkImportTitles(input) {
+	const file = input.files[0];
+	if (!file) return;
+
+	if (!confirm('This will create new entries for each line in the text file. Continue?')) {
+		input.value = '';
+		return;
+	}
+
+	try {
+		const text = await file.text();
+		const titles = text.split('\n')
+			.map(title => title.trim())
+			.filter(title => title.length > 0);
+
+		if (titles.length === 0) {
+			throw new Error('No valid titles found in the file');
+		}
+
+		const confirmation = confirm(`Found ${titles.length} titles. Create entries?`);
+		if (!confirmation) {
+			input.value = '';
+			return;
+		}
+
+		const sendTitles = (options = {}) => apiResponse(api.bulkCreate({ titles, ...options }));
+
+		let response = await sendTitles();
+		if (response.status === 409) {
+			// Some titles look like games already in the collection
+			const { error, duplicates } = await response.json();
+			const list = duplicates.slice(0, 10)
+				.map(entry => `- ${entry.title} (like ${entry.matches.map(match => match.title).join(', ')})`)
+				.join('\n');
+			const more = duplicates.length > 10 ? `\n...and ${duplicates.length - 10} more` : '';
+			if (confirm(`${error}:\n${list}${more}\n\nSkip these and create the rest?`)) {
+				response = await sendTitles({ skipDuplicates: true });
+			} else if (confirm('Create all titles, including the possible duplicates?')) {
+				response = await sendTitles({ allowDuplicates: true });
+			} else {
+				return;
+			}
+		}
+
+		const result = await response.json().catch(() => ({}));
+		if (!response.ok) {
+			throw new Error(result.error || 'Bulk import failed');
+		}
+
+		alert(result.message);
+		await loadGames();
+	} catch (error) {
+		console.error('Bulk import error:', error);
+		alert('Bulk import failed: ' + error.message);
+	} finally {
+		input.value = '';
+	}
+}
+
+// Imports merge into the collection: a dry run shows what would change
+// before anything is written.
+async function importGames(input) {
+	const file = input.files[0];
+	if (!file) return;
+
+	const sendImport = async (send) => {
+		const formData = new FormData();
+		formData.append('mode', 'merge');
+		formData.append('conflictPolicy', 'keep');
+		formData.append('file', file);
+
+		const response = await apiResponse(send(await formEntries(formData)));
+		const result = await response.json();
+		if (!response.ok) {
+			const details = (result.errors || []).map(entry => `#${entry.index + 1} ${entry.title || ''}: ${entry.error}`);
+			throw new Error([result.error || 'Import failed', ...details].join('\n'));
+		}
+		return result;
+	};
+
+	try {
+		const plan = await sendImport(api.previewImport);
+		if (plan.errors.length > 0) {
+			const details = plan.errors.map(entry => `#${entry.index + 1} ${entry.title || ''}: ${entry.error}`);
+			throw new Error(['The file has invalid games; nothing was imported.', ...details].join('\n'));
+		}
+
+		const { summary } = plan;
+		let message = `This import will add ${summary.added} new games, update ${summary.updated} and skip ${summary.skipped}.`;
+		if (summary.conflicts > 0) {
+			message += `\n\n${summary.conflicts} fields differ from your collection; your current values will be kept:\n` +
+				plan.conflicts.slice(0, 10).map(conflict => `- ${conflict.title}: ${conflict.field}`).join('\n');
+			if (summary.conflicts > 10) {
+				message += `\n...and ${summary.conflicts - 10} more`;
+			}
+		}
+		message += possibleDuplicatesText(plan);
+		if (!confirm(message + '\n\nContinue?')) {
+			return;
+		}
+
+		const result = await sendImport(api.importGames);
+		alert(result.message);
+		await loadGames(true);
+	} catch (error) {
+		console.error('Import error:', error);
+		alert('Import failed: ' + error.message);
+	} finally {
+		input.value = '';
+	}
+}
+
+function setSortMethod(method, button) {
+	// Update the active button state for sort buttons only
+	document.querySelectorAll('#sortAlpha, #sortDate, #sortRating, #sortPlayTime, #sortLastPlayed').forEach(btn => {
+		btn.classList.remove('active');
+	});
+	button.classList.add('active');
+
+	// Update the current sort method
+	currentSortMethod = method;
+
+	// Reapply filters with new sorting
+	applyFilters();
+}
+
+async function populatePlatformOptions() {
+	// The list only holds filtered games, so ask for every platform in the collection
+	let platforms = [];
+	try {
+		const response = await apiResponse(api.platforms());
+		platforms = await response.json();
+	} catch (error) {
+		console.error('Error loading platforms:', error);
+		return;
+	}
+
+	const platformFilter = document.getElementById('platformFilter');
+	const currentValue = platformFilter.value;
+
+	while (platformFilter.options.length > 1) {
+		platformFilter.remove(1);
+	}
+
+	platforms.forEach(platform => {
+		const option = document.createElement('option');
+		option.value = platform;
+		option.textContent = platform;
+		platformFilter.appendChild(option);
+	});
+
+	if (Array.from(platformFilter.options).some(opt => opt.value === currentValue)) {
+		platformFilter.value = currentValue;
+	}
+}
+
+async function populateTagOptions() {
+	let tags = [];
+	try {
+		const response = await apiResponse(api.tags());
+		tags = await response.json();
+	} catch (error) {
+		console.error('Error loading tags:', error);
+		return;
+	}
+
+	// Forget selections for tags that were renamed, merged or deleted
+	const tagNames = new Set(tags.map(tag => tag.name));
+	selectedTags.forEach(tag => {
+		if (!tagNames.has(tag)) {
+			selectedTags.delete(tag);
+		}
+	});
+
+	const tagFilter = document.getElementById('tagFilter');
+	tagFilter.innerHTML = '';
+	tags.forEach(tag => {
+		const button = document.createElement('button');
+		button.className = 'filter-button' + (selectedTags.has(tag.name) ? ' active' : '');
+		button.textContent = `${tag.name} (${tag.gameCount})`;
+		button.onclick = () => toggleTagFilter(tag.name);
+		tagFilter.appendChild(button);
+	});
+}
+
+function toggleTagFilter(tag) {
+	if (selectedTags.has(tag)) {
+		selectedTags.delete(tag);
+	} else {
+		selectedTags.add(tag);
+	}
+	populateTagOptions();
+	applyFilters();
+}
+
+async function saveGameFiles(id) {
+	try {
+		// The main process looks the game up and opens its folder
+		const result = await window.electronAPI.openGameFolder(id);
+
+		if (!result.success) {
+			alert(result.message || 'Failed to open folder');
+		}
+	} catch (error) {
+		console.error('Error saving game files:', error);
+		alert('Error: ' + error.message);
+	}
+}
+
+let randomModeActive = false;
+
+async function selectRandomGame() {
+	const randomBtn = document.getElementById('randomGameBtn');
+
+	if (!randomModeActive) {
+		// Let the server pick one game among those matching the current filters
+		const params = buildListQuery();
+		params.set('sort', 'random');
+		params.set('limit', '1');
+
+		let randomGame;
+		try {
+			const { ok, status, data: result } = await window.electronAPI.games.list(params.toString());
+			if (!ok) {
+				throw new Error(result.error || `HTTP error! status: ${status}`);
+			}
+			randomGame = result.games[0];
+		} catch (error) {
+			console.error('Error picking random game:', error);
+			alert('Error picking random game: ' + error.message);
+			return;
+		}
+
+		if (!randomGame) {
+			alert('No games match current filters!');
+			return;
+		}
+
+		// Set filteredGames to just this one game
+		filteredGames = [randomGame];
+
+		// Update button state
+		randomModeActive = true;
+		randomBtn.classList.add('active');
+		randomBtn.textContent = 'Reset';
+
+		// Render and select the random game
+		renderMenu();
+		selectedIndex = 0;
+		selectedId = filteredGames[0].id;
+		updateSelection(0, selectedId);
+	} else {
+		// Reset to the filtered list
+		resetRandomMode();
+		showFilteredGames();
+	}
+}
+
+function resetRandomMode() {
+	randomModeActive = false;
+	const randomBtn = document.getElementById('randomGameBtn');
+	randomBtn.classList.remove('active');
+	randomBtn.textContent = 'Random';
+}
+
+// Enter on a game: open the first "<title> longplay" video on YouTube. Without
+// a YouTube API key, or when the search fails, open the search results instead.
+async function searchYouTubeFirstResult(gameTitle) {
+	try {
+		const apiKey = await window.electronAPI.getYouTubeApiKey();
+		if (!apiKey) {
+			searchYouTubeList(gameTitle);
+			return;
+		}
+
+		const searchQuery = encodeURIComponent(gameTitle + " longplay");
+		const controller = new AbortController();
+		const timeoutId = setTimeout(() => controller.abort(), 8000);
+		const response = await fetch(`https://www.googleapis.com/youtube/v3/search?part=snippet&q=${searchQuery}&maxResults=1&type=video&key=${apiKey}`, {
+			signal: controller.signal,
+			headers: { 'Accept': 'application/json' }
+		});
+		clearTimeout(timeoutId);
+
+		if (!response.ok) {
+			throw new Error(`HTTP ${response.status}`);
+		}
+
+		const data = await response.json();
+		const firstItem = data.items && data.items[0];
+		if (!firstItem || !firstItem.id || firstItem.id.kind !== 'youtube#video' || !firstItem.id.videoId) {
+			throw new Error('No video found');
+		}
+		await window.electronAPI.openExternal(`https://www.youtube.com/watch?v=${firstItem.id.videoId}`);
+	} catch (error) {
+		console.error('Error searching YouTube:', error);
+		searchYouTubeList(gameTitle);
+	}
+}
+
+function applyFilters() {
+	// Reset random mode if active
+	if (randomModeActive) {
+		resetRandomMode();
+	}
+
+	// Filtering and sorting happen server-side
+	loadGames(true);
+}
+
+function showFilteredGames() {
+	filteredGames = games.slice();
+	renderMenu();
+
+	// Preserve selection if the currently selected game is still in filtered results
+	let newSelectedIndex = -1;
+	if (selectedId >= 0) {
+		newSelectedIndex = filteredGames.findIndex(game => game.id === selectedId);
+	}
+
+	// If current selection not found, select first item
+	if (newSelectedIndex === -1 && filteredGames.length > 0) {
+		newSelectedIndex = 0;
+	}
+
+	selectedIndex = newSelectedIndex;
+	selectedId = selectedIndex >= 0 ? filteredGames[selectedIndex].id : -1;
+
+	if (selectedIndex >= 0) {
+		updateSelection(selectedIndex, selectedId);
+	} else {
+		document.getElementById('descriptionContainer').innerHTML =
+			'<div class="no-selection">No games match your filters</div>';
+	}
+}
+
+// Arrow keys move a single selection
+function selectSingle(index) {
+	selectedIds = new Set([filteredGames[index].id]);
+	updateSelection(index, filteredGames[index].id);
+	updateMultiSelection();
+}
+
+function selectAllFiltered() {
+	selectedIds = new Set(filteredGames.map(game => game.id));
+	updateMultiSelection();
+}
+
+function clearMultiSelection() {
+	selectedIds = selectedId >= 0 ? new Set([selectedId]) : new Set();
+	updateMultiSelection();
+}
+
+function updateMultiSelection() {
+	const multiple = selectedIds.size > 1;
+	document.querySelectorAll('.menu-item').forEach((item, i) => {
+		const game = filteredGames[i];
+		item.classList.toggle('multi-selected', Boolean(game) && multiple && selectedIds.has(game.id));
+	});
+	updateBulkBar();
+}
+
+function updateBulkBar() {
+	const multiple = selectedIds.size > 1;
+	document.getElementById('bulkActions').hidden = !multiple;
+	document.getElementById('bulkCount').textContent = multiple ? `${selectedIds.size} selected` : '';
+}
+
+// One form for every selected game; fields left alone are not changed
+async function openBulkEdit() {
+	let platforms = [];
+	try {
+		const response = await apiResponse(api.platforms());
+		platforms = await response.json();
+	} catch (error) {
+		console.error('Error loading platforms:', error);
+	}
+
+	closeBulkEdit();
+	const modal = document.createElement('div');
+	modal.id = 'bulk-modal';
+	modal.className = 'trash-modal';
+	modal.onclick = (e) => {
+		if (e.target === modal) {
+			closeBulkEdit();
+		}
+	};
+
+	modal.innerHTML = `
+		<div class="trash-content">
+			<h3>Edit ${selectedIds.size} games</h3>
+			<div class="bulk-form">
+				<label><input type="checkbox" id="bulkSetPlatform"> Platform</label>
+				<input type="text" id="bulkPlatform" list="bulkPlatforms" placeholder="Empty clears the platform">
+				<datalist id="bulkPlatforms"></datalist>
+				<label for="bulkFinished">Finished</label>
+				<select id="bulkFinished">
+					<option value="">Unchanged</option>
+					<option value="yes">Yes</option>
+					<option value="no">No</option>
+				</select>
+				<label for="bulkChecked">Checked</label>
+				<select id="bulkChecked">
+					<option value="">Unchanged</option>
+					<option value="yes">Yes</option>
+					<option value="no">No</option>
+				</select>
+				<label for="bulkStrikes">Strikes</label>
+				<select id="bulkStrikes">
+					<option value="0">Unchanged</option>
+					<option value="1">Add one</option>
+					<option value="-1">Remove one</option>
+				</select>
+				<label for="bulkAddTags">Add tags</label>
+				<input type="text" id="bulkAddTags" placeholder="Comma separated">
+				<label for="bulkRemoveTags">Remove tags</label>
+				<input type="text" id="bulkRemoveTags" placeholder="Comma separated">
+			</div>
+			<div class="trash-footer">
+				<button class="delete-btn" data-action="bulkDelete">Move to trash</button>
+				<button class="filter-button" data-action="applyBulkEdit">Apply</button>
+				<button class="filter-button" data-action="closeBulkEdit">Cancel</button>
+			</div>
+		</div>
+	`;
+
+	const datalist = modal.querySelector('#bulkPlatforms');
+	platforms.forEach(platform => datalist.appendChild(new Option(platform, platform)));
+	modal.querySelector('#bulkPlatform').oninput = () => {
+		modal.querySelector('#bulkSetPlatform').checked = true;
+	};
+	document.body.appendChild(modal);
+}
+
+function closeBulkEdit() {
+	const modal = document.getElementById('bulk-modal');
+	if (modal) {
+		document.body.removeChild(modal);
+	}
+}
+
+function readBulkPatch() {
+	const patch = {};
+	const value = (id) => document.getElementById(id).value;
+	if (document.getElementById('bulkSetPlatform').checked) {
+		patch.platform = value('bulkPlatform');
+	}
+	if (value('bulkFinished')) {
+		patch.finished = value('bulkFinished') === 'yes';
+	}
+	if (value('bulkChecked')) {
+		patch.is_checked = value('bulkChecked') === 'yes';
+	}
+	if (value('bulkStrikes') !== '0') {
+		patch.strikesDelta = Number(value('bulkStrikes'));
+	}
+	if (value('bulkAddTags').trim()) {
+		patch.addTags = value('bulkAddTags');
+	}
+	if (value('bulkRemoveTags').trim()) {
+		patch.removeTags = value('bulkRemoveTags');
+	}
+	return patch;
+}
+
+async function sendBulkUpdate(body) {
+	try {
+		const response = await apiResponse(api.bulkUpdate({ ids: [...selectedIds], ...body }));
+		const result = await response.json();
+		if (!response.ok) {
+			throw new Error(result.error || 'Bulk update failed');
+		}
+
+		closeBulkEdit();
+		alert(result.message);
+		await loadGames(true);
+	} catch (error) {
+		console.error('Bulk update error:', error);
+		alert('Bulk update failed: ' + error.message);
+	}
+}
+
+async function applyBulkEdit() {
+	const patch = readBulkPatch();
+	if (Object.keys(patch).length === 0) {
+		alert('Nothing to change');
+		return;
+	}
+	await sendBulkUpdate({ patch });
+}
+
+async function bulkDelete() {
+	if (!confirm(`Move ${selectedIds.size} games to the trash? You can restore them from the Trash view.`)) {
+		return;
+	}
+	await sendBulkUpdate({ delete: true });
+}
+
+function renderMenu() {
+	const menu = document.getElementById('menu');
+	menu.innerHTML = '';
+
+	// Games that left the list (filters, deletion) leave the selection too
+	const listed = new Set(filteredGames.map(game => game.id));
+	selectedIds = new Set([...selectedIds].filter(id => listed.has(id)));
+	updateBulkBar();
+
+	if (filteredGames.length === 0) {
+		menu.innerHTML = '<div class="no-results">No games found</div>';
+		return;
+	}
+
+	filteredGames.forEach((game, index) => {
+		const menuItem = document.createElement('div');
+		menuItem.className = 'menu-item' + (index === selectedIndex ? ' selected' : '') +
+			(selectedIds.size > 1 && selectedIds.has(game.id) ? ' multi-selected' : '');
+
+		// Enter opens the first YouTube video, Shift+Enter the search results
+		menuItem.onkeydown = (e) => {
+			if (e.key === 'Enter' && !e.shiftKey) {
+				e.preventDefault();
+				searchYouTubeFirstResult(game.title);
+			}
+			else if (e.key === 'Enter' && e.shiftKey) {
+				e.preventDefault();
+				searchYouTubeList(game.title);
+			}
+		};
+
+		menuItem.onclick = (e) => {
+			e.preventDefault();
+			if (e.shiftKey && selectedIndex >= 0) {
+				const [from, to] = [Math.min(selectedIndex, index), Math.max(selectedIndex, index)];
+				filteredGames.slice(from, to + 1).forEach(entry => selectedIds.add(entry.id));
+			} else if (e.ctrlKey || e.metaKey) {
+				if (selectedIds.size === 0 && selectedId >= 0) selectedIds.add(selectedId);
+				if (selectedIds.has(game.id) && selectedIds.size > 1) {
+					selectedIds.delete(game.id);
+				} else {
+					selectedIds.add(game.id);
+				}
+			} else {
+				selectedIds = new Set([game.id]);
+			}
+			updateSelection(index, game.id);
+			updateMultiSelection();
+		};
+
+		menuItem.oncontextmenu = (e) => {
+			e.preventDefault();
+			// Right-click selects the game too
+			updateSelection(index, game.id);
+		};
+
+		menuItem.tabIndex = 0;
+
+		menuItem.innerHTML = `
+			<div><strong>${escapeHtml(game.title)}</strong></div>
+		`;
+		menu.appendChild(menuItem);
+	});
+}
+
+// Shift+Enter on a game: open the YouTube search results
+function searchYouTubeList(gameTitle) {
+	const searchQuery = encodeURIComponent(gameTitle + " longplay");
+	window.electronAPI.openExternal(`https://www.youtube.com/results?search_query=${searchQuery}`);
+}
+
+// The page's CSP allows no inline handlers, so buttons name their action
+// in data-action (plus data-id and friends) and inputs in data-change
+const CLICK_ACTIONS = {
+	sort: button => setSortMethod(button.dataset.sort, button),
+	pickFile: button => document.getElementById(button.dataset.input).click(),
+	navigate: button => { window.location.href = button.dataset.href; },
+	toggleHistory: button => toggleHistory(Number(button.dataset.id)),
+	saveGameFiles: button => saveGameFiles(Number(button.dataset.id)),
+	editGame: button => editGame(Number(button.dataset.id)),
+	deleteGame: button => deleteGame(Number(button.dataset.id)),
+	addPhoto: button => addPhoto(Number(button.dataset.id)),
+	addNote: button => addNote(Number(button.dataset.id)),
+	toggleSession: button => toggleSession(Number(button.dataset.id), button.dataset.running === 'true'),
+	restoreGame: button => restoreGame(Number(button.dataset.id)),
+	purgeGame: button => purgeGame(Number(button.dataset.id)),
+	togglePhotoSize: img => togglePhotoSize(img),
+	deletePhoto: button => deletePhoto(Number(button.dataset.id), Number(button.dataset.itemId)),
+	deleteNote: button => deleteNote(Number(button.dataset.id), Number(button.dataset.itemId)),
+	openCsvDialog: () => openCsvDialog(),
+	closeCsvDialog: () => closeCsvDialog(),
+	exportCsv: () => exportCsv(),
+	selectRandomGame: () => selectRandomGame(),
+	selectAllFiltered: () => selectAllFiltered(),
+	openBulkEdit: () => openBulkEdit(),
+	applyBulkEdit: () => applyBulkEdit(),
+	bulkDelete: () => bulkDelete(),
+	closeBulkEdit: () => closeBulkEdit(),
+	clearMultiSelection: () => clearMultiSelection(),
+	openTrash: () => openTrash(),
+	closeTrash: () => closeTrash(),
+	openStorageCheck: () => openStorageCheck(),
+	cleanStorage: () => cleanStorage(),
+	closeStorageCheck: () => closeStorageCheck(),
+	openCompanionPairing: () => openCompanionPairing(),
+	resetCompanionPairing: () => resetCompanionPairing(),
+	closeCompanionPairing: () => closeCompanionPairing(),
+	openStatistics: () => openStatistics(),
+	closeStatistics: () => closeStatistics(),
+	openDuplicates: () => openDuplicates(),
+	closeDuplicates: () => closeDuplicates(),
+	exportBackup: () => exportBackup()
+};
+
+const CHANGE_ACTIONS = {
+	applyFilters: () => applyFilters(),
+	importGames: input => importGames(input),
+	importLauncherLibrary: input => importLauncherLibrary(input),
+	bulkImportTitles: input => bulkImportTitles(input),
+	restoreBackup: input => restoreBackup(input),
+	selectCsvFile: input => selectCsvFile(input)
+};
+
+document.addEventListener('click', event => {
+	const element = event.target.closest('[data-action]');
+	if (element && element.dataset.action in CLICK_ACTIONS) {
+		CLICK_ACTIONS[element.dataset.action](element);
+	}
+});
+
+document.addEventListener('change', event => {
+	const element = event.target.closest('[data-change]');
+	if (element && element.dataset.change in CHANGE_ACTIONS) {
+		CHANGE_ACTIONS[element.dataset.change](element);
+	}
+});
+
+// Images that fail to load are replaced by the text in data-fallback.
+// Error events do not bubble, hence the capture phase.
+document.addEventListener('error', event => {
+	const img = event.target;
+	if (img.tagName === 'IMG' && img.dataset.fallback && img.parentNode) {
+		img.parentNode.innerHTML = `<div class="no-image">${escapeHtml(img.dataset.fallback)}</div>`;
+	}
+}, true);
+
+// Initialize the app
+document.addEventListener('DOMContentLoaded', () => {
+	loadGames();
+
+	document.getElementById('searchInput').addEventListener('input', applyFilters);
+
+	document.addEventListener('keydown', function(e) {
+		if (filteredGames.length === 0) return;
+
+		const oldSelectedIndex = selectedIndex;
+		const descriptionContainer = document.getElementById('descriptionContainer');
+
+		if (e.code === 'ArrowUp') {
+			selectedIndex = Math.max(0, selectedIndex - 1);
+			e.preventDefault();
+			if (oldSelectedIndex !== selectedIndex) {
+				selectSingle(selectedIndex);
+			}
+		}
+		else if (e.code === 'ArrowDown') {
+			selectedIndex = Math.min(filteredGames.length - 1, selectedIndex + 1);
+			e.preventDefault();
+			if (oldSelectedIndex !== selectedIndex) {
+				selectSingle(selectedIndex);
+			}
+		}
+
+		else if (e.key === 'ArrowLeft') {
+			descriptionContainer.scrollBy({
+				top: -300,
+				behavior: 'smooth'
+			});
+			e.preventDefault();
+		}
+		else if (e.key === 'ArrowRight') {
+			descriptionContainer.scrollBy({
+				top: 300,
+				behavior: 'smooth'
+			});
+			e.preventDefault();
+		}
+	});
+});
+
+// Poll for updates every 5 seconds, but preserve filters
+setInterval(loadGames, 5000);
@@ -0,0 +1,217 @@
+// window.electronAPI comes from preload.js
+
+		document.addEventListener('DOMContentLoaded', function() {
+	  const platformSelect = document.getElementById('platform');
+	  const newCategoryInput = document.getElementById('new-category');
+	  const addButton = document.getElementById('add-category');
+	  const deleteButton = document.getElementById('delete-category');
+
+	  // Add new category
+	  addButton.addEventListener('click', function() {
+		const newCategory = newCategoryInput.value.trim();
+		if (newCategory && !categoryExists(newCategory)) {
+		  const option = document.createElement('option');
+		  option.value = newCategory;
+		  option.textContent = newCategory;
+		  platformSelect.appendChild(option);
+		  newCategoryInput.value = '';
+		}
+	  });
+
+	  // Delete selected category
+	  deleteButton.addEventListener('click', function() {
+		if (platformSelect.selectedIndex > 0) { // Don't delete the "Select category..." option
+		  platformSelect.remove(platformSelect.selectedIndex);
+		}
+	  });
+
+	  // Check if category already exists
+	  function categoryExists(category) {
+		return Array.from(platformSelect.options).some(
+		  option => option.value.toLowerCase() === category.toLowerCase()
+		);
+	  }
+
+	  // Allow adding by pressing Enter
+	  newCategoryInput.addEventListener('keypress', function(e) {
+		if (e.key === 'Enter') {
+		  addButton.click();
+		}
+	  });
+	});
+
+	// Initialize form when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    initializeForm();
+});
+
+// Also initialize on window load as backup
+window.addEventListener('load', function() {
+    setTimeout(initializeForm, 100);
+});
+
+function initializeForm() {
+    // Force focus on the first input field
+    const titleInput = document.getElementById('title');
+    if (titleInput) {
+        titleInput.focus();
+        titleInput.click(); // Additional trigger to ensure focus
+    }
+
+    // Reset form to ensure clean state
+    document.getElementById('gameForm').reset();
+
+    // Reset previews
+    document.getElementById('coverPreview').innerHTML = '<span>No image selected</span>';
+    document.getElementById('gameplayPreview').innerHTML = '<span>No image selected</span>';
+
+    // Reset rating display
+    document.getElementById('rating-value').textContent = '0/3';
+    document.getElementById('strikesCount').value = '0';
+
+    // Re-enable all form elements
+    const allInputs = document.querySelectorAll('input, textarea, select, button');
+    allInputs.forEach(element => {
+        element.disabled = false;
+        element.style.pointerEvents = 'auto';
+    });
+
+    console.log('Form initialized and focused');
+}
+
+document.getElementById('gameForm').addEventListener('submit', submitForm);
+document.getElementById('cancelBtn').addEventListener('click', () => {
+    window.location.href = 'game-collection.html';
+});
+
+async function submitForm(event) {
+    event.preventDefault();
+
+    // Disable form during submission to prevent double-submit
+    const submitBtn = document.querySelector('.submit-btn');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Adding Game...';
+
+    // Calculate strikes count
+    const strikeCheckboxes = document.querySelectorAll('input[name="strikeValues"]:checked');
+    document.getElementById('strikesCount').value = strikeCheckboxes.length.toString();
+
+    try {
+        const form = document.getElementById('gameForm');
+        let response = await window.electronAPI.games.create(form);
+
+        // The title or link looks like a game already in the collection
+        if (response.status === 409) {
+            const matches = response.data.duplicates
+                .map(match => `- ${match.title}${match.platform ? ` (${match.platform})` : ''}: ${match.reason}`)
+                .join('\n');
+            if (!confirm(`${response.data.error}:\n${matches}\n\nAdd it anyway?`)) {
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Add Game';
+                return;
+            }
+            document.getElementById('allowDuplicates').value = 'true';
+            response = await window.electronAPI.games.create(form);
+            document.getElementById('allowDuplicates').value = 'false';
+        }
+
+        if (response.ok) {
+            alert('Game created successfully');
+            window.location.href = 'game-collection.html';
+        } else {
+            const error = response.data;
+            // Rejected uploads name the file input, so the file can be picked again
+            const fileInput = error.field && document.getElementById(error.field);
+            if (fileInput) {
+                fileInput.value = '';
+                fileInput.dispatchEvent(new Event('change'));
+            }
+            throw new Error(error.error || 'Failed to create game');
+        }
+    } catch (error) {
+        console.error('Error creating game:', error);
+        alert('Error creating game: ' + error.message);
+
+        // Re-enable form on error
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Add Game';
+    }
+}
+
+// Star rating interaction
+const starInputs = document.querySelectorAll('.star-rating input[type="radio"]');
+const ratingValue = document.getElementById('rating-value');
+
+starInputs.forEach(input => {
+    input.addEventListener('change', () => {
+        const value = input.value;
+        ratingValue.textContent = `${value}/3`;
+
+        // Update star colors
+        const starLabels = document.querySelectorAll('.star-rating label');
+        starLabels.forEach((label, index) => {
+            label.style.color = (index + 1) <= value ? '#f39c12' : '#ddd';
+        });
+    });
+});
+
+// Strike checkboxes interaction
+const strikeCheckboxes = document.querySelectorAll('.strike-checkbox');
+const strikesCountInput = document.getElementById('strikesCount');
+
+strikeCheckboxes.forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+        const checkedCount = document.querySelectorAll('.strike-checkbox:checked').length;
+        strikesCountInput.value = checkedCount;
+    });
+});
+
+// Cover art preview
+const coverInput = document.getElementById('coverArt');
+const coverPreview = document.getElementById('coverPreview');
+
+coverInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            coverPreview.innerHTML = `<img src="${event.target.result}" alt="Cover preview">`;
+        };
+        reader.readAsDataURL(file);
+    } else {
+        coverPreview.innerHTML = '<span>No image selected</span>';
+    }
+});
+
+// Gameplay image preview
+const gameplayInput = document.getElementById('gameplayImage');
+const gameplayPreview = document.getElementById('gameplayPreview');
+
+gameplayInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            gameplayPreview.innerHTML = `<img src="${event.target.result}" alt="Gameplay preview">`;
+        };
+        reader.readAsDataURL(file);
+    } else {
+        gameplayPreview.innerHTML = '<span>No image selected</span>';
+    }
+});
+
+// Debug function to check form state
+function debugFormState() {
+    const titleInput = document.getElementById('title');
+    console.log('Title input exists:', !!titleInput);
+    console.log('Title input disabled:', titleInput?.disabled);
+    console.log('Title input focused:', document.activeElement === titleInput);
+    console.log('Current active element:', document.activeElement);
+}
+
+// Add click handler to body to ensure form can receive focus
+document.body.addEventListener('click', function(e) {
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+        e.target.focus();
+    }
+});
@@ -0,0 +1,1446 @@
+// REST API for the collection. createServer() builds the Express app around
+// an open GameDatabase and a storage root (the folder holding games.db,
+// uploads/ and backups/) and starts listening. Nothing here depends on
+// Electron, so the same server runs behind the desktop window, headless
+// (electron . --headless) or on its own with `node server.js`.
+
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+const Database = require('./database');
+const { planImport, buildImportPlan, buildCsvImport } = require('./importer');
+const { createBackup, readBackup, restoreBackup } = require('./backup');
+const { EXPORT_COLUMNS, gamesToCsv } = require('./csv');
+const { LAUNCHER_ADAPTERS, readLauncherFiles } = require('./launchers');
+const { findGameFolder, gameFolderName, assetCopier, listFiles, assetFilePath, assetUrl, withAssetUrls } = require('./assets');
+const { canProcessImages, processImage } = require('./images');
+const { createUploader } = require('./uploads');
+const { scanStorage, cleanStorage } = require('./integrity');
+const { computeStatistics } = require('./stats');
+const { duplicateFinder, findDuplicatePairs, planGameMerge } = require('./duplicates');
+const { parseGameFilters, parseTagList } = require('./filters');
+const { LOOPBACK_HOST, REMOTE_HOST, TOKEN_FILE, loadApiToken, getRemoteAccess, requireToken } = require('./auth');
+const { isCompanionEnabled, companionUrls, createCompanion } = require('./companion');
+
+const DEFAULT_PORT = 3000;
+const PORT_ATTEMPTS = 10;
+const TRASH_PURGE_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Days a game stays in the trash before it is purged; TRASH_RETENTION_DAYS=0
+// keeps trashed games until they are deleted by hand.
+function getTrashRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : 30;
+}
+
+// Build the API around `db`, with files kept under `storageRoot`, and start
+// listening on `port`. When the port is taken the next ones are tried unless
+// `portFallback` is false. Browsers may only call the API from the pages of
+// `allowedOrigins`, which serve the uploads themselves (see main.js), so
+// image URLs in responses to them point at that origin. Every request needs `token`; with `remoteAccess`
+// ({ token }, see auth.js) or `companion` (see companion.js) the server also
+// listens on the network. Resolves to { app, server, port, companion, close },
+// where `companion` is null or { getPairing(), resetPairing() }.
+async function createServer({ db, storageRoot, token, remoteAccess = null, companion = false, port = DEFAULT_PORT, portFallback = true, allowedOrigins = [] }) {
+  if (!token) {
+    throw new Error('createServer() needs an API token');
+  }
+  const uploadsPath = path.join(storageRoot, 'uploads');
+  let trashPurgeTimer = null;
+
+  async function purgeExpiredTrash() {
+    const retentionDays = getTrashRetentionDays();
+    if (retentionDays === 0) return;
+  
+    try {
+      const expired = await db.getExpiredTrash(retentionDays);
+      for (const game of expired) {
+        await purgeGame(game, 'trash retention');
+      }
+      if (expired.length > 0) {
+        console.log(`Purged ${expired.length} game(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  }
+
+  // Permanently delete a trashed game, then everything it stored under uploads/
+  async function purgeGame(game, source) {
+    await db.purgeGame(game.id, source);
+    await removeGameFiles(game);
+  }
+
+  async function removeGameFiles(game) {
+    // Each game has a folder of its own; files referenced from anywhere else
+    // (e.g. restored from an old backup) are removed one by one. Files another
+    // game still refers to stay, and so does the folder holding them.
+    const folderName = findGameFolder(game);
+    const folderPath = folderName ? path.join(uploadsPath, folderName) : null;
+    const inUse = await usedAssetKeys();
+    const keys = [
+      ...(folderPath ? listFiles(folderPath).map(file => `${folderName}/${file}`) : []),
+      game.coverArtPath,
+      game.gameplayImagePath,
+      ...game.additionalPhotos.map(photo => photo.path)
+    ].filter(key => key && !inUse.has(key));
+  
+    await removeAssets([...new Set(keys)]);
+    if (folderPath && fs.existsSync(folderPath) && listFiles(folderPath).length === 0) {
+      fs.rmSync(folderPath, { recursive: true, force: true });
+    }
+  }
+
+  // Keys of every file a game (trashed ones included) refers to, with the
+  // variants of those images
+  async function usedAssetKeys() {
+    const { references, images } = await db.getAssetReferences();
+    const keys = new Set(references.map(reference => reference.path));
+    images.filter(image => keys.has(image.path)).forEach(image => {
+      keys.add(image.thumbPath);
+      keys.add(image.mediumPath);
+    });
+    return keys;
+  }
+
+  // Delete stored images together with their thumbnail and medium variants
+  async function removeAssets(assetKeys) {
+    const images = await db.deleteImages(assetKeys);
+    const allKeys = [...assetKeys, ...images.flatMap(image => [image.thumbPath, image.mediumPath])];
+  
+    for (const assetKey of allKeys) {
+      const filePath = assetFilePath(uploadsPath, assetKey);
+      if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  }
+
+  // Move stored files into a game's own folder, so they don't go with another
+  // game's folder when that game is purged. Files already there or missing
+  // on disk stay where they are. Returns { keyMap, undo() } with the old and
+  // new asset keys of everything that moved.
+  function moveAssetsToGame(assetKeys, game) {
+    const folderName = gameFolderName(game);
+    const keyMap = {};
+    const moved = [];
+    const undo = () => {
+      moved.reverse().forEach(({ source, target }) => fs.renameSync(target, source));
+    };
+
+    try {
+      assetKeys.forEach(key => {
+        if (key.startsWith(`${folderName}/`)) return;
+        const newKey = `${folderName}/${key.split('/').pop()}`;
+        const source = assetFilePath(uploadsPath, key);
+        const target = assetFilePath(uploadsPath, newKey);
+        if (!source || !target || !fs.existsSync(source) || fs.existsSync(target)) return;
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.renameSync(source, target);
+        moved.push({ source, target });
+        keyMap[key] = newKey;
+      });
+    } catch (error) {
+      undo();
+      throw error;
+    }
+    return { keyMap, undo };
+  }
+
+  // Imports go through here so the images they refer to are copied into each
+  // game's own folder (see assetCopier), and the copies removed on failure
+  async function applyImport(plan, source) {
+    const copier = assetCopier(uploadsPath);
+    try {
+      return await db.applyImportPlan(plan, source, copier.adopt);
+    } catch (error) {
+      copier.undo();
+      throw error;
+    }
+  }
+
+  // Move a file multer left in the incoming folder into the game's own folder,
+  // run it through the image pipeline and return its asset key
+  async function storeUpload(file, game) {
+    const folderName = gameFolderName(game);
+    fs.mkdirSync(path.join(uploadsPath, folderName), { recursive: true });
+    fs.renameSync(file.path, path.join(uploadsPath, folderName, file.filename));
+  
+    const assetKey = `${folderName}/${file.filename}`;
+    await processStoredImage(assetKey);
+    return assetKey;
+  }
+
+  // An image that can't be processed is still kept; it is shown at full size
+  async function processStoredImage(assetKey) {
+    if (!canProcessImages()) {
+      return false;
+    }
+    try {
+      await db.saveImage(assetKey, await processImage(uploadsPath, assetKey));
+      return true;
+    } catch (error) {
+      console.error(`Could not process image ${assetKey}:`, error.message);
+      return false;
+    }
+  }
+
+  // Generate variants for images that have none yet: uploads from before the
+  // image pipeline, imported collections and restored backups
+  let pendingImages = null;
+  function processPendingImages() {
+    if (!pendingImages && canProcessImages()) {
+      pendingImages = (async () => {
+        let processed = 0;
+        for (const assetKey of await db.getUnprocessedImages()) {
+          const filePath = assetFilePath(uploadsPath, assetKey);
+          if (filePath && fs.existsSync(filePath) && await processStoredImage(assetKey)) {
+            processed++;
+          }
+        }
+        if (processed > 0) {
+          console.log(`Generated image variants for ${processed} image(s)`);
+        }
+      })().catch(error => {
+        console.error('Error processing images:', error);
+      }).finally(() => {
+        pendingImages = null;
+      });
+    }
+    return pendingImages;
+  }
+
+  const expressApp = express();
+  
+  // File uploads are validated (see uploads.js) and land in incoming/ first;
+  // routes move images into the game's folder once they know its id
+  // (see storeUpload) and remove whatever is left over.
+  const incomingPath = path.join(storageRoot, 'incoming');
+  const imageUpload = createUploader(incomingPath, 'image');
+  const jsonUpload = createUploader(incomingPath, 'json');
+  const csvUpload = createUploader(incomingPath, 'csv');
+  const launcherUpload = createUploader(incomingPath, 'launcher');
+  const backupUpload = createUploader(incomingPath, 'backup');
+  
+  expressApp.use(allowOrigins(allowedOrigins));
+  // Paired phones use their own session instead of the API token
+  const companionView = companion ? createCompanion({ db, uploadsPath }) : null;
+  if (companionView) {
+    expressApp.use('/companion', companionView.router);
+  }
+  expressApp.use(requireToken({ token, remoteAccess }));
+  expressApp.use(express.json());
+  expressApp.use(express.urlencoded({ extended: true }));
+  
+  // Serve uploaded files
+  expressApp.use('/uploads', express.static(uploadsPath));
+	
+
+  // Add photo to game
+  expressApp.post('/games/:id/add-photo', imageUpload.single('photo'), async (req, res) => {
+    try {
+      console.log('Add photo endpoint called for game:', req.params.id);
+      
+      const gameId = req.params.id;
+      const game = await db.getGameById(gameId);
+      
+      if (!game) {
+        console.log('Game not found:', gameId);
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      
+      if (!req.file) {
+        console.log('No file uploaded');
+        return res.status(400).json({ error: 'No photo uploaded' });
+      }
+
+      console.log('File uploaded successfully:', req.file.filename);
+      
+      const photoKey = await storeUpload(req.file, game);
+      
+      const photoId = await db.addPhoto(gameId, {
+        path: photoKey,
+        filename: req.file.filename
+      }, historySource(req));
+      
+      console.log('Photo added to database successfully');
+      res.json({ 
+        message: 'Photo added successfully',
+        photo: {
+          id: photoId,
+          path: assetUrl(requestBaseUrl(req), photoKey),
+          filename: req.file.filename
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error adding photo:', error);
+      res.status(500).json({ error: error.message });
+    } finally {
+      removeUploadedFile(req.file);
+    }
+  });
+
+  // Add note to game
+  expressApp.post('/games/:id/add-note', async (req, res) => {
+    try {
+      console.log('Add note endpoint called for game:', req.params.id);
+      
+      const gameId = req.params.id;
+      const game = await db.getGameById(gameId);
+      
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      
+      const { content } = req.body;
+      if (!content || content.trim() === '') {
+        return res.status(400).json({ error: 'Note content is required' });
+      }
+      
+      const noteId = await db.addNote(gameId, { content: content.trim() }, historySource(req));
+      
+      res.json({ id: noteId, message: 'Note added successfully' });
+    } catch (error) {
+      console.error('Error adding note:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete photo from game
+  expressApp.delete('/games/:id/photos/:photoId', async (req, res) => {
+    try {
+      const gameId = req.params.id;
+      const game = await db.getGameById(gameId);
+      
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      
+      const photo = await db.deletePhoto(gameId, req.params.photoId, historySource(req));
+      if (!photo) {
+        return res.status(404).json({ error: 'Photo not found' });
+      }
+      
+      await removeAssets([photo.path]);
+      
+      res.json({ message: 'Photo deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting photo:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete note from game
+  expressApp.delete('/games/:id/notes/:noteId', async (req, res) => {
+    try {
+      const gameId = req.params.id;
+      const game = await db.getGameById(gameId);
+      
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      
+      const note = await db.deleteNote(gameId, req.params.noteId, historySource(req));
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      
+      res.json({ message: 'Note deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting note:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  expressApp.get('/games/:id/history', async (req, res) => {
+    try {
+      const history = await db.getHistory(req.params.id);
+      // History outlives deleted games, so only 404 when there is nothing at all
+      if (history.length === 0 && !(await db.getGameById(req.params.id))) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      res.json(history);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Play sessions
+  expressApp.get('/games/:id/sessions', async (req, res) => {
+    try {
+      const game = await db.getGameById(req.params.id);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      
+      const sessions = await db.getSessions(game.id);
+      res.json({
+        sessions,
+        totalHoursPlayed: game.totalHoursPlayed,
+        lastPlayed: game.lastPlayed,
+        sessionCount: game.sessionCount
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  expressApp.post('/games/:id/start-session', async (req, res) => {
+    try {
+      const game = await db.getGameById(req.params.id);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      if (await db.getActiveSession(game.id)) {
+        return res.status(409).json({ error: 'A session is already running for this game' });
+      }
+      
+      const sessionId = await db.startSession(game.id);
+      res.json({ id: sessionId, message: 'Session started' });
+    } catch (error) {
+      console.error('Error starting session:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  expressApp.post('/games/:id/stop-session', async (req, res) => {
+    try {
+      const game = await db.getGameById(req.params.id);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      
+      const rageRating = parseSessionRage(req.body.rageRating);
+      if (rageRating === null) {
+        return res.status(400).json({ error: `Invalid rageRating: expected 0-${Database.MAX_RAGE_RATING}` });
+      }
+      
+      const session = await db.stopSession(game.id, { note: req.body.note, rageRating });
+      if (!session) {
+        return res.status(409).json({ error: 'No session is running for this game' });
+      }
+      res.json({ session, message: 'Session stopped' });
+    } catch (error) {
+      console.error('Error stopping session:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Log a past session: startedAt plus either endedAt or durationMinutes
+  expressApp.post('/games/:id/add-session', async (req, res) => {
+    try {
+      const game = await db.getGameById(req.params.id);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      
+      const { startedAt, endedAt, durationMinutes, note } = req.body;
+      const start = new Date(startedAt);
+      if (!startedAt || isNaN(start.getTime())) {
+        return res.status(400).json({ error: 'startedAt must be a valid date' });
+      }
+      
+      let end;
+      if (endedAt) {
+        end = new Date(endedAt);
+        if (isNaN(end.getTime()) || end <= start) {
+          return res.status(400).json({ error: 'endedAt must be a valid date after startedAt' });
+        }
+      } else if (Number(durationMinutes) > 0) {
+        end = new Date(start.getTime() + Number(durationMinutes) * 60000);
+      } else {
+        return res.status(400).json({ error: 'Either endedAt or a positive durationMinutes is required' });
+      }
+      
+      const rageRating = parseSessionRage(req.body.rageRating);
+      if (rageRating === null) {
+        return res.status(400).json({ error: `Invalid rageRating: expected 0-${Database.MAX_RAGE_RATING}` });
+      }
+      
+      const sessionId = await db.logSession(game.id, {
+        startedAt: start.toISOString(),
+        endedAt: end.toISOString(),
+        durationSeconds: Math.round((end - start) / 1000),
+        note: typeof note === 'string' ? note.trim() : null,
+        rageRating
+      });
+      res.json({ id: sessionId, message: 'Session logged' });
+    } catch (error) {
+      console.error('Error logging session:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  expressApp.delete('/games/:id/sessions/:sessionId', async (req, res) => {
+    try {
+      const deleted = await db.deleteSession(req.params.id, req.params.sessionId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      res.json({ message: 'Session deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // API Routes
+	expressApp.get('/games/list', async (req, res) => {
+	  let filters;
+	  try {
+		filters = parseGameFilters(req.query);
+	  } catch (error) {
+		return res.status(400).json({ error: error.message });
+	  }
+
+	  try {
+		const result = await db.queryGames(filters);
+		// Ensure dateAdded is properly formatted as ISO string
+		const baseUrl = requestBaseUrl(req);
+		const formattedGames = result.games.map(game => ({
+		  ...withAssetUrls(baseUrl, game),
+		  dateAdded: new Date(game.dateAdded).toISOString()
+		}));
+		res.json({
+		  games: formattedGames,
+		  total: result.total,
+		  unfilteredTotal: result.unfilteredTotal,
+		  limit: filters.limit !== undefined ? filters.limit : null,
+		  offset: filters.offset || 0
+		});
+	  } catch (error) {
+		res.status(500).json({ error: error.message });
+	  }
+	});
+
+	expressApp.get('/games/platforms', async (req, res) => {
+	  try {
+		const platforms = await db.getPlatforms();
+		res.json(platforms);
+	  } catch (error) {
+		res.status(500).json({ error: error.message });
+	  }
+	});
+  
+	expressApp.get('/games/trash', async (req, res) => {
+	  try {
+		const games = await db.getTrashedGames();
+		const baseUrl = requestBaseUrl(req);
+		res.json({ games: games.map(game => withAssetUrls(baseUrl, game)), retentionDays: getTrashRetentionDays() });
+	  } catch (error) {
+		res.status(500).json({ error: error.message });
+	  }
+	});
+
+	expressApp.get('/games/search', async (req, res) => {
+	  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+	  if (query === '') {
+		return res.status(400).json({ error: 'Search query (q) is required' });
+	  }
+	  const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+	  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+		return res.status(400).json({ error: 'Invalid limit: expected a whole number between 1 and 100' });
+	  }
+
+	  try {
+		const results = await db.searchGames(query, limit);
+		res.json({ query, results });
+	  } catch (error) {
+		console.error('Search error:', error);
+		res.status(500).json({ error: error.message });
+	  }
+	});
+  
+  expressApp.post('/games/create', imageUpload.fields([
+    { name: 'coverArt', maxCount: 1 },
+    { name: 'gameplayImage', maxCount: 1 }
+  ]), async (req, res) => {
+    try {
+      const gameData = {
+        title: req.body.title,
+        link: req.body.link || '',
+        rageRating: parseInt(req.body.rageRating) || 0,
+        finished: req.body.finished === 'true',
+		  is_checked: req.body.is_checked === 'true',
+        platform: req.body.platform || '',
+        strikes: parseInt(req.body.strikes) || 0,
+        notes: req.body.notes || '',
+        coverArtPath: null,
+        gameplayImagePath: null,
+        tags: parseTagList(req.body.tags)
+      };
+
+      // Possible duplicates (see duplicates.js) are only created once the
+      // client confirms with allowDuplicates=true
+      if (req.body.allowDuplicates !== 'true') {
+        const duplicates = duplicateFinder(await db.getAllGames()).find(gameData);
+        if (duplicates.length > 0) {
+          return res.status(409).json({ error: 'This game may already be in the collection', duplicates });
+        }
+      }
+      
+      const gameId = await db.createGame(gameData, historySource(req));
+      
+      // Images go into the game's folder, which needs the new id
+      const images = {};
+      if (req.files && req.files.coverArt) {
+        images.coverArtPath = await storeUpload(req.files.coverArt[0], { id: gameId, title: gameData.title });
+      }
+      if (req.files && req.files.gameplayImage) {
+        images.gameplayImagePath = await storeUpload(req.files.gameplayImage[0], { id: gameId, title: gameData.title });
+      }
+      if (Object.keys(images).length > 0) {
+        await db.updateGame(gameId, images, historySource(req));
+      }
+      
+      res.json({ id: gameId, message: 'Game created successfully' });
+    } catch (error) {
+      console.error('Create game error:', error);
+      res.status(500).json({ error: error.message });
+    } finally {
+      removeUploadedFiles(req);
+    }
+  });
+		
+  // Titles that look like games already in the collection, or like an
+  // earlier title of the same list, are reported with a 409 unless the client
+  // sends skipDuplicates (create only the others) or allowDuplicates (create
+  // everything)
+  expressApp.post('/games/bulk-create', async (req, res) => {
+    try {
+      const { titles, allowDuplicates = false, skipDuplicates = false } = req.body || {};
+
+      if (!titles || !Array.isArray(titles)) {
+        return res.status(400).json({ error: 'Invalid request: titles array required' });
+      }
+
+      const duplicates = duplicateFinder(await db.getAllGames());
+      const entries = titles
+        .filter(title => typeof title === 'string' && title.trim() !== '')
+        .map(title => {
+          const game = { title: title.trim() };
+          const matches = duplicates.find(game);
+          duplicates.add(game);
+          return { title: game.title, matches };
+        });
+      const possibleDuplicates = entries.filter(entry => entry.matches.length > 0);
+
+      if (possibleDuplicates.length > 0 && !allowDuplicates && !skipDuplicates) {
+        return res.status(409).json({
+          error: `${possibleDuplicates.length} of ${entries.length} titles may already be in the collection`,
+          duplicates: possibleDuplicates
+        });
+      }
+
+      let createdCount = 0;
+      for (const entry of entries) {
+        if (skipDuplicates && !allowDuplicates && entry.matches.length > 0) continue;
+        const gameData = {
+          title: entry.title,
+          link: '',
+          rageRating: 0,
+          finished: false,
+          platform: '',
+          strikes: 0,
+          notes: '',
+          coverArtPath: null,
+          gameplayImagePath: null
+        };
+
+        await db.createGame(gameData, historySource(req));
+        createdCount++;
+      }
+
+      const skippedCount = entries.length - createdCount;
+      res.json({
+        createdCount,
+        skippedCount,
+        message: `Successfully created ${createdCount} new entries` + (skippedCount > 0 ? ` (${skippedCount} possible duplicates skipped)` : '')
+      });
+    } catch (error) {
+      console.error('Bulk create error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Pairs of games that look like duplicates, see duplicates.js
+  expressApp.get('/games/duplicates', async (req, res) => {
+    try {
+      const baseUrl = requestBaseUrl(req);
+      const pairs = findDuplicatePairs(await db.getAllGames());
+      res.json({
+        pairs: pairs.map(pair => ({ reason: pair.reason, games: pair.games.map(game => withAssetUrls(baseUrl, game)) }))
+      });
+    } catch (error) {
+      console.error('Error finding duplicates:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Combine two entries: `mergeId` is folded into `keepId` and moved to the
+  // trash. Photos and images the kept game takes over move into its folder.
+  expressApp.post('/games/merge', async (req, res) => {
+    const keepId = Number(req.body && req.body.keepId);
+    const mergeId = Number(req.body && req.body.mergeId);
+    if (!Number.isInteger(keepId) || !Number.isInteger(mergeId) || keepId === mergeId) {
+      return res.status(400).json({ error: 'keepId and mergeId must be the ids of two different games' });
+    }
+
+    try {
+      const [keep, merge] = await Promise.all([db.getGameById(keepId), db.getGameById(mergeId)]);
+      if (!keep || !merge) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      if (keep.activeSessionStartedAt && merge.activeSessionStartedAt) {
+        return res.status(409).json({ error: 'Both games have a running play session; stop one first' });
+      }
+
+      const plan = planGameMerge(keep, merge);
+      const { keyMap, undo } = moveAssetsToGame(plan.assetKeys, keep);
+      try {
+        await db.mergeGames(keep.id, merge.id, plan, keyMap, historySource(req));
+      } catch (error) {
+        undo();
+        throw error;
+      }
+
+      res.json({
+        message: `Merged "${merge.title}" into "${keep.title}"; "${merge.title}" is in the trash`,
+        game: withAssetUrls(requestBaseUrl(req), await db.getGameById(keep.id))
+      });
+    } catch (error) {
+      console.error('Error merging games:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // One change for many games at once, in a single transaction:
+  // { ids, patch } (see parseBulkPatch) or { ids, delete: true } to move them
+  // all to the trash
+  expressApp.post('/games/bulk-update', async (req, res) => {
+    const body = req.body || {};
+    if (!Array.isArray(body.ids) || body.ids.length === 0 || !body.ids.every(Number.isInteger)) {
+      return res.status(400).json({ error: 'ids must be a non-empty list of game ids' });
+    }
+    const ids = [...new Set(body.ids)];
+
+    let patch = null;
+    if (body.delete === true) {
+      if (body.patch !== undefined) {
+        return res.status(400).json({ error: 'Send either patch or delete, not both' });
+      }
+    } else {
+      const parsed = parseBulkPatch(body.patch);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      patch = parsed.patch;
+    }
+
+    try {
+      const existing = new Set((await db.getAllGames()).map(game => game.id));
+      const missing = ids.filter(id => !existing.has(id));
+      if (missing.length > 0) {
+        return res.status(404).json({ error: `Games not found: ${missing.join(', ')}`, missing });
+      }
+
+      if (!patch) {
+        const trashed = await db.deleteGames(ids, historySource(req));
+        return res.json({ trashed, message: `Moved ${trashed} games to the trash` });
+      }
+      const updated = await db.updateGames(ids, patch, historySource(req));
+      res.json({ updated, message: `Updated ${updated} games` });
+    } catch (error) {
+      console.error('Bulk update error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  expressApp.get('/games/:id(\\d+)', async (req, res) => {
+    try {
+      const game = await db.getGameById(req.params.id);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      res.json(withAssetUrls(requestBaseUrl(req), game));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+	expressApp.post('/games/update/:id', imageUpload.fields([
+	  { name: 'coverArt', maxCount: 1 },
+	  { name: 'gameplayImage', maxCount: 1 }
+	]), async (req, res) => {
+	  try {
+		const gameId = req.params.id;
+		const existingGame = await db.getGameById(gameId);
+		
+		if (!existingGame) {
+		  return res.status(404).json({ error: 'Game not found' });
+		}
+		
+		const gameData = {
+		  title: req.body.title,
+		  link: req.body.link || '',
+		  rageRating: parseInt(req.body.rageRating) || 0,
+		  finished: req.body.finished === 'true',
+		  is_checked: req.body.is_checked === 'true',
+		  platform: req.body.platform || '',
+		  strikes: parseInt(req.body.strikes) || 0,
+		  notes: req.body.notes || '',
+		  coverArtPath: existingGame.coverArtPath,
+		  gameplayImagePath: existingGame.gameplayImagePath,
+		  tags: req.body.tags !== undefined ? parseTagList(req.body.tags) : undefined
+		};
+		
+		// Handle file uploads
+		if (req.files && req.files.coverArt) {
+		  // Delete old file
+		  if (existingGame.coverArtPath) {
+			await removeAssets([existingGame.coverArtPath]);
+		  }
+		  gameData.coverArtPath = await storeUpload(req.files.coverArt[0], existingGame);
+		}
+		
+		if (req.files && req.files.gameplayImage) {
+		  // Delete old file
+		  if (existingGame.gameplayImagePath) {
+			await removeAssets([existingGame.gameplayImagePath]);
+		  }
+		  gameData.gameplayImagePath = await storeUpload(req.files.gameplayImage[0], existingGame);
+		}
+		
+		await db.updateGame(gameId, gameData, historySource(req));
+		res.json({ message: 'Game updated successfully' });
+	  } catch (error) {
+		console.error('Error updating game:', error);
+		res.status(500).json({ error: error.message });
+	  } finally {
+		removeUploadedFiles(req);
+	  }
+	});
+		
+  // Deleting only moves the game to the trash; files stay until it is purged
+  expressApp.delete('/games/delete/:id', async (req, res) => {
+    try {
+      const game = await db.getGameById(req.params.id);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      
+      await db.deleteGame(req.params.id, historySource(req));
+      res.json({ message: 'Game moved to trash' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  expressApp.post('/games/restore/:id', async (req, res) => {
+    try {
+      const restored = await db.restoreGame(req.params.id, historySource(req));
+      if (!restored) {
+        return res.status(404).json({ error: 'Game not found in trash' });
+      }
+      res.json({ message: 'Game restored successfully' });
+    } catch (error) {
+      console.error('Error restoring game:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  expressApp.delete('/games/purge/:id', async (req, res) => {
+    try {
+      const game = await db.getGameById(req.params.id, { includeDeleted: true });
+      if (!game || !game.deletedAt) {
+        return res.status(404).json({ error: 'Game not found in trash' });
+      }
+      
+      await purgeGame(game, historySource(req));
+      res.json({ message: 'Game deleted permanently' });
+    } catch (error) {
+      console.error('Error purging game:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  expressApp.get('/games/export', async (req, res) => {
+    try {
+      const games = await db.getAllGames();
+      const exportData = {
+        exportDate: new Date().toISOString(),
+        games: games
+      };
+      
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', 'attachment; filename="game_collection_export.json"');
+      res.json(exportData);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // CSV export for spreadsheets: ?columns=title,platform,... picks and orders
+  // the columns, ?bom=1 prefixes a byte order mark so Excel reads UTF-8
+  expressApp.get('/games/export/csv', async (req, res) => {
+    try {
+      const columns = req.query.columns
+        ? String(req.query.columns).split(',').map(column => column.trim()).filter(column => column !== '')
+        : Object.keys(EXPORT_COLUMNS);
+      const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+      if (columns.length === 0 || unknown.length > 0) {
+        return res.status(400).json({
+          error: `Invalid columns${unknown.length > 0 ? ` "${unknown.join(', ')}"` : ''}: expected any of ${Object.keys(EXPORT_COLUMNS).join(', ')}`
+        });
+      }
+
+      const { games } = await db.queryGames({ sort: 'title' });
+      const csv = gamesToCsv(games, columns, { bom: req.query.bom === '1' || req.query.bom === 'true' });
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="game_collection_export.csv"');
+      res.send(csv);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // Import: the file is planned first (see importer.js) and only applied when
+  // every entry is valid. The dry-run route returns the same plan untouched.
+  expressApp.post('/games/import/dry-run', jsonUpload.single('file'), async (req, res) => {
+    try {
+      const { plan, error } = await buildImportPlan(db, req.file && req.file.path, req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      res.json(plan);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    } finally {
+      removeUploadedFile(req.file);
+    }
+  });
+
+  expressApp.post('/games/import', jsonUpload.single('file'), async (req, res) => {
+    try {
+      const { plan, error } = await buildImportPlan(db, req.file && req.file.path, req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (plan.errors.length > 0) {
+        return res.status(400).json({ error: 'Import file has invalid games; nothing was imported', errors: plan.errors });
+      }
+
+      const result = await applyImport(plan, historySource(req));
+      processPendingImages();
+      res.json({
+        message: `Imported ${result.added} new and updated ${result.updated} existing games (${result.skipped} skipped)`,
+        ...result,
+        conflicts: plan.conflicts
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    } finally {
+      removeUploadedFile(req.file);
+    }
+  });
+
+  // CSV import in two steps: the preview returns the headers, the (guessed or
+  // given) column mapping, row-level validation errors and the import plan;
+  // the import itself only runs when every row is valid.
+  expressApp.post('/games/import/csv/preview', csvUpload.single('file'), async (req, res) => {
+    try {
+      const result = await buildCsvImport(db, req.file && req.file.path, req.body);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    } finally {
+      removeUploadedFile(req.file);
+    }
+  });
+
+  expressApp.post('/games/import/csv', csvUpload.single('file'), async (req, res) => {
+    try {
+      const result = await buildCsvImport(db, req.file && req.file.path, req.body);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      if (result.errors.length > 0) {
+        return res.status(400).json({ error: 'Some rows are invalid; nothing was imported', errors: result.errors });
+      }
+
+      const applied = await applyImport(result.plan, historySource(req));
+      res.json({
+        message: `Imported ${applied.added} new and updated ${applied.updated} existing games (${applied.skipped} skipped)`,
+        ...applied,
+        conflicts: result.plan.conflicts
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    } finally {
+      removeUploadedFile(req.file);
+    }
+  });
+
+  // Launcher libraries: the files are read by an adapter (see launchers.js)
+  // and added with planImport in add-only mode, so games already in the
+  // collection are skipped. `launcher` picks an adapter, otherwise the
+  // files are detected.
+  expressApp.get('/games/import/launchers', (req, res) => {
+    res.json(LAUNCHER_ADAPTERS.map(adapter => ({ id: adapter.id, name: adapter.name })));
+  });
+
+  expressApp.post('/games/import/launcher/preview', launcherUpload.array('files'), async (req, res) => {
+    try {
+      const result = await buildLauncherImport(db, req);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    } finally {
+      removeUploadedFiles(req);
+    }
+  });
+
+  expressApp.post('/games/import/launcher', launcherUpload.array('files'), async (req, res) => {
+    try {
+      const result = await buildLauncherImport(db, req);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      const applied = await applyImport(result.plan, historySource(req));
+      res.json({
+        message: `Imported ${applied.added} games from ${result.launcher.name} (${applied.skipped} already in the collection)`,
+        ...applied,
+        warnings: result.warnings
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    } finally {
+      removeUploadedFiles(req);
+    }
+  });
+
+  // Full backup: database, uploads and a checksummed manifest in one zip
+  expressApp.get('/backup/export', async (req, res) => {
+    try {
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="game_collection_backup_${date}.zip"`);
+      await createBackup(db, storageRoot, res);
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ error: error.message });
+      }
+    }
+  });
+
+  expressApp.post('/backup/restore', backupUpload.single('file'), async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      const { manifest, stagingDir, error } = await readBackup(req.file.path, storageRoot);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await restoreBackup(db, storageRoot, stagingDir, manifest);
+      processPendingImages();
+      res.json({
+        message: `Restored ${result.gameCount} games and ${result.fileCount} files from backup of ${manifest.createdAt}`,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      res.status(500).json({ error: error.message });
+    } finally {
+      removeUploadedFile(req.file);
+    }
+  });
+
+  // Storage integrity: the check only reports; cleanup takes the paths the
+  // user picked from the report (see integrity.js)
+  expressApp.get('/storage/check', async (req, res) => {
+    try {
+      res.json(await scanStorage(db, uploadsPath));
+    } catch (error) {
+      console.error('Error checking storage:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  expressApp.post('/storage/clean', async (req, res) => {
+    try {
+      const result = await cleanStorage(db, storageRoot, req.body || {}, historySource(req));
+      res.json({
+        message: `Moved ${result.quarantined.length} files to quarantine, removed ${result.clearedReferences} missing image references and ${result.removedFolders.length} empty folders`,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error cleaning storage:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+	
+  // Tags
+  expressApp.get('/tags/list', async (req, res) => {
+    try {
+      const tags = await db.getTags();
+      res.json(tags);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  expressApp.post('/tags/create', async (req, res) => {
+    try {
+      const [name] = parseTagList(req.body.name);
+      if (!name) {
+        return res.status(400).json({ error: 'Tag name is required' });
+      }
+      if (await db.getTagByName(name)) {
+        return res.status(409).json({ error: `Tag "${name}" already exists` });
+      }
+      
+      const tagId = await db.createTag(name);
+      res.json({ id: tagId, name, message: 'Tag created successfully' });
+    } catch (error) {
+      console.error('Error creating tag:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  expressApp.post('/tags/update/:id', async (req, res) => {
+    try {
+      const tag = await db.getTagById(req.params.id);
+      if (!tag) {
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+      
+      const [name] = parseTagList(req.body.name);
+      if (!name) {
+        return res.status(400).json({ error: 'Tag name is required' });
+      }
+      const existing = await db.getTagByName(name);
+      if (existing && existing.id !== tag.id) {
+        return res.status(409).json({ error: `Tag "${existing.name}" already exists - merge the tags instead` });
+      }
+      
+      await db.renameTag(tag.id, name);
+      res.json({ message: 'Tag renamed successfully' });
+    } catch (error) {
+      console.error('Error renaming tag:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  expressApp.post('/tags/merge', async (req, res) => {
+    try {
+      const { sourceId, targetId } = req.body;
+      const source = await db.getTagById(sourceId);
+      const target = await db.getTagById(targetId);
+      if (!source || !target) {
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+      if (source.id === target.id) {
+        return res.status(400).json({ error: 'Cannot merge a tag into itself' });
+      }
+      
+      await db.mergeTags(source.id, target.id);
+      res.json({ message: `Merged "${source.name}" into "${target.name}"` });
+    } catch (error) {
+      console.error('Error merging tags:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  expressApp.delete('/tags/delete/:id', async (req, res) => {
+    try {
+      const tag = await db.getTagById(req.params.id);
+      if (!tag) {
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+      
+      await db.deleteTag(tag.id);
+      res.json({ message: 'Tag deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Everything the dashboard shows, see stats.js
+  expressApp.get('/stats', async (req, res) => {
+    try {
+      res.json(await computeStatistics(db));
+    } catch (error) {
+      console.error('Error computing statistics:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Kept for older clients; /stats has these counts too
+  expressApp.get('/games/stats/checked', async (req, res) => {
+    try {
+      const { total } = await db.queryGames({ is_checked: true, limit: 0 });
+      res.json({ count: total });
+    } catch (error) {
+      console.error('Error getting checked count:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  expressApp.get('/games/stats/todo', async (req, res) => {
+    try {
+      const { total } = await db.queryGames({ is_checked: false, limit: 0 });
+      res.json({ count: total });
+    } catch (error) {
+      console.error('Error getting todo count:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  const host = remoteAccess || companionView ? REMOTE_HOST : LOOPBACK_HOST;
+  const server = portFallback ? await listenWithFallback(expressApp, host, port) : await listen(expressApp, host, port);
+  console.log(`Server running on ${host}:${server.address().port}${remoteAccess ? ' (remote access enabled)' : ''}`);
+
+  // Empty the trash of anything past its retention period, now and periodically
+  await purgeExpiredTrash();
+  trashPurgeTimer = setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL);
+
+  // Images without variants are processed in the background
+  processPendingImages();
+
+  return {
+    app: expressApp,
+    server,
+    port: server.address().port,
+    companion: companionView && {
+      getPairing: () => ({ code: companionView.getPairingCode(), urls: companionUrls(server.address().port) }),
+      resetPairing: () => companionView.resetPairing()
+    },
+    // Stops listening and purging; the database is the caller's to close
+    close() {
+      clearInterval(trashPurgeTimer);
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+// Optional per-session rage score: undefined when absent, null when invalid
+function parseSessionRage(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const rating = Number(value);
+  return Number.isInteger(rating) && rating >= 0 && rating <= Database.MAX_RAGE_RATING ? rating : null;
+}
+
+// Images are stored as asset keys; URLs are built for the allowed page the
+// request came from, or else for whichever host it came in on, so responses
+// stay valid on any port
+function requestBaseUrl(req) {
+  return req.res.locals.pageOrigin || `${req.protocol}://${req.get('host')}`;
+}
+
+// CORS for the given origins only. Requests from other pages get no CORS
+// headers, so the browser keeps their responses from them, and their
+// preflights are refused.
+function allowOrigins(origins) {
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    if (origin === undefined || !origins.includes(origin)) {
+      return req.method === 'OPTIONS' && origin !== undefined ? res.sendStatus(403) : next();
+    }
+
+    res.locals.pageOrigin = origin;
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Token');
+      return res.sendStatus(204);
+    }
+    next();
+  };
+}
+
+// Port from --port=<n>, then the PORT environment variable, then 3000
+function getConfiguredPort() {
+  const arg = process.argv.find(value => value.startsWith('--port='));
+  const value = arg ? arg.slice('--port='.length) : process.env.PORT;
+  const port = Number(value);
+  if (value !== undefined && value !== '' && (!Number.isInteger(port) || port < 0 || port > 65535)) {
+    console.warn(`Ignoring invalid port "${value}", using ${DEFAULT_PORT}`);
+    return DEFAULT_PORT;
+  }
+  return value ? port : DEFAULT_PORT;
+}
+
+function listen(expressApp, host, port) {
+  return new Promise((resolve, reject) => {
+    const listener = expressApp.listen(port, host);
+    listener.once('listening', () => resolve(listener));
+    listener.once('error', reject);
+  });
+}
+
+// Listen on `port`, or on the next free one when it is taken. After
+// PORT_ATTEMPTS ports the operating system picks one.
+function listenWithFallback(expressApp, host, port, attempt = 0) {
+  return new Promise((resolve, reject) => {
+    const candidate = attempt < PORT_ATTEMPTS ? port + attempt : 0;
+    const listener = expressApp.listen(candidate, host);
+    listener.once('listening', () => resolve(listener));
+    listener.once('error', (error) => {
+      if (error.code === 'EADDRINUSE' && candidate !== 0) {
+        console.warn(`Port ${candidate} is in use, trying ${attempt + 1 < PORT_ATTEMPTS ? port + attempt + 1 : 'a free port'}`);
+        resolve(listenWithFallback(expressApp, host, port, attempt + 1));
+      } else {
+        reject(error);
+      }
+    });
+  });
+}
+
+// Recorded in game_history so every change can be traced to the route that made it
+function historySource(req) {
+  return `${req.method} ${req.route.path}`;
+}
+
+const BULK_PATCH_FIELDS = ['platform', 'finished', 'is_checked', 'strikesDelta', 'addTags', 'removeTags'];
+
+// Validate the patch of /games/bulk-update. Returns { patch } or { error }.
+function parseBulkPatch(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return { error: 'patch must be an object' };
+  }
+  const unknown = Object.keys(patch).filter(field => !BULK_PATCH_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown patch fields "${unknown.join(', ')}": expected any of ${BULK_PATCH_FIELDS.join(', ')}` };
+  }
+
+  const parsed = {};
+  if (patch.platform !== undefined) {
+    if (typeof patch.platform !== 'string') {
+      return { error: 'Invalid platform: expected text' };
+    }
+    parsed.platform = patch.platform.trim();
+  }
+  for (const field of ['finished', 'is_checked']) {
+    if (patch[field] !== undefined) {
+      if (typeof patch[field] !== 'boolean') {
+        return { error: `Invalid ${field}: expected true or false` };
+      }
+      parsed[field] = patch[field];
+    }
+  }
+  if (patch.strikesDelta !== undefined) {
+    if (!Number.isInteger(patch.strikesDelta)) {
+      return { error: 'Invalid strikesDelta: expected a whole number' };
+    }
+    parsed.strikesDelta = patch.strikesDelta;
+  }
+  for (const field of ['addTags', 'removeTags']) {
+    if (patch[field] !== undefined) {
+      parsed[field] = parseTagList(patch[field]);
+    }
+  }
+
+  if (Object.keys(parsed).length === 0) {
+    return { error: 'patch changes nothing' };
+  }
+  return { patch: parsed };
+}
+
+// Read uploaded launcher library files into an add-only import plan
+async function buildLauncherImport(db, req) {
+  if (!req.files || req.files.length === 0) {
+    return { error: 'No files uploaded' };
+  }
+
+  const files = req.files.map(file => ({ name: file.originalname, content: fs.readFileSync(file.path, 'utf8') }));
+  const { adapter, games, warnings, error } = readLauncherFiles(files, req.body.launcher);
+  if (error) {
+    return { error };
+  }
+  if (games.length === 0) {
+    return { error: `No games found in the ${adapter.name} files${warnings.length > 0 ? `: ${warnings.join('; ')}` : ''}` };
+  }
+
+  const existingGames = await db.getAllGames();
+  const plan = planImport(existingGames, games, { mode: 'add-only' });
+  return {
+    launcher: { id: adapter.id, name: adapter.name },
+    warnings: [...warnings, ...plan.errors.map(entry => `${entry.title || `Entry ${entry.index + 1}`}: ${entry.error}`)],
+    plan
+  };
+}
+
+function removeUploadedFile(file) {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+}
+
+// Remove every file of a multi-field upload that a route did not keep
+function removeUploadedFiles(req) {
+  Object.values(req.files || {}).flat().forEach(removeUploadedFile);
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  createServer,
+  getConfiguredPort
+};
+
+// `node server.js [--port=<n>] [--data=<folder>]` serves the API without
+// Electron. better-sqlite3 must then be built for Node rather than for
+// Electron (`npm rebuild better-sqlite3`).
+if (require.main === module) {
+  require('dotenv').config();
+  const dataArg = process.argv.find(value => value.startsWith('--data='));
+  const storageRoot = path.resolve(dataArg ? dataArg.slice('--data='.length) : (process.env.GAME_COLLECTION_DATA || __dirname));
+  const db = new Database(path.join(storageRoot, 'games.db'));
+
+  db.initialize()
+    .then(() => createServer({
+      db,
+      storageRoot,
+      token: loadApiToken(storageRoot),
+      remoteAccess: getRemoteAccess(storageRoot),
+      companion: isCompanionEnabled(),
+      port: getConfiguredPort(),
+      portFallback: false
+    }))
+    .then(api => {
+      console.log(`Send the token from ${path.join(storageRoot, TOKEN_FILE)} with every request`);
+      if (api.companion) {
+        const { code, urls } = api.companion.getPairing();
+        console.log(`Companion view at ${urls.join(', ') || `port ${api.port}`}, pairing code ${code}`);
+      }
+      const shutdown = () => api.close().then(() => {
+        db.close();
+        process.exit(0);
+      });
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    })
+    .catch(error => {
+      console.error('Failed to start server:', error);
+      db.close();
+      process.exit(1);
+    });
+}
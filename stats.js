@@ -0,0 +1,132 @@
+// Collection statistics for the dashboard: completion overall and per
+// platform, rage rating and strike distributions, games added and finished
+// per month and the average time from adding a game to finishing it. Games in
+// the trash are left out.
+//
+// A game's finish date is the last edit in game_history that marked it
+// finished. Games created or imported as finished, or finished before history
+// was kept, have none; they count towards the completion rates but not
+// towards the monthly or time-to-finish figures.
+
+const { MAX_STRIKES, MAX_RAGE_RATING } = require('./database');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function rate(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+// [{ value, count }] for 0..max, plus any value outside that range that
+// occurs (e.g. from an old import)
+function distribution(values, max) {
+  const counts = new Map();
+  for (let value = 0; value <= max; value++) {
+    counts.set(value, 0);
+  }
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([value, count]) => ({ value, count }));
+}
+
+// "YYYY-MM" keys from the first to the last month, gaps included
+function monthRange(first, last) {
+  const months = [];
+  let [year, month] = first.split('-').map(Number);
+  for (let key = first; key <= last; key = `${year}-${String(month).padStart(2, '0')}`) {
+    months.push(key);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+}
+
+function perMonth(games) {
+  const added = new Map();
+  const finished = new Map();
+  const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+  games.forEach(game => {
+    if (game.dateAdded) count(added, game.dateAdded.slice(0, 7));
+    if (game.finishedAt) count(finished, game.finishedAt.slice(0, 7));
+  });
+
+  const keys = [...added.keys(), ...finished.keys()].sort();
+  if (keys.length === 0) {
+    return [];
+  }
+  return monthRange(keys[0], keys[keys.length - 1]).map(month => ({
+    month,
+    added: added.get(month) || 0,
+    finished: finished.get(month) || 0
+  }));
+}
+
+// Days between dateAdded (a plain date) and the finish date; a game finished
+// on the day it was added took 0 days
+function daysToFinish(game) {
+  const added = Date.parse(`${game.dateAdded.slice(0, 10)}T00:00:00Z`);
+  const finished = Date.parse(game.finishedAt);
+  if (Number.isNaN(added) || Number.isNaN(finished)) {
+    return null;
+  }
+  return Math.max(0, Math.floor((finished - added) / DAY));
+}
+
+async function computeStatistics(db) {
+  const rows = await db.getStatisticsData();
+  const games = rows.map(row => ({
+    platform: row.platform || '',
+    finished: Boolean(row.finished),
+    is_checked: Boolean(row.is_checked),
+    rageRating: row.rageRating || 0,
+    strikes: row.strikes || 0,
+    dateAdded: row.dateAdded || null,
+    finishedAt: row.finished ? row.finishedAt : null
+  }));
+
+  const finishedCount = games.filter(game => game.finished).length;
+  const checkedCount = games.filter(game => game.is_checked).length;
+
+  const platforms = new Map();
+  games.forEach(game => {
+    const entry = platforms.get(game.platform) || { platform: game.platform, total: 0, finished: 0 };
+    entry.total += 1;
+    if (game.finished) entry.finished += 1;
+    platforms.set(game.platform, entry);
+  });
+
+  const durations = games
+    .filter(game => game.finishedAt && game.dateAdded)
+    .map(daysToFinish)
+    .filter(days => days !== null);
+
+  return {
+    totals: {
+      games: games.length,
+      finished: finishedCount,
+      checked: checkedCount,
+      todo: games.length - checkedCount,
+      completionRate: rate(finishedCount, games.length)
+    },
+    // Most games first; games without a platform are listed as ''
+    platforms: [...platforms.values()]
+      .map(entry => ({ ...entry, completionRate: rate(entry.finished, entry.total) }))
+      .sort((a, b) => b.total - a.total || a.platform.localeCompare(b.platform)),
+    rageRatings: distribution(games.map(game => game.rageRating), MAX_RAGE_RATING),
+    strikes: distribution(games.map(game => game.strikes), MAX_STRIKES),
+    months: perMonth(games),
+    timeToFinish: {
+      games: durations.length,
+      averageDays: durations.length > 0
+        ? Math.round((durations.reduce((sum, days) => sum + days, 0) / durations.length) * 10) / 10
+        : null
+    }
+  };
+}
+
+module.exports = {
+  computeStatistics
+};
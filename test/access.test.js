@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, openDatabase, startServer } = require('./helpers');
+
+const APP_ORIGIN = 'app://collection';
+
+test('uploads need the API token like every other route', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir, { allowedOrigins: [APP_ORIGIN] });
+  fs.mkdirSync(path.join(dir, 'uploads', '1-portal'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'uploads', '1-portal', 'cover.png'), 'image');
+
+  const anonymous = await request('/uploads/1-portal/cover.png', { headers: { Authorization: '' } });
+  assert.equal(anonymous.status, 401);
+
+  const allowed = await request('/uploads/1-portal/cover.png');
+  assert.equal(allowed.status, 200);
+  assert.equal(await allowed.text(), 'image');
+});
+
+test('only the app origin gets CORS headers and image URLs on its own origin', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir, { allowedOrigins: [APP_ORIGIN] });
+  const id = db.insertGame({ title: 'Portal', coverArtPath: '1-portal/cover.png' });
+
+  const fromApp = await request(`/games/${id}`, { headers: { Origin: APP_ORIGIN } });
+  assert.equal(fromApp.headers.get('Access-Control-Allow-Origin'), APP_ORIGIN);
+  assert.equal((await fromApp.json()).coverArtPath, `${APP_ORIGIN}/uploads/1-portal/cover.png`);
+
+  for (const origin of ['null', 'file://', 'http://localhost:8080']) {
+    const response = await request(`/games/${id}`, { headers: { Origin: origin } });
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), null, origin);
+    assert.match((await response.json()).coverArtPath, /^http:\/\/127\.0\.0\.1:\d+\/uploads\/1-portal\/cover\.png$/);
+
+    const preflight = await request(`/games/${id}`, { method: 'OPTIONS', headers: { Origin: origin } });
+    assert.equal(preflight.status, 403, origin);
+  }
+});
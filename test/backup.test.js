@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { createBackup, readBackup } = require('../backup');
+const { tempDir, openDatabase, startServer, fileForm } = require('./helpers');
+
+function incomingFiles(dir) {
+  const incoming = path.join(dir, 'incoming');
+  return fs.existsSync(incoming) ? fs.readdirSync(incoming) : [];
+}
+
+test('a backup uploaded to /backup/restore replaces the collection', async (t) => {
+  const sourceDir = tempDir(t);
+  const source = await openDatabase(t, sourceDir);
+  await source.createGame({ title: 'From Backup' });
+  const archivePath = path.join(sourceDir, 'backup.zip');
+  await createBackup(source, sourceDir, fs.createWriteStream(archivePath));
+  const archive = fs.readFileSync(archivePath);
+
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  await db.createGame({ title: 'Before Restore' });
+  const request = await startServer(t, db, dir);
+
+  const response = await request('/backup/restore', { method: 'POST', body: fileForm('file', archive, 'backup.zip') });
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).gameCount, 1);
+  assert.deepEqual((await db.getAllGames()).map(game => game.title), ['From Backup']);
+  assert.deepEqual(incomingFiles(dir), []);
+});
+
+test('backup uploads over MAX_BACKUP_UPLOAD_MB are refused before reading them', async (t) => {
+  process.env.MAX_BACKUP_UPLOAD_MB = '0.01';
+  t.after(() => delete process.env.MAX_BACKUP_UPLOAD_MB);
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  await db.createGame({ title: 'Kept' });
+  const request = await startServer(t, db, dir);
+
+  const archive = Buffer.concat([Buffer.from('PK\x03\x04'), Buffer.alloc(64 * 1024)]);
+  const response = await request('/backup/restore', { method: 'POST', body: fileForm('file', archive, 'big.zip') });
+
+  assert.equal(response.status, 413);
+  assert.equal((await response.json()).code, 'FILE_TOO_LARGE');
+  assert.deepEqual((await db.getAllGames()).map(game => game.title), ['Kept']);
+  assert.deepEqual(incomingFiles(dir), []);
+});
+
+test('files that are not zip archives are refused', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+
+  const response = await request('/backup/restore', { method: 'POST', body: fileForm('file', '{"games": []}', 'backup.zip') });
+
+  assert.equal(response.status, 415);
+  assert.deepEqual(incomingFiles(dir), []);
+});
+
+async function writeBackup(db, dir) {
+  const archivePath = path.join(dir, `backup-${Date.now()}.zip`);
+  await createBackup(db, dir, fs.createWriteStream(archivePath));
+  return archivePath;
+}
+
+test('a backup carries the uploads along and restores them', async (t) => {
+  const sourceDir = tempDir(t);
+  const source = await openDatabase(t, sourceDir);
+  fs.mkdirSync(path.join(sourceDir, 'uploads', '1-portal'), { recursive: true });
+  fs.writeFileSync(path.join(sourceDir, 'uploads', '1-portal', 'cover.png'), 'cover');
+  await source.createGame({ title: 'Portal', coverArtPath: '1-portal/cover.png' });
+  const archivePath = await writeBackup(source, sourceDir);
+
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+  const response = await request('/backup/restore', {
+    method: 'POST',
+    body: fileForm('file', fs.readFileSync(archivePath), 'backup.zip')
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).fileCount, 1);
+  assert.equal(fs.readFileSync(path.join(dir, 'uploads', '1-portal', 'cover.png'), 'utf8'), 'cover');
+  assert.deepEqual(fs.readdirSync(dir).filter(name => name.startsWith('restore-')), []);
+});
+
+test('an archive whose files do not match the manifest is refused and nothing is staged', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const { files } = await createBackup(db, dir, fs.createWriteStream(path.join(dir, 'original.zip')));
+  const database = files.find(file => file.path === 'games.db');
+
+  const damagedPath = path.join(dir, 'damaged.zip');
+  const zip = archiver('zip');
+  const written = new Promise((resolve, reject) => {
+    zip.pipe(fs.createWriteStream(damagedPath)).on('close', resolve).on('error', reject);
+  });
+  zip.append(Buffer.alloc(database.size), { name: 'games.db' });
+  zip.append(JSON.stringify({ format: 'game-collection-backup', formatVersion: 1, schemaVersion: 1, files: [database] }), { name: 'manifest.json' });
+  zip.finalize();
+  await written;
+
+  const result = await readBackup(damagedPath, dir);
+  assert.match(result.error, /^Checksum mismatch for games\.db/);
+  assert.deepEqual(fs.readdirSync(dir).filter(name => name.startsWith('restore-')), []);
+});
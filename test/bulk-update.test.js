@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDir, openDatabase, startServer } = require('./helpers');
+
+async function setup(t) {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+  const bulkUpdate = (body) => request('/games/bulk-update', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { db, bulkUpdate };
+}
+
+test('a patch changes every selected game and nothing else', async (t) => {
+  const { db, bulkUpdate } = await setup(t);
+  const portal = await db.createGame({ title: 'Portal', platform: 'PC', tags: ['puzzle', 'Valve'] });
+  const hades = await db.createGame({ title: 'Hades', platform: 'PC', strikes: 3, tags: ['roguelike'] });
+  const celeste = await db.createGame({ title: 'Celeste', platform: 'Switch', strikes: 1 });
+
+  const response = await bulkUpdate({
+    ids: [portal, hades, portal],
+    patch: { platform: ' Steam Deck ', finished: true, strikesDelta: 1, addTags: ['backlog'], removeTags: ['VALVE'] }
+  });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).updated, 2);
+
+  const updatedPortal = await db.getGameById(portal);
+  assert.equal(updatedPortal.platform, 'Steam Deck');
+  assert.equal(updatedPortal.finished, true);
+  assert.equal(updatedPortal.strikes, 1);
+  assert.deepEqual([...updatedPortal.tags].sort(), ['backlog', 'puzzle']);
+
+  const updatedHades = await db.getGameById(hades);
+  assert.equal(updatedHades.strikes, 3, 'strikes stay within the three boxes');
+  assert.deepEqual([...updatedHades.tags].sort(), ['backlog', 'roguelike']);
+
+  const untouched = await db.getGameById(celeste);
+  assert.equal(untouched.platform, 'Switch');
+  assert.equal(untouched.finished, false);
+  assert.equal(untouched.strikes, 1);
+
+  const history = await db.getHistory(portal);
+  assert.ok(history.some(entry => entry.field === 'platform' && entry.source === 'POST /games/bulk-update'));
+});
+
+test('strikes never drop below zero', async (t) => {
+  const { db, bulkUpdate } = await setup(t);
+  const id = await db.createGame({ title: 'Portal', strikes: 1 });
+
+  const response = await bulkUpdate({ ids: [id], patch: { strikesDelta: -2 } });
+  assert.equal(response.status, 200);
+  assert.equal((await db.getGameById(id)).strikes, 0);
+});
+
+test('delete moves the selected games to the trash', async (t) => {
+  const { db, bulkUpdate } = await setup(t);
+  const portal = await db.createGame({ title: 'Portal' });
+  const hades = await db.createGame({ title: 'Hades' });
+  const celeste = await db.createGame({ title: 'Celeste' });
+
+  const response = await bulkUpdate({ ids: [portal, hades], delete: true });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).trashed, 2);
+  assert.deepEqual((await db.getAllGames()).map(game => game.id), [celeste]);
+  assert.deepEqual((await db.getTrashedGames()).map(game => game.id).sort(), [portal, hades].sort());
+});
+
+test('invalid requests are refused without changing anything', async (t) => {
+  const { db, bulkUpdate } = await setup(t);
+  const id = await db.createGame({ title: 'Portal', platform: 'PC' });
+
+  const invalid = [
+    {},
+    { ids: [], patch: { finished: true } },
+    { ids: ['1'], patch: { finished: true } },
+    { ids: [id] },
+    { ids: [id], patch: {} },
+    { ids: [id], patch: { title: 'Renamed' } },
+    { ids: [id], patch: { finished: 'yes' } },
+    { ids: [id], patch: { strikesDelta: 1.5 } },
+    { ids: [id], patch: { platform: 3 } },
+    { ids: [id], patch: { finished: true }, delete: true }
+  ];
+  for (const body of invalid) {
+    const response = await bulkUpdate(body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.ok((await response.json()).error);
+  }
+
+  const missing = await bulkUpdate({ ids: [id, 999], patch: { platform: 'Switch' } });
+  assert.equal(missing.status, 404);
+  assert.deepEqual((await missing.json()).missing, [999]);
+
+  await db.deleteGame(id);
+  const trashed = await bulkUpdate({ ids: [id], patch: { platform: 'Switch' } });
+  assert.equal(trashed.status, 404);
+
+  const [game] = await db.getTrashedGames();
+  assert.equal(game.platform, 'PC');
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { readBackup } = require('../backup');
+const { tempDir, openDatabase } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+// Run the CLI against the collection in `dir`; returns { status, stdout, stderr }
+function cli(dir, ...args) {
+  const env = { ...process.env };
+  delete env.GAME_COLLECTION_DATA;
+  return spawnSync(process.execPath, [CLI, `--data=${dir}`, ...args], { encoding: 'utf8', env, timeout: 30000 });
+}
+
+// Folder with an empty, migrated collection
+async function collection(t) {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  db.close();
+  return dir;
+}
+
+test('add, finish and list work and exit with 0', async (t) => {
+  const dir = await collection(t);
+
+  const added = cli(dir, 'add', 'Portal 2', '--platform=PC', '--tags=puzzle,co-op', '--format=json');
+  assert.equal(added.status, 0, added.stderr);
+  const game = JSON.parse(added.stdout);
+  assert.equal(game.title, 'Portal 2');
+  assert.deepEqual(game.tags, ['co-op', 'puzzle']);
+
+  assert.equal(cli(dir, 'finish', String(game.id)).status, 0);
+
+  const listed = cli(dir, 'list', '--finished=true', '--format=json');
+  assert.equal(listed.status, 0, listed.stderr);
+  assert.deepEqual(JSON.parse(listed.stdout).games.map(entry => entry.title), ['Portal 2']);
+});
+
+test('usage errors exit with 2', async (t) => {
+  const dir = await collection(t);
+
+  assert.equal(cli(dir).status, 2);
+  assert.equal(cli(dir, 'frobnicate').status, 2);
+  assert.equal(cli(dir, 'add').status, 2);
+  assert.equal(cli(dir, 'add', 'Halo', '--rageRating=7').status, 2);
+  assert.equal(cli(dir, 'list', '--format=xml').status, 2);
+  assert.equal(cli(dir, 'list', '--bogus').status, 2);
+  assert.equal(cli(dir, 'finish', 'abc').status, 2);
+
+  const missing = cli(path.join(dir, 'nowhere'), 'list');
+  assert.equal(missing.status, 2);
+  assert.match(missing.stderr, /No collection found/);
+  assert.equal(fs.existsSync(path.join(dir, 'nowhere')), false);
+});
+
+test('unknown games exit with 3', async (t) => {
+  const dir = await collection(t);
+
+  const result = cli(dir, 'finish', '42');
+  assert.equal(result.status, 3);
+  assert.match(result.stderr, /Game 42 not found/);
+});
+
+test('strikes past the limit and invalid import files exit with 4', async (t) => {
+  const dir = await collection(t);
+  const id = JSON.parse(cli(dir, 'add', 'Dark Souls', '--strikes=3', '--format=json').stdout).id;
+
+  const strike = cli(dir, 'strike', String(id));
+  assert.equal(strike.status, 4);
+  assert.match(strike.stderr, /already has 3 strikes/);
+  assert.equal(cli(dir, 'strike', String(id), '--remove').status, 0);
+
+  const file = path.join(dir, 'games.json');
+  fs.writeFileSync(file, JSON.stringify({ games: [{ title: '' }] }));
+  assert.equal(cli(dir, 'import', file).status, 4);
+  fs.writeFileSync(file, 'not json');
+  assert.equal(cli(dir, 'import', file).status, 4);
+});
+
+test('import --dry-run changes nothing', async (t) => {
+  const dir = await collection(t);
+  const file = path.join(dir, 'games.json');
+  fs.writeFileSync(file, JSON.stringify({ games: [{ title: 'Hades' }, { title: 'Celeste' }] }));
+
+  const dryRun = cli(dir, 'import', file, '--dry-run', '--format=json');
+  assert.equal(dryRun.status, 0, dryRun.stderr);
+  assert.equal(JSON.parse(dryRun.stdout).summary.added, 2);
+  assert.equal(JSON.parse(cli(dir, 'list', '--format=json').stdout).total, 0);
+
+  assert.equal(cli(dir, 'import', file).status, 0);
+  assert.equal(JSON.parse(cli(dir, 'list', '--format=json').stdout).total, 2);
+});
+
+test('backup writes an archive that passes the restore checks', async (t) => {
+  const dir = await collection(t);
+  assert.equal(cli(dir, 'add', 'Portal').status, 0);
+  const output = path.join(dir, 'backup.zip');
+
+  const result = cli(dir, 'backup', `--output=${output}`, '--format=json');
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(JSON.parse(result.stdout).size, fs.statSync(output).size);
+
+  const { manifest, stagingDir, error } = await readBackup(output, dir);
+  assert.equal(error, undefined);
+  assert.equal(manifest.gameCount, 1);
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+});
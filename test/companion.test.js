@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer } = require('../server');
+const { tempDir, openDatabase } = require('./helpers');
+
+const TOKEN = 'companion'.repeat(4);
+
+// Server with the companion view on; returns the pairing handle and
+// request(route, options) without any credentials added
+async function startCompanion(t, db, dir) {
+  const api = await createServer({ db, storageRoot: dir, token: TOKEN, companion: true, port: 0, portFallback: false });
+  t.after(() => api.close());
+  const request = (route, options = {}) => fetch(`http://127.0.0.1:${api.port}${route}`, options);
+  return { companion: api.companion, request };
+}
+
+function postJson(request, route, body, headers = {}) {
+  return request(route, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+// Pair with `code` and return the session cookie ("name=value")
+async function pair(request, code) {
+  const response = await postJson(request, '/companion/api/pair', { code });
+  assert.equal(response.status, 200);
+  return response.headers.get('Set-Cookie').split(';')[0];
+}
+
+test('the companion API needs a paired session and a new code signs phones out', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  await db.createGame({ title: 'Portal' });
+  const { companion, request } = await startCompanion(t, db, dir);
+
+  assert.equal((await request('/companion/api/games')).status, 401);
+  assert.equal((await postJson(request, '/companion/api/pair', { code: 'nope' })).status, 401);
+
+  const cookie = await pair(request, companion.getPairing().code);
+  const games = await request('/companion/api/games', { headers: { Cookie: cookie } });
+  assert.equal(games.status, 200);
+  assert.deepEqual((await games.json()).games.map(game => game.title), ['Portal']);
+
+  const newCode = companion.resetPairing();
+  assert.equal((await request('/companion/api/games', { headers: { Cookie: cookie } })).status, 401);
+  assert.equal(companion.getPairing().code, newCode);
+});
+
+test('too many wrong codes lock the address out, even for the right code', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const { companion, request } = await startCompanion(t, db, dir);
+  const { code } = companion.getPairing();
+  const wrong = code === '000000' ? '000001' : '000000';
+
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    assert.equal((await postJson(request, '/companion/api/pair', { code: wrong })).status, 401, `attempt ${attempt}`);
+  }
+  assert.equal((await postJson(request, '/companion/api/pair', { code })).status, 429);
+
+  // A new code lifts the lockout
+  await pair(request, companion.resetPairing());
+});
+
+test('a companion session only reaches the companion routes', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const id = await db.createGame({ title: 'Portal' });
+  const { companion, request } = await startCompanion(t, db, dir);
+  const cookie = await pair(request, companion.getPairing().code);
+
+  assert.equal((await request(`/games/${id}`, { headers: { Cookie: cookie } })).status, 401);
+  assert.equal((await request(`/games/${id}`, { method: 'DELETE', headers: { Cookie: cookie } })).status, 401);
+  assert.equal((await request('/companion/api/games', { headers: { Authorization: `Bearer ${TOKEN}` } })).status, 401,
+    'the API token is not a companion session');
+
+  assert.equal((await request(`/companion/api/games/${id}`, { method: 'DELETE', headers: { Cookie: cookie } })).status, 404);
+  assert.equal((await postJson(request, `/companion/api/games/${id}`, { title: 'Renamed' }, { Cookie: cookie })).status, 404);
+  assert.equal((await request(`/companion/api/games/${id}/strike`, {
+    method: 'POST', headers: { Cookie: cookie, 'Content-Type': 'text/plain' }, body: '{}'
+  })).status, 415);
+
+  const finished = await postJson(request, `/companion/api/games/${id}/finished`, { finished: true }, { Cookie: cookie });
+  assert.equal(finished.status, 200);
+  const strike = await postJson(request, `/companion/api/games/${id}/strike`, {}, { Cookie: cookie });
+  assert.equal((await strike.json()).strikes, 1);
+  const note = await postJson(request, `/companion/api/games/${id}/notes`, { content: ' From the couch ' }, { Cookie: cookie });
+  assert.deepEqual((await note.json()).additionalNotes.map(entry => entry.content), ['From the couch']);
+
+  const game = await db.getGameById(id);
+  assert.equal(game.title, 'Portal');
+  assert.equal(game.finished, true);
+  const sources = (await db.getHistory(id)).map(entry => entry.source).filter(Boolean);
+  assert.ok(sources.length > 0 && sources.every(source => source.startsWith('companion ')));
+});
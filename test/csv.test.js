@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, gamesToCsv, guessColumnMapping, rowsToGames } = require('../csv');
+const { buildCsvImport } = require('../importer');
+const { tempDir, openDatabase } = require('./helpers');
+
+test('quoted fields keep commas, doubled quotes and line breaks', () => {
+  const rows = parseCsv('title,notes\r\n"Portal, the first","Say ""cake""\nthen leave"\r\nHades,\r\n');
+  assert.deepEqual(rows, [
+    ['title', 'notes'],
+    ['Portal, the first', 'Say "cake"\nthen leave'],
+    ['Hades', '']
+  ]);
+});
+
+test('a byte order mark is dropped and the last line needs no line break', () => {
+  assert.deepEqual(parseCsv('\ufefftitle\nPortal'), [['title'], ['Portal']]);
+});
+
+test('blank lines are kept so row numbers match the spreadsheet', () => {
+  assert.deepEqual(parseCsv('title\n\nPortal\n'), [['title'], [''], ['Portal']]);
+});
+
+test('a quote that is never closed is an error', () => {
+  assert.throws(() => parseCsv('title\n"Portal\n'), /ends inside a quoted field/);
+});
+
+test('exported CSV reads back the same, byte order mark and all', () => {
+  const games = [
+    { title: ' Portal, 2 ', platform: 'PC', finished: true, tags: ['co-op', 'puzzle'], notes: 'Said "hi"\nthen left' }
+  ];
+  const csv = gamesToCsv(games, ['title', 'finished', 'tags', 'notes'], { bom: true });
+
+  assert.ok(csv.startsWith('\ufefftitle,finished,tags,notes\r\n'));
+  assert.deepEqual(parseCsv(csv), [
+    ['title', 'finished', 'tags', 'notes'],
+    [' Portal, 2 ', 'yes', 'co-op, puzzle', 'Said "hi"\nthen left']
+  ]);
+});
+
+test('headers are recognised whatever their case, spacing and separators', () => {
+  assert.deepEqual(guessColumnMapping(['Game Name', 'SYSTEM', 'is_checked', 'Rage-Rating', 'Genres', 'Unused']), {
+    title: 'Game Name',
+    platform: 'SYSTEM',
+    is_checked: 'is_checked',
+    rageRating: 'Rage-Rating',
+    tags: 'Genres'
+  });
+});
+
+test('every invalid cell of a row is reported with its row and column', () => {
+  const headers = ['Title', 'Finished', 'Strikes', 'Rage'];
+  const mapping = { title: 'Title', finished: 'Finished', strikes: 'Strikes', rageRating: 'Rage' };
+  const { games, errors } = rowsToGames(headers, [
+    ['Portal', 'yes', '1', '2'],
+    ['', 'maybe', '-1', '1.5'],
+    ['', '', '', ''],
+    ['Hades', '✓', '', '']
+  ], mapping);
+
+  assert.deepEqual(games.map(entry => [entry.row, entry.game.title, entry.game.finished]), [[2, 'Portal', true], [5, 'Hades', true]]);
+  assert.deepEqual(errors.map(entry => [entry.row, entry.column]), [
+    [3, 'Title'], [3, 'Finished'], [3, 'Strikes'], [3, 'Rage']
+  ]);
+});
+
+test('CSV imports refuse unknown mappings and files without a title column', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const file = path.join(dir, 'games.csv');
+  fs.writeFileSync(file, 'Name,Console\nPortal,PC\n');
+
+  assert.match((await buildCsvImport(db, file, { mapping: '{"colour": "Name"}' })).error, /unknown field "colour"/);
+  assert.match((await buildCsvImport(db, file, { mapping: '{"title": "Game"}' })).error, /no column "Game"/);
+  assert.match((await buildCsvImport(db, file, { mapping: '{' })).error, /expected a JSON object/);
+
+  const unmapped = await buildCsvImport(db, file, { mapping: '{"platform": "Console"}' });
+  assert.deepEqual(unmapped.errors.map(entry => entry.error), ['No column is mapped to title']);
+  assert.equal(unmapped.plan, null);
+
+  fs.writeFileSync(file, 'Name,Console\n"Portal,PC\n');
+  assert.match((await buildCsvImport(db, file, {})).error, /not valid CSV/);
+
+  fs.writeFileSync(file, '');
+  assert.equal((await buildCsvImport(db, file, {})).error, 'CSV file is empty');
+});
+
+test('a guessed mapping plans the import with spreadsheet row numbers', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  await db.createGame({ title: 'Portal' });
+  const file = path.join(dir, 'games.csv');
+  fs.writeFileSync(file, '\ufeffName,Console\r\nHades,PC\r\n\r\nPortal,PC\r\n');
+
+  const result = await buildCsvImport(db, file, { mode: 'add-only' });
+  assert.deepEqual(result.mapping, { title: 'Name', platform: 'Console' });
+  assert.equal(result.rowCount, 2);
+  assert.deepEqual(result.plan.added.map(entry => [entry.row, entry.title]), [[2, 'Hades']]);
+  assert.deepEqual(result.plan.skipped.map(entry => [entry.row, entry.title]), [[4, 'Portal']]);
+});
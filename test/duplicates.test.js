@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { comparableTitle, duplicateFinder, findDuplicatePairs, planGameMerge } = require('../duplicates');
+const { tempDir, openDatabase, startServer } = require('./helpers');
+
+let nextId = 1;
+function game(fields) {
+  return {
+    id: nextId++, title: '', link: '', platform: '', notes: '', tags: [],
+    additionalNotes: [], additionalPhotos: [], ...fields
+  };
+}
+
+function pairReason(a, b) {
+  const [pair] = findDuplicatePairs([game(a), game(b)]);
+  return pair ? pair.reason : null;
+}
+
+test('comparable titles drop punctuation, "The", editions and roman numerals', () => {
+  assert.equal(comparableTitle('The Witcher 3: Wild Hunt – GOTY Edition'), 'witcher 3 wild hunt');
+  assert.equal(comparableTitle('Final Fantasy VII Remastered'), 'final fantasy 7');
+  assert.equal(comparableTitle("Assassin's Creed II: Deluxe Edition"), 'assassins creed 2');
+  assert.equal(comparableTitle('Pokémon Ruby & Sapphire'), 'pokemon ruby and sapphire');
+  assert.equal(comparableTitle('Edition'), 'edition', 'a title is never stripped to nothing');
+});
+
+test('pairs are found by link, title, edition and typo', () => {
+  assert.equal(pairReason(
+    { title: 'Portal', link: 'https://www.store.example/portal/' },
+    { title: 'Portal (2007)', link: 'http://store.example/portal' }
+  ), 'Same link');
+  assert.equal(pairReason({ title: 'Hollow  Knight' }, { title: 'hollow knight' }), 'Same title');
+  assert.equal(pairReason({ title: 'Skyrim Special Edition' }, { title: 'Skyrim' }), 'Same title apart from edition or punctuation');
+  assert.equal(pairReason({ title: 'Disco Elysium' }, { title: 'Disco Elysim' }), 'Similar title');
+});
+
+test('sequels, short titles and other platforms are not duplicates', () => {
+  assert.equal(pairReason({ title: 'Halo 2' }, { title: 'Halo 3' }), null);
+  assert.equal(pairReason({ title: 'Assassins Creed 2' }, { title: 'Assassins Creed 3' }), null);
+  assert.equal(pairReason({ title: 'Limbo' }, { title: 'Limbi' }), null);
+  assert.equal(pairReason({ title: 'Celeste', platform: 'PC' }, { title: 'Celeste', platform: 'Switch' }), null);
+  assert.equal(pairReason({ title: 'Celeste', platform: 'PC' }, { title: 'Celeste' }), 'Same title');
+  assert.equal(pairReason(
+    { title: 'Celeste', platform: 'PC', link: 'https://celeste.example' },
+    { title: 'Celeste', platform: 'Switch', link: 'https://celeste.example' }
+  ), 'Same link');
+});
+
+test('pairs come in title order, each pair once', () => {
+  const pairs = findDuplicatePairs([
+    game({ title: 'Portal' }),
+    game({ title: 'Celeste' }),
+    game({ title: 'portal' }),
+    game({ title: 'CELESTE' }),
+    game({ title: 'Hades' })
+  ]);
+  assert.deepEqual(pairs.map(pair => pair.games.map(match => match.title)), [['Celeste', 'CELESTE'], ['Portal', 'portal']]);
+});
+
+test('the finder skips the candidate itself and sees games added later', () => {
+  const portal = game({ title: 'Portal', platform: 'PC' });
+  const finder = duplicateFinder([portal]);
+
+  assert.deepEqual(finder.find(portal), []);
+  assert.deepEqual(finder.find({ ...portal }), []);
+  assert.deepEqual(finder.find({ title: 'portal' }), [{ id: portal.id, title: 'Portal', platform: 'PC', reason: 'Same title' }]);
+
+  const first = { title: 'Hades' };
+  assert.deepEqual(finder.find(first), []);
+  finder.add(first);
+  assert.deepEqual(finder.find({ title: 'Hades' }).map(match => match.title), ['Hades']);
+});
+
+test('a merge plan fills gaps and keeps the higher values', () => {
+  const keep = game({
+    title: 'Portal', platform: 'PC', strikes: 2, rageRating: 1, notes: 'Great', tags: ['Puzzle'],
+    additionalNotes: [{ id: 1, content: 'Beat chapter 1' }],
+    additionalPhotos: [{ id: 1, path: '1-portal/shot.png' }]
+  });
+  const merge = game({
+    title: 'portal', link: 'https://portal.example', platform: 'Steam', finished: true, strikes: 1, rageRating: 3,
+    notes: 'Short', tags: ['puzzle', 'Valve'], coverArtPath: '2-portal/cover.png',
+    coverArt: { thumbPath: '2-portal/cover-thumb.webp', mediumPath: '2-portal/cover-medium.webp' },
+    additionalNotes: [{ id: 2, content: ' Beat chapter 1 ' }, { id: 3, content: 'Finished' }],
+    additionalPhotos: [{ id: 2, path: '1-portal/shot.png' }, { id: 3, path: '2-portal/end.png' }]
+  });
+
+  assert.deepEqual(planGameMerge(keep, merge), {
+    changes: {
+      link: 'https://portal.example',
+      coverArtPath: '2-portal/cover.png',
+      finished: true,
+      rageRating: 3,
+      notes: 'Great\n\nShort',
+      tags: ['Puzzle', 'Valve']
+    },
+    noteIds: [3],
+    photoIds: [3],
+    assetKeys: ['2-portal/cover.png', '2-portal/cover-thumb.webp', '2-portal/cover-medium.webp', '2-portal/end.png']
+  });
+});
+
+test('creating a likely duplicate needs confirmation', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+  const existing = await db.createGame({ title: 'The Witcher 3: Wild Hunt', platform: 'PC' });
+
+  const create = (fields) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+    return request('/games/create', { method: 'POST', body: form });
+  };
+
+  const refused = await create({ title: 'Witcher 3 Wild Hunt GOTY', platform: 'PC' });
+  assert.equal(refused.status, 409);
+  assert.deepEqual((await refused.json()).duplicates.map(match => match.id), [existing]);
+  assert.equal((await db.getAllGames()).length, 1);
+
+  const confirmed = await create({ title: 'Witcher 3 Wild Hunt GOTY', platform: 'PC', allowDuplicates: 'true' });
+  assert.equal(confirmed.status, 200);
+  assert.equal((await db.getAllGames()).length, 2);
+});
+
+test('merging folds one game into the other and trashes it', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+  const keepId = await db.createGame({ title: 'Portal', tags: ['Puzzle'] });
+  const mergeId = await db.createGame({ title: 'portal', finished: true, tags: ['Valve'], playtimeSeconds: 3600 });
+  await db.addNote(mergeId, { content: 'Cake was a lie' });
+  const merge = (body) => request('/games/merge', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  assert.equal((await merge({ keepId, mergeId: keepId })).status, 400);
+  assert.equal((await merge({ keepId, mergeId: 999 })).status, 404);
+
+  const response = await merge({ keepId, mergeId });
+  assert.equal(response.status, 200);
+  const { game: kept } = await response.json();
+  assert.equal(kept.finished, true);
+  assert.deepEqual(kept.tags, ['Puzzle', 'Valve']);
+  assert.deepEqual(kept.additionalNotes.map(note => note.content), ['Cake was a lie']);
+  assert.equal(kept.totalHoursPlayed, 1);
+
+  assert.deepEqual((await db.getAllGames()).map(game => game.id), [keepId]);
+  assert.deepEqual((await db.getTrashedGames()).map(game => game.id), [mergeId]);
+  const history = await db.getHistory(keepId);
+  assert.ok(history.some(entry => entry.action === 'merge'));
+});
@@ -0,0 +1,51 @@
+// Shared setup for the tests: throwaway data folders and databases in them.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../database');
+const { createServer } = require('../server');
+
+const TOKEN = 'test'.repeat(8);
+
+// Empty folder that is removed when the test `t` ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'game-collection-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Migrated games.db in `dir`, closed when the test `t` ends
+async function openDatabase(t, dir = tempDir(t)) {
+  const db = new Database(path.join(dir, 'games.db'), { log: () => {} });
+  await db.initialize();
+  t.after(() => db.close());
+  return db;
+}
+
+// API server for `db` on a free loopback port, stopped when the test `t`
+// ends; `options` go to createServer(). Returns request(route, options):
+// fetch() with the API token added.
+async function startServer(t, db, storageRoot, options = {}) {
+  const api = await createServer({ db, storageRoot, token: TOKEN, port: 0, portFallback: false, ...options });
+  t.after(() => api.close());
+  return (route, options = {}) => fetch(`http://127.0.0.1:${api.port}${route}`, {
+    ...options,
+    headers: { Authorization: `Bearer ${TOKEN}`, ...options.headers }
+  });
+}
+
+// Multipart body with one file in the form field `field`
+function fileForm(field, content, name, fields = {}) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  form.append(field, new Blob([content]), name);
+  return form;
+}
+
+module.exports = {
+  tempDir,
+  openDatabase,
+  startServer,
+  fileForm
+};
@@ -0,0 +1,235 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { planImport, buildCsvImport } = require('../importer');
+const { tempDir, openDatabase, startServer, fileForm } = require('./helpers');
+
+async function importGames(db, games, options) {
+  const plan = planImport(await db.getAllGames(), games, options);
+  return db.applyImportPlan(plan, 'test');
+}
+
+test('replace mode moves the current games to the trash', async (t) => {
+  const db = await openDatabase(t);
+  const oldId = await db.createGame({ title: 'Old Game' });
+
+  const result = await importGames(db, [{ title: 'New Game' }], { mode: 'replace' });
+
+  assert.deepEqual(result, { trashed: 1, added: 1, updated: 0, skipped: 0 });
+  assert.deepEqual((await db.getAllGames()).map(game => game.title), ['New Game']);
+  assert.deepEqual((await db.getTrashedGames()).map(game => game.id), [oldId]);
+  const [trashed] = await db.getHistory(oldId);
+  assert.equal(trashed.action, 'trash');
+  assert.equal(trashed.source, 'test');
+
+  assert.equal(await db.restoreGame(oldId), 1);
+  assert.equal((await db.getAllGames()).length, 2);
+});
+
+test('replace mode leaves games already in the trash alone', async (t) => {
+  const db = await openDatabase(t);
+  const id = await db.createGame({ title: 'Trashed Game' });
+  await db.deleteGame(id);
+
+  const result = await importGames(db, [{ title: 'New Game' }], { mode: 'replace' });
+
+  assert.equal(result.trashed, 0);
+  assert.equal((await db.getHistory(id)).filter(row => row.action === 'trash').length, 1);
+});
+
+test('overwrite mode can set finished to false and strikes to 0', async (t) => {
+  const db = await openDatabase(t);
+  const id = await db.createGame({ title: 'Done Game', finished: true, strikes: 2 });
+
+  const result = await importGames(db, [{ title: 'Done Game', finished: false, strikes: 0 }], {
+    mode: 'merge',
+    conflictPolicy: 'overwrite'
+  });
+
+  assert.equal(result.updated, 1);
+  const game = await db.getGameById(id);
+  assert.equal(game.finished, false);
+  assert.equal(game.strikes, 0);
+});
+
+test('keep mode reports false and 0 as conflicts instead of skipping them', async (t) => {
+  const db = await openDatabase(t);
+  await db.createGame({ title: 'Done Game', finished: true, strikes: 2 });
+
+  const plan = planImport(await db.getAllGames(), [{ title: 'Done Game', finished: false, strikes: 0 }], {
+    mode: 'merge',
+    conflictPolicy: 'keep'
+  });
+
+  assert.deepEqual(plan.conflicts.map(conflict => [conflict.field, conflict.incoming, conflict.resolution]), [
+    ['finished', false, 'keep'],
+    ['strikes', 0, 'keep']
+  ]);
+  assert.equal(plan.updated.length, 0);
+});
+
+test('fields missing from the import file are left alone', async (t) => {
+  const db = await openDatabase(t);
+  const id = await db.createGame({ title: 'Done Game', finished: true, strikes: 2, platform: 'PC' });
+
+  const result = await importGames(db, [{ title: 'Done Game', platform: 'Switch' }], {
+    mode: 'merge',
+    conflictPolicy: 'overwrite'
+  });
+
+  assert.equal(result.updated, 1);
+  const game = await db.getGameById(id);
+  assert.equal(game.platform, 'Switch');
+  assert.equal(game.finished, true);
+  assert.equal(game.strikes, 2);
+});
+
+test('blank CSV cells are left alone and filled CSV cells overwrite', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const id = await db.createGame({ title: 'Done Game', finished: true, strikes: 2, rageRating: 3 });
+  const file = path.join(dir, 'games.csv');
+  fs.writeFileSync(file, 'Title,Finished,Strikes,Rage rating\nDone Game,no,,0\nNew Game,,,\n');
+
+  const { plan, errors } = await buildCsvImport(db, file, { mode: 'merge', conflictPolicy: 'overwrite' });
+  assert.deepEqual(errors, []);
+  await db.applyImportPlan(plan);
+
+  const game = await db.getGameById(id);
+  assert.equal(game.finished, false);
+  assert.equal(game.strikes, 2);
+  assert.equal(game.rageRating, 0);
+  const added = (await db.getAllGames()).find(entry => entry.title === 'New Game');
+  assert.equal(added.finished, false);
+  assert.equal(added.strikes, 0);
+});
+
+test('purging the old games after a replace import keeps the new games\' images', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+  const uploads = path.join(dir, 'uploads');
+  fs.mkdirSync(path.join(uploads, '1-old'), { recursive: true });
+  fs.writeFileSync(path.join(uploads, '1-old', 'cover_x.png'), 'cover');
+  fs.writeFileSync(path.join(uploads, '1-old', 'shot.png'), 'shot');
+  const oldId = await db.createGame({
+    title: 'Old',
+    coverArtPath: '1-old/cover_x.png',
+    additionalPhotos: [{ path: '1-old/shot.png' }]
+  });
+
+  const exported = await (await request('/games/export')).text();
+  const imported = await request('/games/import', {
+    method: 'POST',
+    body: fileForm('file', exported, 'export.json', { mode: 'replace' })
+  });
+  assert.equal(imported.status, 200);
+  assert.equal((await request(`/games/purge/${oldId}`, { method: 'DELETE' })).status, 200);
+
+  const [game] = await db.getAllGames();
+  assert.notEqual(game.id, oldId);
+  assert.ok(game.coverArtPath.startsWith(`${game.id}-old/`));
+  assert.equal(fs.readFileSync(path.join(uploads, ...game.coverArtPath.split('/')), 'utf8'), 'cover');
+  assert.equal(fs.readFileSync(path.join(uploads, ...game.additionalPhotos[0].path.split('/')), 'utf8'), 'shot');
+  assert.equal(fs.existsSync(path.join(uploads, '1-old')), false);
+});
+
+test('purging a game leaves files another game still refers to', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+  const uploads = path.join(dir, 'uploads');
+  fs.mkdirSync(path.join(uploads, '1-old'), { recursive: true });
+  fs.writeFileSync(path.join(uploads, '1-old', 'cover.png'), 'cover');
+  fs.writeFileSync(path.join(uploads, '1-old', 'own.png'), 'own');
+  const oldId = await db.createGame({ title: 'Old', coverArtPath: '1-old/own.png' });
+  const otherId = await db.createGame({ title: 'Other', coverArtPath: '1-old/cover.png' });
+
+  await db.deleteGame(oldId);
+  assert.equal((await request(`/games/purge/${oldId}`, { method: 'DELETE' })).status, 200);
+
+  assert.equal((await db.getGameById(otherId)).coverArtPath, '1-old/cover.png');
+  assert.equal(fs.existsSync(path.join(uploads, '1-old', 'cover.png')), true);
+  assert.equal(fs.existsSync(path.join(uploads, '1-old', 'own.png')), false);
+});
+
+test('imported image keys that are missing or unsafe are not stored', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+  const uploads = path.join(dir, 'uploads');
+  fs.mkdirSync(path.join(uploads, '7-elsewhere'), { recursive: true });
+  fs.writeFileSync(path.join(uploads, '7-elsewhere', 'shot.png'), 'shot');
+  const keptId = await db.createGame({ title: 'Kept', coverArtPath: '1-kept/cover.png' });
+
+  const file = JSON.stringify({
+    games: [
+      {
+        title: 'Kept',
+        coverArtPath: '../../etc/passwd',
+        gameplayImagePath: '1-kept/missing.png',
+        additionalPhotos: [{ path: '7-elsewhere/shot.png' }, { path: 'nowhere/gone.png' }]
+      },
+      { title: 'New', coverArtPath: 'http://localhost:3000/uploads/9-new/missing.png', additionalPhotos: [{ path: '..\\x.png' }] }
+    ]
+  });
+  const imported = await request('/games/import', {
+    method: 'POST',
+    body: fileForm('file', file, 'export.json', { mode: 'merge', conflict: 'overwrite' })
+  });
+  assert.equal(imported.status, 200);
+
+  const kept = await db.getGameById(keptId);
+  assert.equal(kept.coverArtPath, '1-kept/cover.png');
+  assert.equal(kept.gameplayImagePath, null);
+  assert.deepEqual(kept.additionalPhotos.map(photo => photo.path), [`${keptId}-kept/shot.png`]);
+  assert.equal(fs.readFileSync(path.join(uploads, `${keptId}-kept`, 'shot.png'), 'utf8'), 'shot');
+
+  const added = (await db.getAllGames()).find(game => game.title === 'New');
+  assert.equal(added.coverArtPath, null);
+  assert.deepEqual(added.additionalPhotos, []);
+});
+
+test('purging a game leaves folders that only start with its id alone', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+  const uploads = path.join(dir, 'uploads');
+  fs.mkdirSync(path.join(uploads, '1-portal'), { recursive: true });
+  fs.mkdirSync(path.join(uploads, '1-2-switch'), { recursive: true });
+  fs.writeFileSync(path.join(uploads, '1-portal', 'cover.png'), 'cover');
+  fs.writeFileSync(path.join(uploads, '1-2-switch', 'legacy.png'), 'legacy');
+  const id = await db.createGame({ title: 'Portal', coverArtPath: '1-portal/cover.png' });
+  assert.equal(id, 1);
+
+  await db.deleteGame(id);
+  assert.equal((await request(`/games/purge/${id}`, { method: 'DELETE' })).status, 200);
+
+  assert.equal(fs.existsSync(path.join(uploads, '1-portal')), false);
+  assert.equal(fs.readFileSync(path.join(uploads, '1-2-switch', 'legacy.png'), 'utf8'), 'legacy');
+});
+
+test('strikes and rage ratings above the limits are import errors', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const plan = planImport(await db.getAllGames(), [
+    { title: 'Struck Out', strikes: 4 },
+    { title: 'Furious', rageRating: 4 },
+    { title: 'Fine', strikes: 3, rageRating: 3 }
+  ], { mode: 'merge' });
+
+  assert.deepEqual(plan.errors.map(entry => [entry.title, entry.error]), [
+    ['Struck Out', 'Invalid strikes "4": expected 0-3'],
+    ['Furious', 'Invalid rageRating "4": expected 0-3']
+  ]);
+  assert.deepEqual(plan.added.map(entry => entry.game.title), ['Fine']);
+
+  const file = path.join(dir, 'games.csv');
+  fs.writeFileSync(file, 'Title,Strikes,Rage rating\nStruck Out,4,0\nFurious,0,4\n');
+  const { errors } = await buildCsvImport(db, file, { mode: 'merge' });
+  assert.deepEqual(errors.map(entry => [entry.row, entry.error]), [
+    [2, '"4" is not a number of strikes from 0 to 3'],
+    [3, '"4" is not a rating from 0 to 3']
+  ]);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { scanStorage, cleanStorage } = require('../integrity');
+const { tempDir, openDatabase, startServer } = require('./helpers');
+
+// Write `content` to the asset `key` under uploads/
+function writeAsset(dir, key, content = key) {
+  const file = path.join(dir, 'uploads', ...key.split('/'));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+// Game with a processed cover, an additional photo, a cover that is gone and
+// an untouched folder, plus one stray file and one empty folder
+async function damagedStorage(t) {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const id = await db.createGame({ title: 'Portal', coverArtPath: '1-portal/cover.png' });
+  await db.saveImage('1-portal/cover.png', { thumbPath: '1-portal/cover-thumb.webp', mediumPath: '1-portal/cover-medium.webp' });
+  await db.addPhoto(id, { path: '1-portal/shot.png' });
+  const missingId = await db.createGame({ title: 'Hades', coverArtPath: '2-hades/cover.png', gameplayImagePath: '2-hades/play.png' });
+  writeAsset(dir, '2-hades/play.png');
+
+  ['1-portal/cover.png', '1-portal/cover-thumb.webp', '1-portal/cover-medium.webp', '1-portal/shot.png'].forEach(key => writeAsset(dir, key));
+  writeAsset(dir, '1-portal/.DS_Store');
+  writeAsset(dir, '9-gone/stray.png', 'stray');
+  fs.mkdirSync(path.join(dir, 'uploads', '3-empty', 'inner'), { recursive: true });
+  return { dir, db, id, missingId };
+}
+
+test('the check reports orphans, missing files and empty folders', async (t) => {
+  const { dir, db, missingId } = await damagedStorage(t);
+
+  const report = await scanStorage(db, path.join(dir, 'uploads'));
+  assert.deepEqual(report.orphanedFiles, [{ path: '9-gone/stray.png', size: 5 }]);
+  assert.deepEqual(report.missingFiles, [
+    { gameId: missingId, title: 'Hades', field: 'coverArtPath', path: '2-hades/cover.png', photoId: null }
+  ]);
+  assert.deepEqual(report.emptyFolders, ['3-empty']);
+});
+
+test('a storage without an uploads folder is clean', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+
+  const report = await scanStorage(db, path.join(dir, 'uploads'));
+  assert.deepEqual([report.orphanedFiles, report.missingFiles, report.emptyFolders], [[], [], []]);
+});
+
+test('cleaning quarantines orphans and only touches what was selected', async (t) => {
+  const { dir, db, missingId } = await damagedStorage(t);
+
+  const result = await cleanStorage(db, dir, {
+    orphanedFiles: ['9-gone/stray.png', '1-portal/cover.png'],
+    missingFiles: ['2-hades/cover.png'],
+    emptyFolders: []
+  });
+
+  assert.deepEqual(result.quarantined, ['9-gone/stray.png'], 'referenced files are never quarantined');
+  assert.equal(path.dirname(result.quarantinePath), path.join(dir, 'quarantine'));
+  assert.equal(fs.readFileSync(path.join(result.quarantinePath, '9-gone', 'stray.png'), 'utf8'), 'stray');
+  assert.ok(!fs.existsSync(path.join(dir, 'uploads', '9-gone', 'stray.png')));
+  assert.ok(fs.existsSync(path.join(dir, 'uploads', '1-portal', 'cover.png')));
+
+  assert.equal(result.clearedReferences, 1);
+  const hades = await db.getGameById(missingId);
+  assert.equal(hades.coverArtPath, null);
+  assert.equal(hades.gameplayImagePath, '2-hades/play.png');
+  assert.ok((await db.getHistory(missingId)).some(entry => entry.field === 'coverArtPath'));
+
+  assert.deepEqual(result.removedFolders, []);
+  assert.ok(fs.existsSync(path.join(dir, 'uploads', '3-empty')));
+
+  const report = await scanStorage(db, path.join(dir, 'uploads'));
+  assert.deepEqual(report.missingFiles, []);
+  assert.deepEqual(report.emptyFolders, ['3-empty', '9-gone']);
+});
+
+test('the storage routes check and clean, nothing is deleted by a check', async (t) => {
+  const { dir, db, id } = await damagedStorage(t);
+  const request = await startServer(t, db, dir);
+
+  const check = await request('/storage/check');
+  assert.equal(check.status, 200);
+  assert.equal((await check.json()).orphanedFiles.length, 1);
+  assert.ok(fs.existsSync(path.join(dir, 'uploads', '9-gone', 'stray.png')));
+  assert.ok(!fs.existsSync(path.join(dir, 'quarantine')));
+
+  fs.rmSync(path.join(dir, 'uploads', '1-portal', 'shot.png'));
+  const clean = await request('/storage/clean', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ orphanedFiles: ['9-gone/stray.png'], missingFiles: ['1-portal/shot.png'], emptyFolders: ['3-empty'] })
+  });
+  assert.equal(clean.status, 200);
+  const result = await clean.json();
+  assert.equal(result.message, 'Moved 1 files to quarantine, removed 1 missing image references and 1 empty folders');
+  assert.deepEqual((await db.getGameById(id)).additionalPhotos, []);
+  assert.ok(!fs.existsSync(path.join(dir, 'uploads', '3-empty')));
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseVdf, readLauncherFiles } = require('../launchers');
+const { planImport } = require('../importer');
+const { tempDir, openDatabase, startServer } = require('./helpers');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'launchers');
+
+// Fixture files as the upload route passes them to the adapters
+function fixtureFiles(...names) {
+  return names.map(name => ({
+    name: path.basename(name),
+    content: fs.readFileSync(path.join(FIXTURES, name), 'utf8')
+  }));
+}
+
+function summary(games) {
+  return games.map(game => ({ title: game.title, platform: game.platform, link: game.link, playtimeSeconds: game.playtimeSeconds }));
+}
+
+test('parseVdf reads nested keys, escapes and comments', () => {
+  const data = parseVdf('// comment\n"a"\n{\n\t"b"\t"say \\"hi\\""\n\tc { d "1" }\n}\n');
+  assert.deepEqual(data, { a: { b: 'say "hi"', c: { d: '1' } } });
+  assert.throws(() => parseVdf('"a" { "b" "1"'), /Unexpected end of VDF file/);
+});
+
+test('Steam app manifests give titles, app ids and localconfig playtime', () => {
+  const result = readLauncherFiles(fixtureFiles(
+    'steam/appmanifest_620.acf',
+    'steam/appmanifest_1145360.acf',
+    'steam/appmanifest_1493710.acf',
+    'steam/libraryfolders.vdf',
+    'steam/localconfig.vdf'
+  ));
+
+  assert.equal(result.adapter.id, 'steam');
+  assert.deepEqual(summary(result.games), [
+    { title: 'Portal 2', platform: 'Steam', link: 'https://store.steampowered.com/app/620', playtimeSeconds: 754 * 60 },
+    { title: 'Hades', platform: 'Steam', link: 'https://store.steampowered.com/app/1145360', playtimeSeconds: 0 }
+  ]);
+  // 292030 is installed but its manifest was not uploaded
+  assert.equal(result.warnings.length, 1);
+  assert.match(result.warnings[0], /no appmanifest_<id>\.acf file .*: 292030$/);
+});
+
+test('Playnite exports give titles, sources, links, completion, tags and playtime', () => {
+  const result = readLauncherFiles(fixtureFiles('playnite.json'));
+
+  assert.equal(result.adapter.id, 'playnite');
+  assert.deepEqual(summary(result.games), [
+    { title: 'Hollow Knight', platform: 'Steam', link: 'https://store.steampowered.com/app/367520', playtimeSeconds: 151200 },
+    { title: 'Celeste', platform: 'Nintendo Switch', link: '', playtimeSeconds: 0 }
+  ]);
+  assert.equal(result.games[0].finished, true);
+  assert.equal(result.games[1].finished, false);
+  assert.deepEqual(result.games[0].tags, ['Metroidvania', 'Indie']);
+  assert.equal(result.games[0].notes, 'True ending');
+});
+
+test('Heroic libraries give titles and store links and leave out DLC', () => {
+  const result = readLauncherFiles(fixtureFiles('heroic.json'));
+
+  assert.equal(result.adapter.id, 'heroic');
+  assert.deepEqual(summary(result.games), [
+    { title: 'Fortnite', platform: 'Epic Games Store', link: 'https://store.epicgames.com/p/fortnite', playtimeSeconds: undefined },
+    { title: 'Cyberpunk 2077', platform: 'GOG', link: 'https://www.gog.com/game/cyberpunk_2077', playtimeSeconds: undefined }
+  ]);
+});
+
+test('Lutris lists give titles, slugs and playtime in either format', () => {
+  const result = readLauncherFiles(fixtureFiles('lutris.json'));
+
+  assert.equal(result.adapter.id, 'lutris');
+  assert.deepEqual(summary(result.games), [
+    { title: 'Stardew Valley', platform: 'Linux', link: 'https://lutris.net/games/stardew-valley/', playtimeSeconds: 12.5 * 3600 },
+    { title: 'Diablo II', platform: 'PC', link: 'https://lutris.net/games/diablo-ii/', playtimeSeconds: 2.5 * 3600 }
+  ]);
+});
+
+test('GOG Galaxy exports give titles, platforms, tags and playtime', () => {
+  const result = readLauncherFiles(fixtureFiles('gog.csv'));
+
+  assert.equal(result.adapter.id, 'gog');
+  assert.deepEqual(summary(result.games), [
+    { title: 'The Witcher 3: Wild Hunt', platform: 'GOG', link: undefined, playtimeSeconds: 4500 * 60 },
+    { title: 'Death Stranding', platform: 'Steam', link: undefined, playtimeSeconds: 0 }
+  ]);
+  assert.deepEqual(result.games[0].tags, ['RPG', 'Open World']);
+});
+
+test('an unknown launcher id and unrecognised files are errors', () => {
+  assert.match(readLauncherFiles(fixtureFiles('gog.csv'), 'epic').error, /Unknown launcher "epic"/);
+  assert.match(readLauncherFiles([{ name: 'notes.txt', content: 'hello' }]).error, /not recognised/);
+});
+
+test('imported playtime becomes a logged session and games already there are skipped', async (t) => {
+  const db = await openDatabase(t);
+  await db.createGame({ title: 'Celeste', platform: 'Nintendo Switch' });
+  const { games } = readLauncherFiles(fixtureFiles('playnite.json'));
+
+  const plan = planImport(await db.getAllGames(), games, { mode: 'add-only' });
+  assert.deepEqual(plan.skipped.map(entry => entry.title), ['Celeste']);
+  await db.applyImportPlan(plan);
+
+  const knight = (await db.getAllGames()).find(game => game.title === 'Hollow Knight');
+  assert.equal(knight.totalHoursPlayed, 42);
+  const [session] = await db.getSessions(knight.id);
+  assert.equal(session.durationSeconds, 151200);
+
+  const again = planImport(await db.getAllGames(), games, { mode: 'add-only' });
+  assert.equal(again.added.length, 0);
+  assert.equal(again.skipped.length, 2);
+});
+
+test('launcher uploads are checked like other uploads and never left behind', async (t) => {
+  process.env.MAX_LAUNCHER_UPLOAD_MB = '0.01';
+  t.after(() => delete process.env.MAX_LAUNCHER_UPLOAD_MB);
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+  const upload = (...files) => {
+    const form = new FormData();
+    files.forEach(([content, name]) => form.append('files', new Blob([content]), name));
+    return request('/games/import/launcher', { method: 'POST', body: form });
+  };
+  const incoming = () => fs.readdirSync(path.join(dir, 'incoming'));
+
+  const [playnite] = fixtureFiles('playnite.json');
+  const imported = await upload([playnite.content, playnite.name]);
+  assert.equal(imported.status, 200);
+  assert.equal((await imported.json()).added, 2);
+
+  const binary = await upload([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0]), 'library.json']);
+  assert.equal(binary.status, 415);
+  assert.equal((await binary.json()).code, 'UNSUPPORTED_TYPE');
+
+  const half = 'x'.repeat(6 * 1024);
+  const large = await upload([half, 'a.acf'], [half, 'b.acf']);
+  assert.equal(large.status, 413);
+  assert.equal((await large.json()).code, 'FILE_TOO_LARGE');
+
+  assert.deepEqual(incoming(), []);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SQLite = require('better-sqlite3');
+const Database = require('../database');
+const migrations = require('../migrations');
+const { tempDir, openDatabase } = require('./helpers');
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+// games.db as the app wrote it before migrations existed: photos and notes as
+// JSON columns, upload URLs and title-named upload folders
+function createLegacyDatabase(dir) {
+  const db = new SQLite(path.join(dir, 'games.db'));
+  db.exec(`
+    CREATE TABLE games (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      link TEXT,
+      rageRating INTEGER DEFAULT 0,
+      finished BOOLEAN DEFAULT FALSE,
+      is_checked BOOLEAN DEFAULT FALSE,
+      platform TEXT,
+      strikes INTEGER DEFAULT 0,
+      notes TEXT,
+      coverArtPath TEXT,
+      gameplayImagePath TEXT,
+      dateAdded DATE DEFAULT CURRENT_DATE,
+      additionalPhotos TEXT,
+      additionalNotes TEXT
+    )
+  `);
+  db.prepare(`
+    INSERT INTO games (title, platform, coverArtPath, additionalPhotos, additionalNotes)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    'Old Title',
+    'PC',
+    'http://localhost:3000/uploads/Old_Title/cover.png',
+    JSON.stringify([{ path: 'http://localhost:3000/uploads/Old_Title/shot.png', filename: 'shot.png' }]),
+    JSON.stringify([{ content: 'first note' }, { content: 'second note' }])
+  );
+  db.close();
+
+  const folder = path.join(dir, 'uploads', 'Old_Title');
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(path.join(folder, 'cover.png'), 'cover');
+  fs.writeFileSync(path.join(folder, 'shot.png'), 'shot');
+}
+
+test('a new database is created at the latest schema version', async (t) => {
+  const db = await openDatabase(t);
+
+  assert.equal(db.getSchemaVersion(), LATEST_VERSION);
+  const id = await db.createGame({ title: 'Fresh' });
+  assert.equal((await db.getGameById(id)).title, 'Fresh');
+});
+
+test('a legacy database is migrated with its photos, notes and files', async (t) => {
+  const dir = tempDir(t);
+  createLegacyDatabase(dir);
+
+  const db = await openDatabase(t, dir);
+
+  assert.equal(db.getSchemaVersion(), LATEST_VERSION);
+  const game = await db.getGameById(1);
+  assert.equal(game.coverArtPath, '1-old-title/cover.png');
+  assert.deepEqual(game.additionalPhotos.map(photo => photo.path), ['1-old-title/shot.png']);
+  assert.deepEqual(game.additionalNotes.map(note => note.content), ['first note', 'second note']);
+
+  assert.equal(fs.readFileSync(path.join(dir, 'uploads', '1-old-title', 'cover.png'), 'utf8'), 'cover');
+  assert.equal(fs.existsSync(path.join(dir, 'uploads', 'Old_Title')), false);
+  assert.equal(fs.readdirSync(path.join(dir, 'backups')).length, 1);
+
+  const [found] = await db.searchGames('second');
+  assert.equal(found.id, 1);
+});
+
+test('a database from a newer version of the app is refused', async (t) => {
+  const dir = tempDir(t);
+  const raw = new SQLite(path.join(dir, 'games.db'));
+  raw.pragma(`user_version = ${LATEST_VERSION + 1}`);
+  raw.close();
+
+  const db = new Database(path.join(dir, 'games.db'), { log: () => {} });
+  t.mock.method(console, 'error', () => {});
+  await assert.rejects(db.initialize(), /newer than this app supports/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDir, openDatabase, startServer } = require('./helpers');
+
+const titles = (results) => results.map(result => result.title);
+
+test('search matches word prefixes and ignores accents and case', async (t) => {
+  const db = await openDatabase(t);
+  await db.createGame({ title: 'Wiedźmin 3: Dziki Gon' });
+  await db.createGame({ title: 'Pokémon Ruby' });
+  await db.createGame({ title: 'Portal' });
+
+  assert.deepEqual(titles(await db.searchGames('wied')), ['Wiedźmin 3: Dziki Gon']);
+  assert.deepEqual(titles(await db.searchGames('POKEMON')), ['Pokémon Ruby']);
+  assert.deepEqual(titles(await db.searchGames('dziki wiedzmin')), ['Wiedźmin 3: Dziki Gon']);
+  assert.deepEqual(titles(await db.searchGames('portal ruby')), [], 'every word has to match');
+});
+
+test('title hits rank above note hits', async (t) => {
+  const db = await openDatabase(t);
+  const inNote = await db.createGame({ title: 'Celeste', notes: 'Reminds me of Hollow Knight a bit' });
+  const inAdditionalNote = await db.createGame({ title: 'Ori' });
+  await db.addNote(inAdditionalNote, { content: 'Better than Hollow Knight?' });
+  await db.createGame({ title: 'Hollow Knight', platform: 'PC' });
+
+  const results = await db.searchGames('hollow knight');
+  assert.equal(results[0].title, 'Hollow Knight');
+  assert.deepEqual(titles(results.slice(1)).sort(), ['Celeste', 'Ori']);
+  assert.ok(results[0].score > results[1].score);
+  assert.ok(results.find(result => result.id === inNote).snippet.includes('<mark>Hollow</mark>'));
+});
+
+test('snippets are HTML-escaped around the marks', async (t) => {
+  const db = await openDatabase(t);
+  await db.createGame({ title: 'Portal', notes: '<b>cake</b> & "lies"' });
+
+  const [result] = await db.searchGames('cake');
+  assert.equal(result.snippet, '&lt;b&gt;<mark>cake</mark>&lt;/b&gt; &amp; &quot;lies&quot;');
+});
+
+test('FTS operators and punctuation in the input are plain text', async (t) => {
+  const db = await openDatabase(t);
+  await db.createGame({ title: 'Portal' });
+  await db.createGame({ title: 'Portal NOT Hades' });
+
+  assert.deepEqual(titles(await db.searchGames('portal NOT hades')), ['Portal NOT Hades']);
+  assert.deepEqual(await db.searchGames('"*()-:^'), []);
+  assert.deepEqual(titles((await db.queryGames({ search: 'portal OR' })).games), []);
+  assert.deepEqual(titles((await db.queryGames({ search: '!!!' })).games), []);
+});
+
+test('the index follows edits, notes and the trash', async (t) => {
+  const db = await openDatabase(t);
+  const id = await db.createGame({ title: 'Portal' });
+  await db.updateGame(id, { title: 'Portal 2' });
+  const noteId = await db.addNote(id, { content: 'Co-op with Wheatley' });
+
+  assert.deepEqual(titles(await db.searchGames('portal 2')), ['Portal 2']);
+  assert.deepEqual(titles(await db.searchGames('wheatley')), ['Portal 2']);
+
+  await db.deleteNote(id, noteId);
+  assert.deepEqual(await db.searchGames('wheatley'), []);
+
+  await db.deleteGame(id);
+  assert.deepEqual(await db.searchGames('portal'), []);
+});
+
+test('/games/search needs a query and a limit between 1 and 100', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+  await db.createGame({ title: 'Portal' });
+  await db.createGame({ title: 'Portal 2' });
+
+  assert.equal((await request('/games/search')).status, 400);
+  assert.equal((await request('/games/search?q=%20')).status, 400);
+  assert.equal((await request('/games/search?q=portal&limit=0')).status, 400);
+  assert.equal((await request('/games/search?q=portal&limit=101')).status, 400);
+
+  const response = await request('/games/search?q=portal&limit=1');
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.query, 'portal');
+  assert.equal(body.results.length, 1);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeStatistics } = require('../stats');
+const { planImport } = require('../importer');
+const { planGameMerge } = require('../duplicates');
+const { openDatabase } = require('./helpers');
+
+const thisMonth = () => new Date().toISOString().slice(0, 7);
+
+test('only games marked finished by an edit get a finish date', async (t) => {
+  const db = await openDatabase(t);
+  await db.createGame({ title: 'Created Finished', finished: true });
+  const plan = planImport(await db.getAllGames(), [{ title: 'Imported Finished', finished: true }], { mode: 'merge' });
+  await db.applyImportPlan(plan, 'test');
+  const edited = await db.createGame({ title: 'Finished Later' });
+  await db.updateGame(edited, { finished: true });
+  await db.createGame({ title: 'Unfinished' });
+
+  const stats = await computeStatistics(db);
+
+  assert.equal(stats.totals.games, 4);
+  assert.equal(stats.totals.finished, 3);
+  assert.equal(stats.totals.completionRate, 75);
+  assert.deepEqual(stats.months, [{ month: thisMonth(), added: 4, finished: 1 }]);
+  assert.deepEqual(stats.timeToFinish, { games: 1, averageDays: 0 });
+});
+
+test('reopened games and games in the trash are not counted as finished', async (t) => {
+  const db = await openDatabase(t);
+  const reopened = await db.createGame({ title: 'Reopened' });
+  await db.updateGame(reopened, { finished: true });
+  await db.updateGame(reopened, { finished: false });
+  const trashed = await db.createGame({ title: 'Trashed' });
+  await db.updateGame(trashed, { finished: true });
+  await db.deleteGame(trashed);
+
+  const stats = await computeStatistics(db);
+
+  assert.equal(stats.totals.games, 1);
+  assert.equal(stats.totals.finished, 0);
+  assert.deepEqual(stats.months, [{ month: thisMonth(), added: 1, finished: 0 }]);
+  assert.deepEqual(stats.timeToFinish, { games: 0, averageDays: null });
+});
+
+test('merging a finished duplicate into a game does not date a finish', async (t) => {
+  const db = await openDatabase(t);
+  const keepId = await db.createGame({ title: 'Portal' });
+  const mergeId = await db.createGame({ title: 'portal', finished: true });
+  const plan = planGameMerge(await db.getGameById(keepId), await db.getGameById(mergeId));
+  await db.mergeGames(keepId, mergeId, plan);
+
+  const stats = await computeStatistics(db);
+
+  assert.equal((await db.getGameById(keepId)).finished, true);
+  assert.equal(stats.totals.finished, 1);
+  assert.deepEqual(stats.months, [{ month: thisMonth(), added: 1, finished: 0 }]);
+  assert.deepEqual(stats.timeToFinish, { games: 0, averageDays: null });
+  const history = await db.getHistory(keepId);
+  assert.ok(history.some(entry => entry.action === 'merge-update' && entry.field === 'finished'));
+});
+
+test('a merge-mode import that marks a game finished does not date a finish', async (t) => {
+  const db = await openDatabase(t);
+  const id = await db.createGame({ title: 'Portal' });
+  const plan = planImport(await db.getAllGames(), [{ title: 'Portal', finished: true }], { mode: 'merge', conflictPolicy: 'overwrite' });
+  await db.applyImportPlan(plan, 'test');
+
+  const stats = await computeStatistics(db);
+
+  assert.equal((await db.getGameById(id)).finished, true);
+  assert.deepEqual(stats.months, [{ month: thisMonth(), added: 1, finished: 0 }]);
+  assert.ok((await db.getHistory(id)).some(entry => entry.action === 'import-update' && entry.field === 'finished'));
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { detectFileType } = require('../uploads');
+const { tempDir, openDatabase, startServer, fileForm } = require('./helpers');
+
+function filesIn(dir, folder) {
+  const full = path.join(dir, folder);
+  return fs.existsSync(full) ? fs.readdirSync(full) : [];
+}
+
+function png() {
+  return sharp({ create: { width: 4, height: 4, channels: 3, background: '#c33' } }).png().toBuffer();
+}
+
+test('file types come from the first bytes, not the name', (t) => {
+  const dir = tempDir(t);
+  const sniff = (bytes, types) => {
+    const file = path.join(dir, 'sniffed');
+    fs.writeFileSync(file, bytes);
+    return detectFileType(file, types);
+  };
+  const images = ['jpeg', 'png', 'gif', 'webp', 'avif'];
+
+  assert.equal(sniff(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), images), 'jpeg');
+  assert.equal(sniff(Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'), images), 'png');
+  assert.equal(sniff('GIF89a', images), 'gif');
+  assert.equal(sniff('RIFF\0\0\0\0WEBPVP8 ', images), 'webp');
+  assert.equal(sniff('\0\0\0\x1cftypavif', images), 'avif');
+  assert.equal(sniff('<svg xmlns="http://www.w3.org/2000/svg"/>', images), null);
+  assert.equal(sniff('MZ\x90\0', images), null);
+
+  assert.equal(sniff('PK\x03\x04', ['zip']), 'zip');
+  assert.equal(sniff('\ufeff  [{"title": "Portal"}]', ['json']), 'json');
+  assert.equal(sniff('title\nPortal', ['json']), null);
+  assert.equal(sniff('title\nPortal', ['csv']), 'csv');
+  assert.equal(sniff(Buffer.from('t\0i\0t\0l\0e\0'), ['csv']), null, 'UTF-16 is not read as text');
+  assert.equal(sniff('', ['csv']), null);
+});
+
+test('an image is stored with the extension of its real type', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+  const id = await db.createGame({ title: 'Portal' });
+
+  const response = await request(`/games/${id}/add-photo`, { method: 'POST', body: fileForm('photo', await png(), 'photo.jpg.exe') });
+  assert.equal(response.status, 200);
+
+  const [photo] = (await db.getGameById(id)).additionalPhotos;
+  assert.match(photo.path, /^1-portal\/additional_[0-9a-f-]+\.png$/);
+  assert.ok(fs.existsSync(path.join(dir, 'uploads', ...photo.path.split('/'))));
+  assert.deepEqual(filesIn(dir, 'incoming'), []);
+});
+
+test('files that are not what the route accepts are refused with 415', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+  const id = await db.createGame({ title: 'Portal' });
+
+  const photo = await request(`/games/${id}/add-photo`, { method: 'POST', body: fileForm('photo', '<html>not an image</html>', 'cover.png') });
+  assert.equal(photo.status, 415);
+  assert.deepEqual(await photo.json(), {
+    error: 'Photo: "cover.png" is not an image (JPEG, PNG, GIF, WebP or AVIF)',
+    code: 'UNSUPPORTED_TYPE',
+    field: 'photo',
+    file: 'cover.png'
+  });
+
+  const json = await request('/games/import', { method: 'POST', body: fileForm('file', await png(), 'games.json') });
+  assert.equal(json.status, 415);
+  assert.equal((await json.json()).code, 'UNSUPPORTED_TYPE');
+
+  assert.deepEqual((await db.getGameById(id)).additionalPhotos, []);
+  assert.deepEqual(filesIn(dir, 'incoming'), []);
+  assert.deepEqual(filesIn(dir, 'uploads'), []);
+});
+
+test('a rejected file takes the other files of its request with it', async (t) => {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+
+  const form = fileForm('coverArt', await png(), 'cover.png', { title: 'Portal' });
+  form.append('gameplayImage', new Blob(['plain text']), 'gameplay.png');
+  const response = await request('/games/create', { method: 'POST', body: form });
+
+  assert.equal(response.status, 415);
+  assert.equal((await response.json()).field, 'gameplayImage');
+  assert.deepEqual(await db.getAllGames(), []);
+  assert.deepEqual(filesIn(dir, 'incoming'), []);
+});
+
+test('images over MAX_IMAGE_UPLOAD_MB are refused with 413 and not kept', async (t) => {
+  process.env.MAX_IMAGE_UPLOAD_MB = '0.001';
+  t.after(() => delete process.env.MAX_IMAGE_UPLOAD_MB);
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const request = await startServer(t, db, dir);
+  const id = await db.createGame({ title: 'Portal' });
+
+  const large = Buffer.concat([await png(), Buffer.alloc(4096)]);
+  const response = await request(`/games/${id}/add-photo`, { method: 'POST', body: fileForm('photo', large, 'huge.png') });
+
+  assert.equal(response.status, 413);
+  const body = await response.json();
+  assert.equal(body.code, 'FILE_TOO_LARGE');
+  assert.equal(body.file, 'huge.png');
+  assert.match(body.error, /larger than the 0\.001 MB limit/);
+  assert.deepEqual((await db.getGameById(id)).additionalPhotos, []);
+  assert.deepEqual(filesIn(dir, 'incoming'), []);
+});
@@ -0,0 +1,222 @@
+// Validation for uploaded files. Multer writes each file to incoming/ under a
+// random name without an extension; the file's type is then sniffed from its
+// first bytes and checked against the route's allow-list, and the extension
+// comes from the detected type, never from the name the client sent.
+//
+// Rejected uploads are answered with a 4xx { error, code, field, file } and
+// every file written for the request is removed, including one multer
+// stopped writing half-way.
+//
+// Size limits (in MB) can be set with MAX_IMAGE_UPLOAD_MB,
+// MAX_IMPORT_UPLOAD_MB, MAX_LAUNCHER_UPLOAD_MB and MAX_BACKUP_UPLOAD_MB.
+// Launcher libraries come as many small files, so their limit is for all the
+// files of a request together.
+
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+
+const SNIFF_BYTES = 4096;
+
+function startsWith(bytes, signature, offset = 0) {
+  return bytes.length >= offset + signature.length &&
+    signature.every((byte, i) => bytes[offset + i] === byte);
+}
+
+function ascii(text) {
+  return [...text].map(char => char.charCodeAt(0));
+}
+
+// Text files must not contain NUL bytes; that rules out executables, images
+// and UTF-16 text, which the importers can't read
+function isText(bytes) {
+  return bytes.length > 0 && !bytes.includes(0);
+}
+
+function isJsonText(bytes) {
+  const text = bytes.toString('utf8').replace(/^\ufeff/, '').trimStart();
+  return isText(bytes) && (text.startsWith('{') || text.startsWith('['));
+}
+
+const FILE_TYPES = {
+  jpeg: { extension: '.jpg', mime: 'image/jpeg', matches: bytes => startsWith(bytes, [0xff, 0xd8, 0xff]) },
+  png: { extension: '.png', mime: 'image/png', matches: bytes => startsWith(bytes, [0x89, ...ascii('PNG\r\n'), 0x1a, 0x0a]) },
+  gif: { extension: '.gif', mime: 'image/gif', matches: bytes => startsWith(bytes, ascii('GIF87a')) || startsWith(bytes, ascii('GIF89a')) },
+  webp: { extension: '.webp', mime: 'image/webp', matches: bytes => startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8) },
+  avif: {
+    extension: '.avif',
+    mime: 'image/avif',
+    matches: bytes => startsWith(bytes, ascii('ftyp'), 4) && (startsWith(bytes, ascii('avif'), 8) || startsWith(bytes, ascii('avis'), 8))
+  },
+  // Local file header, or the end record of an empty archive
+  zip: { extension: '.zip', mime: 'application/zip', matches: bytes => startsWith(bytes, [0x50, 0x4b, 0x03, 0x04]) || startsWith(bytes, [0x50, 0x4b, 0x05, 0x06]) },
+  json: { extension: '.json', mime: 'application/json', matches: isJsonText },
+  csv: { extension: '.csv', mime: 'text/csv', matches: isText },
+  text: { extension: '.txt', mime: 'text/plain', matches: isText }
+};
+
+// What each kind of upload accepts
+const UPLOAD_KINDS = {
+  image: {
+    types: ['jpeg', 'png', 'gif', 'webp', 'avif'],
+    description: 'an image (JPEG, PNG, GIF, WebP or AVIF)',
+    limitVariable: 'MAX_IMAGE_UPLOAD_MB',
+    defaultLimitMb: 20
+  },
+  json: {
+    types: ['json'],
+    description: 'a JSON file',
+    limitVariable: 'MAX_IMPORT_UPLOAD_MB',
+    defaultLimitMb: 50
+  },
+  csv: {
+    types: ['csv'],
+    description: 'a CSV text file (UTF-8)',
+    limitVariable: 'MAX_IMPORT_UPLOAD_MB',
+    defaultLimitMb: 50
+  },
+  launcher: {
+    types: ['json', 'text'],
+    description: 'a launcher library file (JSON, CSV or Steam .acf/.vdf text)',
+    limitVariable: 'MAX_LAUNCHER_UPLOAD_MB',
+    defaultLimitMb: 20,
+    maxFiles: 1000,
+    limitsTotal: true
+  },
+  backup: {
+    types: ['zip'],
+    description: 'a backup archive (.zip)',
+    limitVariable: 'MAX_BACKUP_UPLOAD_MB',
+    defaultLimitMb: 2048
+  }
+};
+
+// Stored file names start with the form field they came from
+const FILE_PREFIXES = { coverArt: 'cover_', gameplayImage: 'gameplay_', photo: 'additional_' };
+
+const FIELD_LABELS = { coverArt: 'Cover art', gameplayImage: 'Gameplay image', photo: 'Photo', file: 'File' };
+
+function uploadLimitMb(kind) {
+  const megabytes = parseFloat(process.env[kind.limitVariable]);
+  return Number.isFinite(megabytes) && megabytes > 0 ? megabytes : kind.defaultLimitMb;
+}
+
+function uploadLimitBytes(kind) {
+  return Math.floor(uploadLimitMb(kind) * 1024 * 1024);
+}
+
+// Type name of the file at `filePath` among `typeNames`, or null
+function detectFileType(filePath, typeNames) {
+  const buffer = Buffer.alloc(SNIFF_BYTES);
+  const fd = fs.openSync(filePath, 'r');
+  let bytesRead;
+  try {
+    bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const bytes = buffer.subarray(0, bytesRead);
+  return typeNames.find(name => FILE_TYPES[name].matches(bytes)) || null;
+}
+
+function uploadError(status, code, field, file, message) {
+  const label = FIELD_LABELS[field] || field;
+  return { status, body: { error: `${label}: ${message}`, code, field, file } };
+}
+
+// Check and rename every file multer stored for the request. Returns an
+// upload error or null.
+function validateFiles(req, kind) {
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+  if (kind.limitsTotal && files.reduce((total, file) => total + file.size, 0) > uploadLimitBytes(kind)) {
+    return uploadError(413, 'FILE_TOO_LARGE', files[0].fieldname, null,
+      `the files are larger than the ${uploadLimitMb(kind)} MB limit together`);
+  }
+  for (const file of files) {
+    const typeName = detectFileType(file.path, kind.types);
+    if (!typeName) {
+      return uploadError(415, 'UNSUPPORTED_TYPE', file.fieldname, file.originalname,
+        `"${file.originalname}" is not ${kind.description}`);
+    }
+
+    const type = FILE_TYPES[typeName];
+    const target = file.path + type.extension;
+    fs.renameSync(file.path, target);
+    req.incomingFiles.find(incoming => incoming.path === file.path).path = target;
+    file.path = target;
+    file.filename += type.extension;
+    file.mimetype = type.mime;
+  }
+  return null;
+}
+
+function multerUploadError(error, req, kind) {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    const incoming = req.incomingFiles.filter(file => file.field === error.field).pop();
+    const name = incoming ? incoming.originalName : null;
+    return uploadError(413, 'FILE_TOO_LARGE', error.field, name,
+      `${name ? `"${name}"` : 'file'} is larger than the ${uploadLimitMb(kind)} MB limit`);
+  }
+  if (error.code === 'LIMIT_FILE_COUNT') {
+    return uploadError(413, 'TOO_MANY_FILES', error.field || 'file', null,
+      `more than ${kind.maxFiles} files were sent`);
+  }
+  return uploadError(400, error.code, error.field, null, error.message);
+}
+
+// Multer-like uploader whose single()/fields() middleware only lets
+// validated files through to the route. `kindName` is a key of UPLOAD_KINDS.
+function createUploader(destination, kindName) {
+  const kind = UPLOAD_KINDS[kindName];
+  fs.mkdirSync(destination, { recursive: true });
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination,
+      filename: (req, file, cb) => {
+        const filename = (FILE_PREFIXES[file.fieldname] || 'upload_') + uuidv4();
+        req.incomingFiles.push({ path: path.join(destination, filename), field: file.fieldname, originalName: file.originalname });
+        cb(null, filename);
+      }
+    }),
+    limits: { fileSize: uploadLimitBytes(kind), files: kind.maxFiles }
+  });
+
+  const validated = (middleware) => (req, res, next) => {
+    req.incomingFiles = [];
+    middleware(req, res, (error) => {
+      let rejection = null;
+      try {
+        if (error instanceof multer.MulterError) {
+          rejection = multerUploadError(error, req, kind);
+        } else if (error) {
+          rejection = { status: 500, body: { error: error.message } };
+        } else {
+          rejection = validateFiles(req, kind);
+        }
+      } catch (validationError) {
+        rejection = { status: 500, body: { error: validationError.message } };
+      }
+
+      if (!rejection) {
+        return next();
+      }
+      req.incomingFiles.forEach(file => fs.rmSync(file.path, { force: true }));
+      res.status(rejection.status).json(rejection.body);
+    });
+  };
+
+  return {
+    single: (field) => validated(upload.single(field)),
+    fields: (fields) => validated(upload.fields(fields)),
+    array: (field) => validated(upload.array(field, kind.maxFiles))
+  };
+}
+
+module.exports = {
+  FILE_TYPES,
+  UPLOAD_KINDS,
+  detectFileType,
+  createUploader
+};